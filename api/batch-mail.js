@@ -0,0 +1,67 @@
+// /api/batch-mail.js
+
+// Batch version of /api/mail-label: POST { csv, dryRun?, startRow?, maxRows?, concurrency? }
+// Add ?format=csv to download the per-row results as CSV instead of JSON.
+
+const { sendJson, sendText, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { runBatch, resultsToCsv } = require("../lib/batch");
+const { lobApiKey, lobKeyEnvName } = require("../lib/lob");
+const { isSandbox } = require("../lib/mode");
+
+module.exports = withRequestLog("batch-mail", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const user = await requireUser(req, res, "supervisor");
+    if (!user) return;
+
+    const body = parseJsonBody(req);
+    const dryRun = body.dryRun === true;
+
+    if (!dryRun && !lobApiKey()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: `Missing ${lobKeyEnvName()} env var`,
+      });
+    }
+
+    if (!String(body.csv || "").trim()) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: "Missing csv",
+      });
+    }
+
+    const outcome = await runBatch({
+      csv: body.csv,
+      user,
+      dryRun,
+      startRow: body.startRow,
+      maxRows: body.maxRows,
+      concurrency: body.concurrency,
+    });
+
+    if (!outcome.ok) {
+      return sendJson(res, 400, outcome);
+    }
+
+    if (req.query?.format === "csv") {
+      res.setHeader(
+        "Content-Disposition",
+        'attachment; filename="return-label-batch-results.csv"'
+      );
+      return sendText(res, 200, resultsToCsv(outcome.results), "text/csv");
+    }
+
+    return sendJson(res, 200, { ...outcome, sandbox: isSandbox() });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
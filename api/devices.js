@@ -0,0 +1,19 @@
+// /api/devices.js
+
+// Device catalog for the forms: GET -> { devices: [{ type, name, weightOz, weightLbs }] }
+
+const { sendJson } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { publicCatalog } = require("../lib/devices");
+
+module.exports = withRequestLog("devices", async function handler(req, res) {
+  if (req.method !== "GET") {
+    return sendJson(res, 405, {
+      ok: false,
+      error: "Method Not Allowed",
+    });
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=300");
+  return sendJson(res, 200, { ok: true, devices: publicCatalog() });
+});
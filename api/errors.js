@@ -0,0 +1,48 @@
+// /api/errors.js
+
+// Error dashboard data (admins): GET ?service=<sera|lob|sheets|sendgrid|app>&limit=<n>
+// -> { counters, failures, blocked, missingTranslations }. Failures (lib/failures.js)
+// and blocked attempts (lib/abuse.js) are the newest first and already redacted;
+// counters are the totals and per-day counts from lib/metrics.js; missingTranslations
+// are the instructions PDFs sent in English for want of a translation (lib/i18n.js).
+
+const { sendJson, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { listFailures } = require("../lib/failures");
+const { getCounters } = require("../lib/metrics");
+const { listBlocked } = require("../lib/abuse");
+const { listDevices } = require("../lib/devices");
+const { missingTranslations } = require("../lib/i18n");
+
+module.exports = withRequestLog("errors", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res, "admin"))) return;
+
+    const { service, limit } = req.query || {};
+
+    const [counters, failures, blocked] = await Promise.all([
+      getCounters(),
+      listFailures({ service: service || undefined, limit }),
+      listBlocked({ limit }),
+    ]);
+
+    res.setHeader("Cache-Control", "no-store");
+    return sendJson(res, 200, {
+      ok: true,
+      counters,
+      failures,
+      blocked,
+      missingTranslations: missingTranslations(listDevices().map((d) => d.instructionsPdf)),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
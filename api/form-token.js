@@ -0,0 +1,38 @@
+// /api/form-token.js
+
+// Signed form token for index.html (lib/form-token.js): GET ->
+// { required, token, notBefore, expiresAt }. Public, since the page asks for
+// one before anyone has logged in; required is false (and token null) when
+// FORM_TOKEN_SECRET is unset. Issuing is rate-limited per client IP
+// (RATE_LIMIT_FORM_TOKEN, lib/abuse.js).
+
+const { sendJson, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { formTokensEnabled, issueFormToken } = require("../lib/form-token");
+const { guardFormTokenIssue } = require("../lib/abuse");
+
+module.exports = withRequestLog("form-token", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (formTokensEnabled()) await guardFormTokenIssue(req);
+
+    const issued = issueFormToken();
+
+    res.setHeader("Cache-Control", "no-store");
+    return sendJson(res, 200, {
+      ok: true,
+      required: formTokensEnabled(),
+      token: issued?.token || null,
+      notBefore: issued?.notBefore || null,
+      expiresAt: issued?.expiresAt || null,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
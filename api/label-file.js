@@ -0,0 +1,40 @@
+// /api/label-file.js
+
+// The label file bought for a ledger record, for the agent console:
+// GET ?id=<requestId> -> the PDF / PNG / ZPL as SERA returned it (lib/label-files.js).
+// Shown inline; add &download=1 to save it instead.
+
+const { sendJson, sendText, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { getLabelFile } = require("../lib/label-files");
+
+module.exports = withRequestLog("label-file", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res))) return;
+
+    const id = String(req.query?.id || "").trim();
+    if (!id) {
+      return sendJson(res, 400, { ok: false, error: "Provide id (the requestId)" });
+    }
+
+    const file = await getLabelFile(id);
+    if (!file) {
+      return sendJson(res, 404, { ok: false, error: "No label file kept for this request" });
+    }
+
+    const disposition = req.query?.download ? "attachment" : "inline";
+    res.setHeader("Content-Disposition", `${disposition}; filename="${file.filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+    return sendText(res, 200, file.data, file.mimeType);
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,57 @@
+// /api/lob-webhook.js
+
+// Lob webhook receiver for letter lifecycle events. Subscribe the letter.*
+// events in the Lob dashboard and set LOB_WEBHOOK_SECRET to its signing secret.
+
+const { sendJson, readRawBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { verifyLobSignature, handleLobEvent } = require("../lib/lob-events");
+
+module.exports = withRequestLog("lob-webhook", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const secret = process.env.LOB_WEBHOOK_SECRET || "";
+    if (!secret) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing LOB_WEBHOOK_SECRET env var",
+      });
+    }
+
+    const rawBody = await readRawBody(req);
+
+    const valid = verifyLobSignature({
+      rawBody,
+      signature: req.headers["lob-signature"],
+      timestamp: req.headers["lob-signature-timestamp"],
+      secret,
+    });
+
+    if (!valid) {
+      return sendJson(res, 401, { ok: false, error: "Invalid signature" });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody || "{}");
+    } catch {
+      return sendJson(res, 400, { ok: false, error: "Invalid JSON" });
+    }
+
+    const result = await handleLobEvent(event);
+    if (!result.accepted) {
+      return sendJson(res, 400, { ok: false, error: result.reason });
+    }
+
+    return sendJson(res, 200, { ok: true, ...result });
+  } catch (e) {
+    // Non-2xx makes Lob retry the delivery later
+    return sendError(res, e);
+  }
+});
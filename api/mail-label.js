@@ -1,146 +1,15 @@
 // /api/mail-label.js
 
-import { PDFDocument } from "pdf-lib";
-import fs from "fs";
-import path from "path";
-
-const SHEETS_WEBHOOK_URL = process.env.SHEETS_WEBHOOK_URL || "";
-
-function sendJson(res, status, obj) {
-  res.statusCode = status;
-  res.setHeader("Content-Type", "application/json");
-  res.end(JSON.stringify(obj));
-}
-
-function unauthorized(res) {
-  res.statusCode = 401;
-  res.setHeader("WWW-Authenticate", 'Basic realm="Return Label Mailer"');
-  res.end("Unauthorized");
-}
-
-function parseBasicAuth(req) {
-  const header = req.headers.authorization || req.headers.Authorization;
-  if (!header || !header.toString().startsWith("Basic ")) return null;
-
-  try {
-    const decoded = Buffer.from(
-      header.toString().replace("Basic ", ""),
-      "base64"
-    ).toString("utf8");
-
-    const idx = decoded.indexOf(":");
-    if (idx === -1) return null;
-
-    return {
-      user: decoded.slice(0, idx),
-      pass: decoded.slice(idx + 1),
-    };
-  } catch {
-    return null;
-  }
-}
-
-function getBaseUrl(req) {
-  const proto = req.headers["x-forwarded-proto"] || "https";
-  const host = req.headers.host;
-  return `${proto}://${host}`;
-}
-
-function requireField(body, key) {
-  const v = body?.[key];
-  if (v === undefined || v === null) return null;
-  const s = String(v).trim();
-  if (!s) return null;
-  return s;
-}
-
-function todayIso() {
-  return new Date().toISOString();
-}
-
-async function postToSheets(webhookUrl, payload) {
-  if (!webhookUrl) return null;
-
-  try {
-    const r = await fetch(webhookUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    return { ok: r.ok, status: r.status };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
-}
-
-function normalizeWeightOz(body) {
-  const oz = Number(body?.weightOz);
-  if (Number.isFinite(oz) && oz > 0) return oz;
-
-  const lbs = Number(body?.weightLbs);
-  if (Number.isFinite(lbs) && lbs > 0) return lbs * 16;
-
-  return null;
-}
-
-/**
- * Build PDF:
- * - Includes power-off-instructions.pdf if present
- * - Appends letter-sized page with 4x6 label centered
- */
-async function buildInstructionsPlusLabelPdf({ labelBase64 }) {
-  const labelBytes = Buffer.from(labelBase64, "base64");
-  const out = await PDFDocument.create();
-
-  // Add instructions PDF if exists
-  const instructionsPath = path.join(
-    process.cwd(),
-    "power-off-instructions.pdf"
-  );
-
-  if (fs.existsSync(instructionsPath)) {
-    const instrBytes = fs.readFileSync(instructionsPath);
-    const instrPdf = await PDFDocument.load(instrBytes);
-    const pages = await out.copyPages(
-      instrPdf,
-      instrPdf.getPageIndices()
-    );
-    pages.forEach((p) => out.addPage(p));
-  }
-
-  // Add letter page
-  const LETTER_W = 612;
-  const LETTER_H = 792;
-  const page = out.addPage([LETTER_W, LETTER_H]);
-
-  const [embeddedLabel] = await out.embedPdf(labelBytes, [0]);
-
-  const targetW = 420;
-  const targetH = 600;
-
-  const scale = Math.min(
-    targetW / embeddedLabel.width,
-    targetH / embeddedLabel.height
-  );
-
-  const drawW = embeddedLabel.width * scale;
-  const drawH = embeddedLabel.height * scale;
-
-  const x = (LETTER_W - drawW) / 2;
-  const y = (LETTER_H - drawH) / 2;
-
-  page.drawPage(embeddedLabel, {
-    x,
-    y,
-    xScale: scale,
-    yScale: scale,
-  });
-
-  return Buffer.from(await out.save());
-}
-
-export default async function handler(req, res) {
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { readMailFields, wantsLetter, mailReturnLabel } = require("../lib/mailing");
+const { lobApiKey, lobKeyEnvName } = require("../lib/lob");
+const { isSandbox } = require("../lib/mode");
+const { readIdempotencyKey, isReplay } = require("../lib/idempotency");
+const { guardSubmission, claimSubmission } = require("../lib/abuse");
+
+module.exports = withRequestLog("mail-label", async function handler(req, res) {
   try {
     if (req.method !== "POST") {
       return sendJson(res, 405, {
@@ -150,164 +19,59 @@ export default async function handler(req, res) {
     }
 
     // Basic Auth
-    const creds = parseBasicAuth(req);
-    const expectedUser = process.env.MAIL_USER || "";
-    const expectedPass = process.env.MAIL_PASS || "";
+    const user = await requireUser(req, res);
+    if (!user) return;
 
-    if (!expectedUser || !expectedPass) {
-      return sendJson(res, 500, {
-        ok: false,
-        error: "Missing MAIL_USER/MAIL_PASS env vars",
-      });
-    }
+    const body = parseJsonBody(req);
+    const idempotencyKey = readIdempotencyKey(req, body);
 
-    if (!creds || creds.user !== expectedUser || creds.pass !== expectedPass) {
-      return unauthorized(res);
-    }
-
-    const body =
-      typeof req.body === "string"
-        ? JSON.parse(req.body || "{}")
-        : req.body || {};
-
-    if (!process.env.LOB_API_KEY) {
-      return sendJson(res, 500, {
-        ok: false,
-        error: "Missing LOB_API_KEY env var",
-      });
-    }
+    // Form token and rate limits (lib/abuse.js); a retry of a finished
+    // request is replayed below without counting as another attempt
+    const replay = await isReplay({ scope: "mail-label", key: idempotencyKey, username: user.username, body });
+    if (!replay) await guardSubmission({ req, body, user });
 
     // Required fields
-    const name = requireField(body, "name");
-    const address1 = requireField(body, "address1");
-    const address2 = requireField(body, "address2") || "";
-    const city = requireField(body, "city");
-    const state = requireField(body, "state");
-    const zip = requireField(body, "zip");
-    const phone = requireField(body, "phone");
-    const deviceType = requireField(body, "deviceType");
-
-    const missing = [];
-    if (!name) missing.push("name");
-    if (!address1) missing.push("address1");
-    if (!city) missing.push("city");
-    if (!state) missing.push("state");
-    if (!zip) missing.push("zip");
-    if (!phone) missing.push("phone");
-    if (!deviceType) missing.push("deviceType");
+    const { fields, missing, errors } = readMailFields(body);
 
     if (missing.length) {
       return sendJson(res, 400, {
         ok: false,
         error: `Missing required fields: ${missing.join(", ")}`,
+        details: { missing },
       });
     }
 
-    // 1️⃣ Generate USPS label
-    const baseUrl = getBaseUrl(req);
-
-    const labelResp = await fetch(`${baseUrl}/api/create-label`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
-
-    const labelJson = await labelResp.json();
-
-    if (!labelResp.ok || !labelJson?.labelData) {
+    if (errors.length) {
       return sendJson(res, 400, {
         ok: false,
-        error: "Label creation failed",
-        details: labelJson,
+        error: errors.join("; "),
       });
     }
 
-    const trackingNumber =
-      labelJson.trackingNumber || labelJson.tracking_number || "";
-
-    const weightOz = normalizeWeightOz(body);
-
-    // 2️⃣ Build combined PDF
-    const combinedPdfBuffer =
-      await buildInstructionsPlusLabelPdf({
-        labelBase64: labelJson.labelData,
-      });
-
-    // 3️⃣ Send to Lob
-    const form = new FormData();
-
-    form.set("to[name]", name);
-    form.set("to[address_line1]", address1);
-    if (address2) form.set("to[address_line2]", address2);
-    form.set("to[address_city]", city);
-    form.set("to[address_state]", state);
-    form.set("to[address_zip]", zip);
-
-    form.set(
-      "from[name]",
-      process.env.LOB_FROM_NAME || "Connect America"
-    );
-    form.set(
-      "from[address_line1]",
-      process.env.LOB_FROM_ADDRESS1 || "3 Bala Plaza West"
-    );
-    form.set(
-      "from[address_city]",
-      process.env.LOB_FROM_CITY || "Bala Cynwyd"
-    );
-    form.set(
-      "from[address_state]",
-      process.env.LOB_FROM_STATE || "PA"
-    );
-    form.set(
-      "from[address_zip]",
-      process.env.LOB_FROM_ZIP || "19004"
-    );
-
-    form.set("color", "true");
-    form.set("use_type", "operational");
-
-    form.set(
-      "file",
-      new Blob([combinedPdfBuffer], { type: "application/pdf" }),
-      "return-label.pdf"
-    );
-
-    const auth = Buffer.from(
-      `${process.env.LOB_API_KEY}:`
-    ).toString("base64");
-
-    const lobResp = await fetch(
-      "https://api.lob.com/v1/letters",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Basic ${auth}`,
-        },
-        body: form,
-      }
-    );
-
-    const lobJson = await lobResp.json();
-
-    if (!lobResp.ok || !lobJson?.id) {
-      return sendJson(res, 400, {
+    if (wantsLetter(fields) && !lobApiKey()) {
+      return sendJson(res, 500, {
         ok: false,
-        error: "Lob letter creation failed",
-        details: lobJson,
+        error: `Missing ${lobKeyEnvName()} env var`,
       });
     }
 
-    return sendJson(res, 200, {
-      ok: true,
-      uspsTrackingNumber: trackingNumber || null,
-      lobLetterId: lobJson.id,
-      lobStatus: lobJson.status || null,
+    // Only a valid request uses up its form token
+    if (!replay) await claimSubmission({ req, body, user });
+
+    const result = await mailReturnLabel({
+      body,
+      fields,
+      user,
+      idempotencyKey,
     });
+
+    return sendJson(res, 200, { ok: true, sandbox: isSandbox(), ...result });
   } catch (e) {
-    return sendJson(res, 500, {
-      ok: false,
-      error: String(e),
-    });
+    // Present once the run started: retrying with this key resumes it
+    const retry = e.idempotencyKey
+      ? { requestId: e.requestId, idempotencyKey: e.idempotencyKey }
+      : {};
+
+    return sendError(res, e, retry);
   }
-}
+});
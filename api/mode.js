@@ -0,0 +1,20 @@
+// /api/mode.js
+
+// Which mode this deployment runs in, for the TEST MODE banner:
+// GET -> { mode: "live" | "sandbox", sandbox }
+
+const { sendJson } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { appMode, isSandbox } = require("../lib/mode");
+
+module.exports = withRequestLog("mode", async function handler(req, res) {
+  if (req.method !== "GET") {
+    return sendJson(res, 405, {
+      ok: false,
+      error: "Method Not Allowed",
+    });
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=60");
+  return sendJson(res, 200, { ok: true, mode: appMode(), sandbox: isSandbox() });
+});
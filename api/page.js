@@ -0,0 +1,41 @@
+// /api/page.js
+
+// Serves the admin pages behind a login: GET ?name=<page>.
+// vercel.json routes /batch, /users, /errors and /console here so the HTML is never public.
+
+const fs = require("fs");
+const path = require("path");
+const { sendJson, sendText, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+
+const PAGES = {
+  batch: { file: "batch.html", role: "supervisor" },
+  users: { file: "users.html", role: "admin" },
+  errors: { file: "errors.html", role: "admin" },
+  console: { file: "console.html", role: "agent" },
+};
+
+module.exports = withRequestLog("page", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const page = PAGES[String(req.query?.name || "")];
+    if (!page) {
+      return sendJson(res, 404, { ok: false, error: "Page not found" });
+    }
+
+    if (!(await requireUser(req, res, page.role))) return;
+
+    const html = fs.readFileSync(path.join(process.cwd(), page.file), "utf8");
+    res.setHeader("Cache-Control", "no-store");
+    return sendText(res, 200, html, "text/html; charset=utf-8");
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,37 @@
+// /api/poll-tracking.js
+
+// Scheduled job (see "crons" in vercel.json): refreshes USPS tracking for
+// open return labels. GET or POST, optional ?limit=<n> (default 50).
+
+const { sendJson, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireCronOrUser } = require("../lib/basic-auth");
+const { hasSeraCredentials } = require("../lib/sera");
+const { pollTracking } = require("../lib/tracking");
+
+module.exports = withRequestLog("poll-tracking", async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireCronOrUser(req, res))) return;
+
+    if (!hasSeraCredentials()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing env vars: SERA_CLIENT_ID, SERA_CLIENT_SECRET.",
+      });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 200);
+    const summary = await pollTracking({ limit });
+
+    return sendJson(res, 200, { ok: true, ...summary });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,155 @@
+// /api/rates.js
+
+// Postage quote before buying a label:
+// POST { address1, address2?, city, state, zip, deviceType | devices, program?, service?, expedited? }
+//   -> { rates: [{ service, name, carrier, amountUsd, deliveryDays, withinBudget, exceeded }], budget }
+// The devices are packed into boxes the way the label is bought (lib/packages.js);
+// with several boxes a rate is the total for all of them. Without `service` every
+// enabled service that takes every box's weight is quoted (expedited: true keeps
+// only the faster ones). Cheapest first.
+
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { hasSeraCredentials } = require("../lib/sera");
+const { readDevices, planPackages } = require("../lib/packages");
+const { routeWarehouse, toSeraAddress } = require("../lib/warehouses");
+const {
+  AUTO_SERVICE,
+  DEFAULT_SERVICE,
+  getService,
+  listServices,
+  readRequestedService,
+  quoteRates,
+} = require("../lib/carriers");
+const { budgetStatus, capsExceeded } = require("../lib/budget");
+
+const ADDRESS_FIELDS = ["address1", "city", "state", "zip"];
+
+module.exports = withRequestLog("rates", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (!hasSeraCredentials()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing env vars: SERA_CLIENT_ID, SERA_CLIENT_SECRET.",
+      });
+    }
+
+    const body = parseJsonBody(req);
+    const s = (k) => String(body[k] || "").trim();
+
+    const { devices, missing: missingDevice, errors: deviceErrors } = readDevices(body);
+    const missing = [...ADDRESS_FIELDS.filter((k) => !s(k)), ...missingDevice];
+    if (missing.length) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: `Missing required fields: ${missing.join(", ")}`,
+      });
+    }
+
+    if (deviceErrors.length) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: deviceErrors.join("; "),
+      });
+    }
+
+    const packages = planPackages(devices);
+    const requested = readRequestedService(s("service"));
+    const expedited = body.expedited === true;
+
+    const services =
+      requested && requested !== AUTO_SERVICE
+        ? [requested]
+        : listServices().filter(
+            (svc) => packages.every((pkg) => pkg.weightOz <= svc.maxWeightOz) && (!expedited || svc.expedited)
+          );
+
+    const fromAddress = {
+      name: s("name") || "Customer",
+      address_line1: s("address1"),
+      address_line2: s("address2"),
+      city: s("city"),
+      state_province: s("state"),
+      postal_code: s("zip"),
+      country_code: "US",
+    };
+
+    // One quote per box, each to the warehouse its devices are routed to
+    const quotes = await Promise.all(
+      packages.map(async (pkg) => {
+        const { warehouse } = routeWarehouse({
+          state: s("state"),
+          zip: s("zip"),
+          deviceType: pkg.type,
+          program: s("program"),
+        });
+        const boxRates = await quoteRates({
+          fromAddress,
+          toAddress: toSeraAddress(warehouse),
+          weightOz: pkg.weightOz,
+          packagingType: pkg.packagingType,
+          dimensions: pkg.dimensions,
+          services,
+        });
+        return { warehouse, rates: boxRates };
+      })
+    );
+
+    // A service is offered only when it was quoted for every box
+    const [first, ...others] = quotes;
+    const rates = first.rates
+      .map((rate) => {
+        const same = others.map((q) => q.rates.find((r) => r.service === rate.service));
+        if (same.some((r) => !r)) return null;
+        return {
+          ...rate,
+          amountUsd: Math.round([rate, ...same].reduce((sum, r) => sum + r.amountUsd, 0) * 100) / 100,
+          deliveryDays: Math.max(...[rate, ...same].map((r) => r.deliveryDays ?? 0)) || null,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.amountUsd - b.amountUsd);
+
+    const budget = await budgetStatus({ username: user.username });
+
+    return sendJson(res, 200, {
+      ok: true,
+      deviceType: devices[0].type,
+      weightOz: packages.reduce((sum, pkg) => sum + pkg.weightOz, 0),
+      warehouse: first.warehouse.id,
+      ...(packages.length > 1
+        ? {
+            boxes: packages.map((pkg, i) => ({
+              devices: pkg.devices.map((d) => d.type),
+              weightOz: pkg.weightOz,
+              warehouse: quotes[i].warehouse.id,
+            })),
+          }
+        : {}),
+      defaultService: DEFAULT_SERVICE,
+      rates: rates.map((rate) => {
+        const exceeded = capsExceeded(budget, rate.amountUsd);
+        return {
+          ...rate,
+          name: getService(rate.service)?.name || rate.service,
+          withinBudget: !exceeded.length,
+          exceeded,
+        };
+      }),
+      budget,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,53 @@
+// /api/reissue.js
+
+// Reissue a return label: POST { requestId, reason?, changes? }
+// Voids the old label (and its Lob letter when Lob still allows it), then mails
+// a new label to the same customer for the same devices (lib/reissue.js).
+// `changes` can correct the address or set delivery, email or service.
+// Supervisors only, like /api/void-label.
+
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { hasSeraCredentials } = require("../lib/sera");
+const { isSandbox } = require("../lib/mode");
+const { reissueReturn } = require("../lib/reissue");
+
+module.exports = withRequestLog("reissue", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const user = await requireUser(req, res, "supervisor");
+    if (!user) return;
+
+    if (!hasSeraCredentials()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing env vars: SERA_CLIENT_ID, SERA_CLIENT_SECRET.",
+      });
+    }
+
+    const body = parseJsonBody(req);
+    const requestId = String(body.requestId || "").trim();
+
+    if (!requestId) {
+      return sendJson(res, 400, { ok: false, error: "Provide requestId" });
+    }
+
+    const result = await reissueReturn({
+      requestId,
+      reason: String(body.reason || "").trim(),
+      changes: body.changes && typeof body.changes === "object" ? body.changes : {},
+      user,
+    });
+
+    return sendJson(res, 200, { ok: true, sandbox: isSandbox(), ...result });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -1,84 +1,67 @@
 /**
- * Endicia / Stamps.com SERA OAuth callback (Production)
- * Uses HTTP Basic Auth for client authentication (fixes 401 Unauthorized)
+ * Endicia / Stamps.com SERA OAuth callback
+ * Exchanges the code from /api/sera/login and stores the refresh token
+ * (lib/sera.js); label creation picks it up without a redeploy.
  */
 
-module.exports = async (req, res) => {
+const { getBaseUrl } = require("../../lib/http");
+const { withRequestLog, logContext } = require("../../lib/log");
+const { recordFailure } = require("../../lib/failures");
+const { hasSeraCredentials, exchangeAuthorizationCode } = require("../../lib/sera");
+
+module.exports = withRequestLog("sera/callback", async (req, res) => {
   res.setHeader("Content-Type", "text/plain");
 
   try {
-    const SIGNIN_BASE = process.env.SERA_SIGNIN_BASE; // https://signin.stampsendicia.com
-    const CLIENT_ID = process.env.SERA_CLIENT_ID;
-    const CLIENT_SECRET = process.env.SERA_CLIENT_SECRET;
-    const REDIRECT_URI = process.env.SERA_REDIRECT_URI; // https://causps.vercel.app/api/sera/callback
-
-    if (!SIGNIN_BASE || !CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI) {
+    if (!hasSeraCredentials()) {
       res.statusCode = 500;
       return res.end(
         "❌ Missing env vars. Need:\n" +
-        "- SERA_SIGNIN_BASE\n- SERA_CLIENT_ID\n- SERA_CLIENT_SECRET\n- SERA_REDIRECT_URI\n"
+        "- SERA_CLIENT_ID\n- SERA_CLIENT_SECRET\n"
       );
     }
 
+    if (req.query.error) {
+      res.statusCode = 400;
+      return res.end(`❌ SERA sign-in failed: ${req.query.error}\n`);
+    }
+
     const code = req.query.code;
     if (!code) {
       res.statusCode = 400;
       return res.end("❌ Missing ?code= in callback URL.\n");
     }
 
-    const tokenUrl = SIGNIN_BASE.replace(/\/$/, "") + "/oauth/token";
-
-    // IMPORTANT: Use Basic Auth header (client_id:client_secret)
-    const basic = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64");
+    const redirectUri =
+      process.env.SERA_REDIRECT_URI || `${getBaseUrl(req)}/api/sera/callback`;
 
-    // Form body should NOT include client_secret for Basic-auth style servers
-    const body = new URLSearchParams({
-      grant_type: "authorization_code",
-      code: String(code),
-      redirect_uri: REDIRECT_URI
+    await exchangeAuthorizationCode({
+      code,
+      state: String(req.query.state || ""),
+      redirectUri,
     });
 
-    const resp = await fetch(tokenUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "Authorization": `Basic ${basic}`
-      },
-      body
-    });
-
-    const raw = await resp.text();
-    let data;
-    try { data = JSON.parse(raw); } catch { data = { raw }; }
-
-    if (!resp.ok) {
-      res.statusCode = resp.status;
-      return res.end(
-        `❌ Token exchange failed\n\nHTTP Status: ${resp.status}\n\n` +
-        JSON.stringify(data, null, 2) +
-        `\n\nDebug:\n` +
-        `TOKEN_URL=${tokenUrl}\n` +
-        `REDIRECT_URI=${REDIRECT_URI}\n` +
-        `CLIENT_ID_LAST4=${String(CLIENT_ID).slice(-4)}\n`
-      );
-    }
-
-    if (!data.refresh_token) {
-      res.statusCode = 500;
-      return res.end(
-        "❌ Success but no refresh_token returned:\n\n" +
-        JSON.stringify(data, null, 2)
-      );
-    }
-
     res.statusCode = 200;
     return res.end(
-      "✅ SUCCESS\n\nCopy this refresh_token into Vercel as SERA_REFRESH_TOKEN:\n\n" +
-      data.refresh_token + "\n"
+      "✅ SUCCESS\n\nSERA is authorized. The refresh token has been saved in the " +
+      `app's store (STORE_DRIVER=${process.env.STORE_DRIVER || "file"}) and will be ` +
+      "rotated automatically; there is no environment variable to update.\n"
     );
-
   } catch (e) {
-    res.statusCode = 500;
-    return res.end("❌ Server error: " + String(e) + "\n");
+    // The page is shown in a browser: details (which can hold SERA's token
+    // response) only go to the redacted log and the /errors dashboard
+    await recordFailure({
+      service: "sera",
+      operation: "authorize",
+      status: e.status || 500,
+      message: e.message || String(e),
+      details: e.details,
+    });
+
+    res.statusCode = e.status || 500;
+    return res.end(
+      `❌ ${e.status ? e.message : "Server error."}\n\n` +
+      `Reference: ${logContext().correlationId}\n`
+    );
   }
-};
+});
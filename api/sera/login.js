@@ -1,20 +1,30 @@
-export default async function handler(req, res) {
-  const env = process.env.SERA_ENV || "staging";
-  const signinBase =
-    env === "production"
-      ? "https://signin.stampsendicia.com"
-      : "https://signin.testing.stampsendicia.com";
+// /api/sera/login.js
 
-  const clientId = process.env.SERA_CLIENT_ID;
-  const redirectUri = process.env.SERA_REDIRECT_URI;
+// Starts SERA re-authorization: redirects an admin to the SERA sign-in page.
+// The callback (/api/sera/callback) stores the new refresh token itself.
 
-  const url =
-    `${signinBase}/authorize` +
-    `?response_type=code` +
-    `&client_id=${encodeURIComponent(clientId)}` +
-    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
-    `&scope=${encodeURIComponent("offline_access")}`;
+const { getBaseUrl, sendJson, sendError } = require("../../lib/http");
+const { withRequestLog } = require("../../lib/log");
+const { requireUser } = require("../../lib/basic-auth");
+const { hasSeraCredentials, createAuthorizeUrl } = require("../../lib/sera");
 
-  res.writeHead(302, { Location: url });
-  res.end();
-}
+module.exports = withRequestLog("sera/login", async function handler(req, res) {
+  try {
+    if (!(await requireUser(req, res, "admin"))) return;
+
+    if (!hasSeraCredentials()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing env vars: SERA_CLIENT_ID, SERA_CLIENT_SECRET.",
+      });
+    }
+
+    const redirectUri =
+      process.env.SERA_REDIRECT_URI || `${getBaseUrl(req)}/api/sera/callback`;
+
+    res.writeHead(302, { Location: await createAuthorizeUrl(redirectUri) });
+    res.end();
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
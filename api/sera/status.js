@@ -0,0 +1,43 @@
+// /api/sera/status.js
+
+// SERA token health: GET -> { ok, sera: { needsReauth, accessTokenValid, ... } }
+// ?check=1 also performs a token refresh to prove the stored refresh token works.
+// ok is false (HTTP 503) when an admin needs to re-authorize at /api/sera/login.
+
+const { sendJson, sendError } = require("../../lib/http");
+const { withRequestLog } = require("../../lib/log");
+const { requireUser } = require("../../lib/basic-auth");
+const { getAccessToken, getSeraAuthStatus } = require("../../lib/sera");
+
+module.exports = withRequestLog("sera/status", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res, "supervisor"))) return;
+
+    let checkError = null;
+    if (req.query?.check) {
+      try {
+        await getAccessToken({ forceRefresh: true });
+      } catch (e) {
+        checkError = e.message || String(e);
+      }
+    }
+
+    const sera = await getSeraAuthStatus();
+    const healthy = sera.configured && !sera.needsReauth && !checkError;
+
+    return sendJson(res, healthy ? 200 : 503, {
+      ok: healthy,
+      sera,
+      ...(checkError ? { error: checkError } : {}),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
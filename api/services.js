@@ -0,0 +1,24 @@
+// /api/services.js
+
+// Shipping services for the forms: GET -> { defaultService, services: [{ code, carrier, carrierName, name, maxWeightOz, expedited }] }
+// Only services whose carrier is enabled on this deployment are listed.
+
+const { sendJson } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { DEFAULT_SERVICE, listServices } = require("../lib/carriers");
+
+module.exports = withRequestLog("services", async function handler(req, res) {
+  if (req.method !== "GET") {
+    return sendJson(res, 405, {
+      ok: false,
+      error: "Method Not Allowed",
+    });
+  }
+
+  res.setHeader("Cache-Control", "public, max-age=300");
+  return sendJson(res, 200, {
+    ok: true,
+    defaultService: DEFAULT_SERVICE,
+    services: listServices(),
+  });
+});
@@ -0,0 +1,45 @@
+// /api/shipments.js
+
+// Ledger lookup: GET ?id=<requestId> | ?tracking=<n> | ?serial=<s> | ?name=<n> | ?phone=<p> | ?status=<s>
+// | ?agent=<username> (all but id can be combined; all given filters must match)
+// e.g. ?status=letter_returned lists letters Lob returned to sender.
+
+const { sendJson, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { getShipment, findShipments } = require("../lib/ledger");
+
+module.exports = withRequestLog("shipments", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res))) return;
+
+    const { id, tracking, serial, name, phone, status, agent } = req.query || {};
+
+    if (id) {
+      const shipment = await getShipment(String(id));
+      if (!shipment) {
+        return sendJson(res, 404, { ok: false, error: "Shipment not found" });
+      }
+      return sendJson(res, 200, { ok: true, shipment });
+    }
+
+    if (!tracking && !serial && !name && !phone && !status && !agent) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: "Provide one of: id, tracking, serial, name, phone, status, agent",
+      });
+    }
+
+    const shipments = await findShipments({ tracking, serial, name, phone, status, agent });
+    return sendJson(res, 200, { ok: true, count: shipments.length, shipments });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,29 @@
+// /api/status.js
+
+// Customer status lookup (status.html): GET ?tracking=<n> | ?phone=<p>&zip=<z>
+// -> { returns: [...] }, newest first. Public, so it only ever returns the
+// fields in lib/status.js publicStatus(), and lookups are rate limited per IP.
+
+const { sendJson, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { clientIp } = require("../lib/abuse");
+const { lookupStatus } = require("../lib/status");
+
+module.exports = withRequestLog("status", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const { tracking, phone, zip } = req.query || {};
+    const returns = await lookupStatus({ tracking, phone, zip, ip: clientIp(req) });
+
+    res.setHeader("Cache-Control", "no-store");
+    return sendJson(res, 200, { ok: true, returns });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,56 @@
+// /api/tracking-report.js
+
+// Retention follow-up list: GET ?days=<n> returns open returns with no USPS
+// scan for at least n days (default TRACKING_STALLED_DAYS). ?format=csv downloads it.
+
+const { sendJson, sendText, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { toCsv } = require("../lib/csv");
+const { STALLED_DAYS, noScanReport } = require("../lib/tracking");
+
+const REPORT_COLUMNS = [
+  "requestId",
+  "createdAt",
+  "customerName",
+  "customerPhone",
+  "deviceType",
+  "deviceSerial",
+  "trackingNumber",
+  "classification",
+  "lastScanAt",
+  "checkedAt",
+  "daysWithoutScan",
+];
+
+module.exports = withRequestLog("tracking-report", async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res, "supervisor"))) return;
+
+    const days = Number(req.query?.days ?? STALLED_DAYS);
+    if (!Number.isFinite(days) || days < 0) {
+      return sendJson(res, 400, { ok: false, error: "days must be a non-negative number" });
+    }
+
+    const rows = await noScanReport({ days });
+
+    if (req.query?.format === "csv") {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="returns-no-scan-${days}d.csv"`
+      );
+      return sendText(res, 200, toCsv(REPORT_COLUMNS, rows), "text/csv");
+    }
+
+    return sendJson(res, 200, { ok: true, days, count: rows.length, rows });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
@@ -0,0 +1,55 @@
+// /api/users.js
+
+// Agent accounts (admin only):
+//   GET                                                -> { users }
+//   POST  { username, name?, role?, password }         -> create
+//   PATCH { username, name?, role?, password?, disabled? } -> update
+// GET ?me=1 is open to any logged-in user and returns their own account.
+
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { ROLES, listUsers, createUser, updateUser } = require("../lib/users");
+
+module.exports = withRequestLog("users", async function handler(req, res) {
+  try {
+    if (!["GET", "POST", "PATCH"].includes(req.method)) {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (req.method === "GET" && req.query?.me) {
+      const me = await requireUser(req, res);
+      if (!me) return;
+      return sendJson(res, 200, { ok: true, user: me });
+    }
+
+    const admin = await requireUser(req, res, "admin");
+    if (!admin) return;
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, { ok: true, roles: ROLES, users: await listUsers() });
+    }
+
+    const body = parseJsonBody(req);
+
+    if (req.method === "POST") {
+      const user = await createUser(body, admin);
+      return sendJson(res, 201, { ok: true, user });
+    }
+
+    if (!String(body.username || "").trim()) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: "Missing username",
+      });
+    }
+
+    const user = await updateUser(body.username, body, admin);
+    return sendJson(res, 200, { ok: true, user });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
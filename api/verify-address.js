@@ -0,0 +1,44 @@
+// /api/verify-address.js
+
+// Address check for the form's "did you mean" step:
+// POST { address1, address2?, city, state, zip } -> { deliverable, standardized, corrections }
+
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { verifyAddress } = require("../lib/address-verification");
+
+module.exports = withRequestLog("verify-address", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    if (!(await requireUser(req, res))) return;
+
+    const body = parseJsonBody(req);
+    const address = {
+      address1: String(body.address1 || "").trim(),
+      address2: String(body.address2 || "").trim(),
+      city: String(body.city || "").trim(),
+      state: String(body.state || "").trim(),
+      zip: String(body.zip || "").trim(),
+    };
+
+    const missing = ["address1", "city", "state", "zip"].filter((k) => !address[k]);
+    if (missing.length) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: `Missing required fields: ${missing.join(", ")}`,
+      });
+    }
+
+    const verification = await verifyAddress(address);
+    return sendJson(res, 200, { ok: true, ...verification });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
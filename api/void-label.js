@@ -0,0 +1,55 @@
+// /api/void-label.js
+
+// Void a SERA label: POST { labelId | trackingNumber | requestId, reason? }
+// Also cancels the Lob letter when the label was mailed and Lob still allows it.
+
+const { sendJson, parseJsonBody, sendError } = require("../lib/http");
+const { withRequestLog } = require("../lib/log");
+const { requireUser } = require("../lib/basic-auth");
+const { hasSeraCredentials } = require("../lib/sera");
+const { voidShipmentLabel } = require("../lib/voids");
+
+module.exports = withRequestLog("void-label", async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, {
+        ok: false,
+        error: "Method Not Allowed",
+      });
+    }
+
+    const user = await requireUser(req, res, "supervisor");
+    if (!user) return;
+
+    if (!hasSeraCredentials()) {
+      return sendJson(res, 500, {
+        ok: false,
+        error: "Missing env vars: SERA_CLIENT_ID, SERA_CLIENT_SECRET.",
+      });
+    }
+
+    const body = parseJsonBody(req);
+    const requestId = String(body.requestId || "").trim();
+    const labelId = String(body.labelId || "").trim();
+    const trackingNumber = String(body.trackingNumber || "").replace(/\s+/g, "");
+
+    if (!requestId && !labelId && !trackingNumber) {
+      return sendJson(res, 400, {
+        ok: false,
+        error: "Provide one of: labelId, trackingNumber, requestId",
+      });
+    }
+
+    const result = await voidShipmentLabel({
+      requestId,
+      labelId,
+      trackingNumber,
+      reason: String(body.reason || "").trim(),
+      user,
+    });
+
+    return sendJson(res, 200, { ok: true, ...result });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
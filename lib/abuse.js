@@ -0,0 +1,336 @@
+// /lib/abuse.js
+
+// Abuse protection for the routes that buy postage (/api/mail-label and
+// /api/create-label), on top of the agent login:
+//
+//   form token   agents must send a signed token from the request page (lib/form-token.js),
+//                once per submission. Supervisors and admins, who also script against
+//                the API, are exempt.
+//   rate limits  attempts per client IP, street address and phone (lib/rate-limit.js):
+//                  RATE_LIMIT_IP       default 60/1h
+//                  RATE_LIMIT_ADDRESS  default 5/24h
+//                  RATE_LIMIT_PHONE    default 5/24h
+//                and form tokens issued (/api/form-token) per client IP:
+//                  RATE_LIMIT_FORM_TOKEN  default 120/1h
+//   duplicates   labels already bought (in the ledger, not voided) within
+//                DUPLICATE_WINDOW_DAYS (default 30) for the same customer (phone or
+//                street address) or the same device serial:
+//                  DUPLICATE_MAX_PER_CUSTOMER  default 3
+//                  DUPLICATE_MAX_PER_SERIAL    default 1
+//                0 turns a check off. Supervisors can send allowDuplicate: true.
+//
+// A blocked attempt is logged, counted (requests_blocked) and kept for review on
+// the /errors page: the newest BLOCKED_KEPT in "abuse" / "blocked".
+
+const crypto = require("crypto");
+const ledger = require("./ledger");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+const { hasRole } = require("./users");
+const { log, redact, logContext } = require("./log");
+const { incrementCounter } = require("./metrics");
+const { parseLimit, hitRateLimit } = require("./rate-limit");
+const { formTokensEnabled, verifyFormToken, claimFormToken, readFormToken } = require("./form-token");
+
+const COLLECTION = "abuse";
+const DOC = "blocked";
+const BLOCKED_KEPT = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORM_TOKEN_ERRORS = {
+  missing: "This form has expired. Reload the page and submit it again.",
+  invalid: "This form has expired. Reload the page and submit it again.",
+  expired: "This form has expired. Reload the page and submit it again.",
+  too_fast: "The form was submitted too quickly. Check the details and submit it again.",
+  used: "This form was already submitted. Reload the page to send another request.",
+};
+
+const RATE_LIMIT_ERRORS = {
+  ip: "Too many requests from this network.",
+  address: "Too many requests for this address.",
+  phone: "Too many requests for this phone number.",
+  form_token: "Too many forms opened from this network.",
+};
+
+function readCount(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+function rateLimits() {
+  return {
+    ip: parseLimit(process.env.RATE_LIMIT_IP ?? "60/1h"),
+    address: parseLimit(process.env.RATE_LIMIT_ADDRESS ?? "5/24h"),
+    phone: parseLimit(process.env.RATE_LIMIT_PHONE ?? "5/24h"),
+    form_token: parseLimit(process.env.RATE_LIMIT_FORM_TOKEN ?? "120/1h"),
+  };
+}
+
+function duplicateLimits() {
+  return {
+    windowDays: readCount("DUPLICATE_WINDOW_DAYS", 30) || 30,
+    perCustomer: readCount("DUPLICATE_MAX_PER_CUSTOMER", 3),
+    perSerial: readCount("DUPLICATE_MAX_PER_SERIAL", 1),
+  };
+}
+
+/**
+ * The caller's IP: X-Real-IP, which Vercel sets to the address it saw, else
+ * the last X-Forwarded-For hop (added by the proxy in front of us; earlier
+ * hops are whatever the client sent), else the socket.
+ */
+function clientIp(req) {
+  const realIp = String(req.headers?.["x-real-ip"] || "").trim();
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",").at(-1).trim();
+  return realIp || forwarded || req.socket?.remoteAddress || "unknown";
+}
+
+const STREET_WORDS = { street: "st", avenue: "ave", road: "rd", drive: "dr", lane: "ln", court: "ct", boulevard: "blvd" };
+
+/** Street line + ZIP5, normalized so "100 Main Street" and "100 MAIN ST." match. */
+function addressKey({ address1, zip } = {}) {
+  const street = String(address1 || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => STREET_WORDS[w] || w)
+    .join(" ");
+  const zip5 = String(zip || "").replace(/\D/g, "").slice(0, 5);
+  return street && zip5.length === 5 ? `${street}|${zip5}` : "";
+}
+
+function phoneKey({ phone } = {}) {
+  const digits = String(phone || "").replace(/\D/g, "").replace(/^1(?=\d{10}$)/, "");
+  return digits.length >= 7 ? digits : "";
+}
+
+/**
+ * Logs, counts and keeps a blocked attempt, and returns the error to throw:
+ * `status` with details.reason (and details.retryAfterSeconds for rate limits).
+ */
+async function blockAttempt(
+  { reason, status, message, ip = null, user, body, detail, retryAfterSeconds = 0 },
+  store = getStore()
+) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...logContext(),
+    reason,
+    ip,
+    username: user?.username || null,
+    customer: redact({
+      phone: body?.phone || "",
+      zip: body?.zip || "",
+      deviceSerial: ledger.devicesFromBody(body).map((d) => d.serial).filter(Boolean).join(", "),
+    }),
+    detail: detail ? redact(detail) : null,
+  };
+
+  log.warn("blocked", { reason, ip, username: entry.username, customer: entry.customer, detail: entry.detail });
+  await incrementCounter("requests_blocked");
+
+  try {
+    await store.update(COLLECTION, DOC, (current) => ({
+      items: [entry, ...(current?.items || [])].slice(0, BLOCKED_KEPT),
+    }));
+  } catch (e) {
+    log.error("blocked.store_failed", { error: e.message || String(e) });
+  }
+
+  const err = httpError(status, message, {
+    reason,
+    ...(retryAfterSeconds ? { retryAfterSeconds } : {}),
+  });
+  err.blocked = true;
+  if (retryAfterSeconds) err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+/** Throws the recorded 403 for a form token that failed `check` (lib/form-token.js). */
+async function blockFormToken({ check, ip, user, body }, store) {
+  throw await blockAttempt(
+    {
+      reason: "form_token",
+      status: 403,
+      message: FORM_TOKEN_ERRORS[check.reason],
+      ip,
+      user,
+      body,
+      detail: { check: check.reason },
+    },
+    store
+  );
+}
+
+/** Counts a hit in `bucket`; throws the recorded 429 when it is over `limit`. */
+async function checkRateLimit({ bucket, key, limit, ip, user = null, body = null }, store) {
+  const hit = await hitRateLimit({ bucket, key, limit }, store);
+  if (hit.allowed) return;
+
+  const minutes = Math.ceil(hit.retryAfterSeconds / 60);
+  throw await blockAttempt(
+    {
+      reason: `rate_limit_${bucket}`,
+      status: 429,
+      message: `${RATE_LIMIT_ERRORS[bucket]} Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+      ip,
+      user,
+      body,
+      retryAfterSeconds: hit.retryAfterSeconds,
+    },
+    store
+  );
+}
+
+/** Whether `user` has to send a form token. */
+function needsFormToken(user) {
+  return formTokensEnabled() && !hasRole(user, "supervisor");
+}
+
+/**
+ * Route-level checks before any work: the form token's signature and age,
+ * then the IP, address and phone rate limits. Throws a 403 / 429 (already
+ * recorded) when blocked. The token is not used up here: routes validate the
+ * body next and then call claimSubmission(), so a form sent back with a 400
+ * can be corrected and sent again. Routes skip both for an idempotent replay
+ * (lib/idempotency.js isReplay).
+ */
+async function guardSubmission({ req, body, user }, store = getStore()) {
+  const ip = clientIp(req);
+
+  if (needsFormToken(user)) {
+    const check = verifyFormToken(readFormToken(req));
+    if (!check.ok) await blockFormToken({ check, ip, user, body }, store);
+  }
+
+  const limits = rateLimits();
+  const keys = { ip, address: addressKey(body), phone: phoneKey(body) };
+
+  for (const bucket of ["ip", "address", "phone"]) {
+    await checkRateLimit({ bucket, key: keys[bucket], limit: limits[bucket], ip, user, body }, store);
+  }
+}
+
+/**
+ * Uses up the submission's form token once its body is valid (after
+ * guardSubmission). Throws the recorded 403 when it was already used.
+ */
+async function claimSubmission({ req, body, user }, store = getStore()) {
+  if (!needsFormToken(user)) return;
+
+  const token = readFormToken(req);
+  const check = verifyFormToken(token);
+  if (check.ok && !(await claimFormToken(token, check, store))) {
+    check.ok = false;
+    check.reason = "used";
+  }
+  if (!check.ok) await blockFormToken({ check, ip: clientIp(req), user, body }, store);
+}
+
+/**
+ * Counts a form token issued by /api/form-token (public) against
+ * RATE_LIMIT_FORM_TOKEN for the client IP; throws the recorded 429 when over.
+ */
+async function guardFormTokenIssue(req, store = getStore()) {
+  const ip = clientIp(req);
+  await checkRateLimit({ bucket: "form_token", key: ip, limit: rateLimits().form_token, ip }, store);
+}
+
+/**
+ * Throws a 409 (already recorded) when the customer or any device serial in
+ * `body` already has the allowed number of labels in the window. `requestId`
+ * (the record being worked on) and the other boxes of its request are not counted. Supervisors skip the check with
+ * body.allowDuplicate === true.
+ */
+async function assertNotDuplicate({ body, user, requestId, now = Date.now() }, store = getStore()) {
+  const { windowDays, perCustomer, perSerial } = duplicateLimits();
+  if (!perCustomer && !perSerial) return;
+
+  if (body?.allowDuplicate === true && hasRole(user, "supervisor")) {
+    log.info("duplicate_check.skipped", { requestId, by: user.username });
+    return;
+  }
+
+  const since = now - windowDays * DAY_MS;
+  const sandbox = isSandbox();
+  const phone = phoneKey(body);
+  const address = addressKey(body);
+  const serials = ledger.devicesFromBody(body).map((d) => d.serial).filter(Boolean);
+
+  const labels = await ledger.listShipments(
+    (doc) =>
+      doc.requestId !== requestId &&
+      doc.group?.id !== requestId &&
+      Boolean(doc.sandbox) === sandbox &&
+      doc.label?.labelId &&
+      !doc.label.voidedAt &&
+      Date.parse(doc.label.createdAt || doc.createdAt) >= since,
+    store
+  );
+
+  // The first serial in the request that is over its limit, if any
+  const serialLabels = serials.map((serial) => ({
+    serial,
+    docs: labels.filter((doc) => ledger.recordSerials(doc).includes(serial.toLowerCase())),
+  }));
+  const sameSerial = serialLabels.find((s) => s.docs.length >= perSerial);
+  const sameCustomer = labels.filter(
+    (doc) =>
+      (phone && phoneKey(doc.customer) === phone) ||
+      (address && addressKey(doc.customer) === address)
+  );
+
+  const within = `in the last ${windowDays} day${windowDays === 1 ? "" : "s"}`;
+
+  if (perSerial && sameSerial) {
+    throw await blockAttempt(
+      {
+        reason: "duplicate_serial",
+        status: 409,
+        message: `Device ${sameSerial.serial} already has a return label ${within}.`,
+        user,
+        body,
+        detail: { requestIds: sameSerial.docs.map((d) => d.requestId).slice(0, 5) },
+      },
+      store
+    );
+  }
+
+  if (perCustomer && sameCustomer.length >= perCustomer) {
+    throw await blockAttempt(
+      {
+        reason: "duplicate_customer",
+        status: 409,
+        message: `This customer already has ${sameCustomer.length} return label${
+          sameCustomer.length === 1 ? "" : "s"
+        } ${within}.`,
+        user,
+        body,
+        detail: { requestIds: sameCustomer.map((d) => d.requestId).slice(0, 5) },
+      },
+      store
+    );
+  }
+}
+
+/** Newest first; `limit` caps (default 50). */
+async function listBlocked({ limit = 50 } = {}, store = getStore()) {
+  const doc = (await store.get(COLLECTION, DOC)) || {};
+  return (doc.items || []).slice(0, Math.max(1, Math.min(Number(limit) || 50, BLOCKED_KEPT)));
+}
+
+module.exports = {
+  COLLECTION,
+  clientIp,
+  addressKey,
+  phoneKey,
+  guardSubmission,
+  claimSubmission,
+  guardFormTokenIssue,
+  assertNotDuplicate,
+  listBlocked,
+};
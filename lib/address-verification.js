@@ -0,0 +1,177 @@
+// /lib/address-verification.js
+
+// US address verification before postage is bought.
+//
+// Providers (ADDRESS_VERIFY_PROVIDER):
+//   lob   (default) Lob US Verifications API, key LOB_VERIFY_API_KEY || LOB_API_KEY
+//                   (LOB_TEST_API_KEY in sandbox mode)
+//   stub            offline, deterministic; for local runs and tests (default in sandbox mode)
+//   none            verification disabled (every address passes as entered)
+//
+// Every provider resolves to the same shape:
+//   { provider, deliverability, deliverable, standardized, corrections }
+// where standardized is { address1, address2, city, state, zip } with ZIP+4
+// when known, and corrections lists the fields that differ from the input.
+
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+const { upstreamFetch } = require("./log");
+const { recordFailure } = require("./failures");
+const { LOB_API_BASE, lobApiKey, lobKeyEnvName } = require("./lob");
+
+const ADDRESS_FIELDS = ["address1", "address2", "city", "state", "zip"];
+
+// Lob deliverability values that still get a letter/label to the customer
+const DELIVERABLE = new Set([
+  "deliverable",
+  "deliverable_unnecessary_unit",
+  "deliverable_incorrect_unit",
+  "deliverable_missing_unit",
+]);
+
+const providers = {
+  async lob(address) {
+    const key = process.env.LOB_VERIFY_API_KEY || lobApiKey();
+    if (!key) throw new Error(`Missing LOB_VERIFY_API_KEY / ${lobKeyEnvName()} env var`);
+
+    const resp = await upstreamFetch("lob", "verify_address", `${LOB_API_BASE}/v1/us_verifications`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${Buffer.from(`${key}:`).toString("base64")}`,
+      },
+      body: JSON.stringify({
+        primary_line: address.address1,
+        secondary_line: address.address2 || "",
+        city: address.city,
+        state: address.state,
+        zip_code: address.zip,
+      }),
+    });
+
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok || !data?.deliverability) {
+      await recordFailure({
+        service: "lob",
+        operation: "verify_address",
+        status: resp.status,
+        message: "Address verification failed",
+        details: data,
+      });
+      throw httpError(502, "Address verification failed", data);
+    }
+
+    const c = data.components || {};
+    return {
+      deliverability: data.deliverability,
+      standardized: {
+        address1: data.primary_line || "",
+        address2: data.secondary_line || "",
+        city: c.city || "",
+        state: c.state || "",
+        zip: c.zip_code
+          ? c.zip_code_plus_4
+            ? `${c.zip_code}-${c.zip_code_plus_4}`
+            : c.zip_code
+          : "",
+      },
+    };
+  },
+
+  async stub(address) {
+    const clean = (v) => String(v || "").trim().replace(/\s+/g, " ").toUpperCase();
+    const zip5 = String(address.zip || "").replace(/\D/g, "").slice(0, 5);
+    const undeliverable =
+      zip5.length !== 5 ||
+      zip5 === "00000" ||
+      /UNDELIVERABLE/i.test(address.address1 || "");
+
+    return {
+      deliverability: undeliverable ? "undeliverable" : "deliverable",
+      standardized: undeliverable
+        ? null
+        : {
+            address1: clean(address.address1)
+              .replace(/\bSTREET\b/g, "ST")
+              .replace(/\bAVENUE\b/g, "AVE")
+              .replace(/\bROAD\b/g, "RD")
+              .replace(/\bDRIVE\b/g, "DR"),
+            address2: clean(address.address2),
+            city: clean(address.city),
+            state: clean(address.state),
+            zip: `${zip5}-0001`,
+          },
+    };
+  },
+
+  async none(address) {
+    return {
+      deliverability: "unverified",
+      standardized: null,
+    };
+  },
+};
+
+function providerName() {
+  return process.env.ADDRESS_VERIFY_PROVIDER || (isSandbox() ? "stub" : "lob");
+}
+
+/**
+ * Verifies { address1, address2, city, state, zip }.
+ * Throws (status 502) when the provider can't be reached.
+ */
+async function verifyAddress(address) {
+  const name = providerName();
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown ADDRESS_VERIFY_PROVIDER: ${name}`);
+
+  const { deliverability, standardized } = await provider(address);
+  const deliverable = name === "none" || DELIVERABLE.has(deliverability);
+
+  const corrections = standardized
+    ? ADDRESS_FIELDS.filter(
+        (f) =>
+          String(standardized[f] || "").toUpperCase() !==
+          String(address[f] || "").trim().toUpperCase()
+      ).map((f) => ({ field: f, from: address[f] || "", to: standardized[f] || "" }))
+    : [];
+
+  return {
+    provider: name,
+    deliverability,
+    deliverable,
+    standardized,
+    corrections,
+  };
+}
+
+/**
+ * Verification as the label pipeline applies it: undeliverable addresses
+ * are rejected (422) unless `override` is set; deliverable ones come back
+ * standardized. Returns { fields, verification }.
+ */
+async function verifyForShipping(fields, { override = false } = {}) {
+  const verification = await verifyAddress(fields);
+
+  if (!verification.deliverable && !override) {
+    throw httpError(
+      422,
+      "Address appears undeliverable. Check it, or resend with addressOverride: true.",
+      { verification }
+    );
+  }
+
+  // Keep what was typed when overriding; otherwise ship to the standardized form
+  const useStandardized = verification.deliverable && verification.standardized && !override;
+
+  return {
+    fields: useStandardized ? { ...fields, ...verification.standardized } : fields,
+    verification: { ...verification, override, applied: Boolean(useStandardized) },
+  };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  verifyAddress,
+  verifyForShipping,
+};
@@ -0,0 +1,79 @@
+// /lib/basic-auth.js
+
+// Basic Auth against per-user accounts, with role checks
+
+const { sendJson } = require("./http");
+const { authenticate, hasRole } = require("./users");
+
+function unauthorized(res) {
+  res.statusCode = 401;
+  res.setHeader("WWW-Authenticate", 'Basic realm="Return Label Mailer"');
+  res.end("Unauthorized");
+}
+
+function parseBasicAuth(req) {
+  const header = req.headers.authorization || req.headers.Authorization;
+  if (!header || !header.toString().startsWith("Basic ")) return null;
+
+  try {
+    const decoded = Buffer.from(
+      header.toString().replace("Basic ", ""),
+      "base64"
+    ).toString("utf8");
+
+    const idx = decoded.indexOf(":");
+    if (idx === -1) return null;
+
+    return {
+      user: decoded.slice(0, idx),
+      pass: decoded.slice(idx + 1),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks the Basic Auth login against the user accounts (lib/users.js) and
+ * that the user has at least `role`. Resolves to the user when the caller may
+ * continue; otherwise to null, and the response has already been sent.
+ */
+async function requireUser(req, res, role = "agent") {
+  const creds = parseBasicAuth(req);
+  const user = creds ? await authenticate(creds.user, creds.pass) : null;
+
+  if (!user) {
+    unauthorized(res);
+    return null;
+  }
+
+  if (!hasRole(user, role)) {
+    sendJson(res, 403, {
+      ok: false,
+      error: `Requires the ${role} role`,
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; scheduled
+ * endpoints accept that or a user login with at least `role`.
+ * Resolves to the user, { cron: true }, or null (response already sent).
+ */
+async function requireCronOrUser(req, res, role = "supervisor") {
+  const header = String(req.headers.authorization || req.headers.Authorization || "");
+  const cronSecret = process.env.CRON_SECRET || "";
+
+  if (cronSecret && header === `Bearer ${cronSecret}`) return { cron: true };
+  return requireUser(req, res, role);
+}
+
+module.exports = {
+  parseBasicAuth,
+  unauthorized,
+  requireUser,
+  requireCronOrUser,
+};
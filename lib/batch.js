@@ -0,0 +1,347 @@
+// /lib/batch.js
+
+// CSV batch mailing: validate every row up front, then run the mail
+// pipeline for valid rows with bounded concurrency. Rows that already
+// mailed successfully are remembered by fingerprint and skipped on re-upload;
+// rows that failed part-way resume after their last finished step (lib/idempotency.js).
+// The fingerprint covers the customer and device only, so a failed row re-uploaded
+// with another column fixed (email, delivery, ...) starts over instead, and the
+// label its failed attempt bought is voided.
+
+const crypto = require("crypto");
+const { parseCsvObjects, toCsv } = require("./csv");
+const { readMailFields, mailReturnLabel } = require("./mailing");
+const { getStore } = require("./store");
+const { redact } = require("./log");
+
+const COLLECTION = "batch_rows";
+const MAX_ROWS = 1000;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 5;
+
+// A row marked pending longer than this is assumed to have crashed mid-run
+const PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Accepted CSV columns (matched case-insensitively, ignoring spaces/underscores)
+const INPUT_COLUMNS = [
+  "name",
+  "address1",
+  "address2",
+  "city",
+  "state",
+  "zip",
+  "phone",
+  "email",
+  "deviceType",
+  "deviceSerial",
+  "returnReason",
+  "delivery",
+  "service",
+  "program",
+  "language",
+];
+
+const RESULT_COLUMNS = [
+  "row",
+  "status",
+  "name",
+  "zip",
+  "deviceType",
+  "deviceSerial",
+  "requestId",
+  "uspsTrackingNumber",
+  "lobLetterId",
+  "lobStatus",
+  "emailedTo",
+  "error",
+];
+
+function columnKey(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+const COLUMN_LOOKUP = Object.fromEntries(
+  INPUT_COLUMNS.map((c) => [columnKey(c), c])
+);
+
+/**
+ * Parses the uploaded CSV into request bodies shaped like /api/mail-label input.
+ */
+function parseBatchCsv(text) {
+  const { columns, records } = parseCsvObjects(text);
+
+  const unknownColumns = columns.filter((c) => c && !COLUMN_LOOKUP[columnKey(c)]);
+
+  const bodies = records.map((rec) => {
+    const body = {};
+    for (const [col, value] of Object.entries(rec)) {
+      const key = COLUMN_LOOKUP[columnKey(col)];
+      if (key) body[key] = String(value).trim();
+    }
+    return body;
+  });
+
+  return { columns, unknownColumns, bodies };
+}
+
+function rowFingerprint(fields, body) {
+  const parts = [
+    fields.name,
+    fields.address1,
+    fields.address2,
+    fields.city,
+    fields.state,
+    fields.zip,
+    String(fields.phone || "").replace(/\D/g, ""),
+    fields.deviceType,
+    body.deviceSerial || "",
+  ].map((v) => String(v || "").trim().toLowerCase());
+
+  return crypto.createHash("sha256").update(parts.join("|")).digest("hex");
+}
+
+function validateBody(body) {
+  const { fields, missing, errors: fieldErrors } = readMailFields(body);
+  const errors = [];
+
+  if (missing.length) errors.push(`Missing required fields: ${missing.join(", ")}`);
+  errors.push(...fieldErrors);
+  if (fields.delivery === "download") {
+    errors.push("delivery \"download\" is not available for batch uploads");
+  }
+  if (fields.state && !/^[A-Za-z]{2}$/.test(fields.state)) {
+    errors.push("State must be a 2-letter code");
+  }
+  if (fields.zip && !/^\d{5}(-?\d{4})?$/.test(fields.zip)) {
+    errors.push("ZIP must be 5 or 9 digits");
+  }
+
+  if (fields.state) fields.state = fields.state.toUpperCase();
+
+  return { fields, errors };
+}
+
+/**
+ * Validates all rows and assigns fingerprints. Repeats of an earlier row in
+ * the same file are flagged so only the first one is mailed.
+ */
+function prepareRows(bodies) {
+  const seen = new Map();
+
+  return bodies.map((body, i) => {
+    const rowNumber = i + 1;
+    const { fields, errors } = validateBody(body);
+
+    const row = {
+      row: rowNumber,
+      body: { ...body, state: fields.state || body.state },
+      fields,
+      errors,
+      fingerprint: null,
+      duplicateOf: null,
+    };
+
+    if (!errors.length) {
+      row.fingerprint = rowFingerprint(fields, body);
+      if (seen.has(row.fingerprint)) {
+        row.duplicateOf = seen.get(row.fingerprint);
+      } else {
+        seen.set(row.fingerprint, rowNumber);
+      }
+    }
+
+    return row;
+  });
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+function baseResult(row) {
+  return {
+    row: row.row,
+    status: "",
+    name: row.fields.name || row.body.name || "",
+    zip: row.fields.zip || row.body.zip || "",
+    deviceType: row.fields.deviceType || row.body.deviceType || "",
+    deviceSerial: row.body.deviceSerial || "",
+    requestId: "",
+    uspsTrackingNumber: "",
+    lobLetterId: "",
+    lobStatus: "",
+    emailedTo: "",
+    error: "",
+  };
+}
+
+function resultFromPrevious(row, previous, status) {
+  return {
+    ...baseResult(row),
+    status,
+    requestId: previous.requestId || "",
+    uspsTrackingNumber: previous.uspsTrackingNumber || "",
+    lobLetterId: previous.lobLetterId || "",
+    lobStatus: previous.lobStatus || "",
+    emailedTo: previous.emailedTo || "",
+  };
+}
+
+function isPendingFresh(previous) {
+  if (previous?.status !== "pending") return false;
+  return Date.now() - Date.parse(previous.startedAt) < PENDING_TIMEOUT_MS;
+}
+
+async function mailRow(row, { user, clients, store }) {
+  const previous = await store.get(COLLECTION, row.fingerprint);
+
+  if (previous?.status === "mailed") {
+    return resultFromPrevious(row, previous, "skipped");
+  }
+
+  if (isPendingFresh(previous)) {
+    return {
+      ...baseResult(row),
+      status: "failed",
+      error: "Row is already being processed by another upload",
+    };
+  }
+
+  await store.put(COLLECTION, row.fingerprint, {
+    status: "pending",
+    startedAt: new Date().toISOString(),
+    attempts: (previous?.attempts || 0) + 1,
+  });
+
+  try {
+    const result = await mailReturnLabel({
+      body: row.body,
+      fields: row.fields,
+      user,
+      idempotencyKey: `batch-${row.fingerprint}`,
+      shared: true,
+      restartOnChange: true,
+      source: "batch-mail",
+      ...clients,
+    });
+
+    await store.update(COLLECTION, row.fingerprint, {
+      status: "mailed",
+      mailedAt: new Date().toISOString(),
+      ...result,
+    });
+
+    return { ...baseResult(row), status: "mailed", ...result };
+  } catch (e) {
+    // The results CSV is handed around, so upstream details are redacted
+    const error = e.details
+      ? `${e.message}: ${JSON.stringify(redact(e.details))}`
+      : e.message || String(e);
+
+    await store.update(COLLECTION, row.fingerprint, {
+      status: "failed",
+      failedAt: new Date().toISOString(),
+      error,
+    });
+
+    return { ...baseResult(row), status: "failed", error };
+  }
+}
+
+/**
+ * Validates the whole CSV, then mails rows [startRow, startRow + maxRows).
+ * With dryRun nothing is mailed; each row reports valid / invalid /
+ * duplicate / already_mailed instead. `clients` ({ sera, lob, sheets })
+ * replaces the real API clients, for tests.
+ */
+async function runBatch({
+  csv,
+  user,
+  clients = {},
+  dryRun = false,
+  startRow = 1,
+  maxRows = MAX_ROWS,
+  concurrency = DEFAULT_CONCURRENCY,
+  store = getStore(),
+}) {
+  const { unknownColumns, bodies } = parseBatchCsv(csv);
+
+  if (!bodies.length) {
+    return { ok: false, error: "CSV has no data rows" };
+  }
+  if (bodies.length > MAX_ROWS) {
+    return { ok: false, error: `CSV has ${bodies.length} rows; the limit is ${MAX_ROWS}` };
+  }
+
+  const rows = prepareRows(bodies);
+  const invalidRows = rows.filter((r) => r.errors.length).length;
+
+  const from = Math.max(1, Number(startRow) || 1);
+  const count = Math.max(1, Math.min(Number(maxRows) || MAX_ROWS, MAX_ROWS));
+  const slice = rows.filter((r) => r.row >= from && r.row < from + count);
+  const limit = Math.max(1, Math.min(Number(concurrency) || DEFAULT_CONCURRENCY, MAX_CONCURRENCY));
+
+  const results = await mapWithConcurrency(slice, limit, async (row) => {
+    if (row.errors.length) {
+      return { ...baseResult(row), status: "invalid", error: row.errors.join("; ") };
+    }
+
+    if (row.duplicateOf) {
+      return {
+        ...baseResult(row),
+        status: "duplicate",
+        error: `Same customer and device as row ${row.duplicateOf}`,
+      };
+    }
+
+    if (dryRun) {
+      const previous = await store.get(COLLECTION, row.fingerprint);
+      if (previous?.status === "mailed") {
+        return resultFromPrevious(row, previous, "already_mailed");
+      }
+      return { ...baseResult(row), status: "valid" };
+    }
+
+    return mailRow(row, { user, clients, store });
+  });
+
+  const lastRow = from + count - 1;
+
+  return {
+    ok: true,
+    dryRun,
+    totalRows: rows.length,
+    invalidRows,
+    unknownColumns,
+    startRow: from,
+    nextRow: lastRow < rows.length ? lastRow + 1 : null,
+    results,
+  };
+}
+
+function resultsToCsv(results) {
+  return toCsv(RESULT_COLUMNS, results);
+}
+
+module.exports = {
+  INPUT_COLUMNS,
+  RESULT_COLUMNS,
+  MAX_ROWS,
+  parseBatchCsv,
+  prepareRows,
+  mapWithConcurrency,
+  runBatch,
+  resultsToCsv,
+};
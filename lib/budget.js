@@ -0,0 +1,212 @@
+// /lib/budget.js
+
+// Postage spending guardrails, checked before a label is bought.
+//
+// Caps (USD, from env; unset or 0 = no cap):
+//   BUDGET_MAX_LABEL_USD      one label
+//   BUDGET_AGENT_DAILY_USD    one agent, per day
+//   BUDGET_AGENT_MONTHLY_USD  one agent, per calendar month
+//   BUDGET_DAILY_USD          everyone, per day
+//   BUDGET_MONTHLY_USD        everyone, per calendar month
+// Days and months follow BUDGET_TIMEZONE (default America/New_York).
+//
+// Spend is the postage of labels in the ledger that have not been voided
+// (label.postageUsd, made in the current live/sandbox mode). Pay-on-use labels
+// (USPS returns, lib/carriers.js) are only charged once the carrier scans them:
+// until then their postage is "committed" on the purchase day, and after a
+// scan it is spent on the day of the first scan. Caps count both, so unscanned
+// labels cannot pile up past a cap.
+// Checks are not atomic: labels bought at the same instant can overshoot a cap
+// by one label each.
+
+const ledger = require("./ledger");
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+const { CARRIERS } = require("./carriers");
+const { isCarrierScan } = require("./tracking");
+
+const TIMEZONE = process.env.BUDGET_TIMEZONE || "America/New_York";
+
+function readCap(name) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function budgetLimits() {
+  return {
+    maxLabelUsd: readCap("BUDGET_MAX_LABEL_USD"),
+    agentDailyUsd: readCap("BUDGET_AGENT_DAILY_USD"),
+    agentMonthlyUsd: readCap("BUDGET_AGENT_MONTHLY_USD"),
+    dailyUsd: readCap("BUDGET_DAILY_USD"),
+    monthlyUsd: readCap("BUDGET_MONTHLY_USD"),
+  };
+}
+
+function budgetsEnabled() {
+  return Object.values(budgetLimits()).some((v) => v !== null);
+}
+
+/** "YYYY-MM-DD" for `date` in BUDGET_TIMEZONE. */
+function localDay(date) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * When `doc`'s postage is charged: at purchase for prepaid labels, at the
+ * first carrier scan for pay-on-use ones; null while a pay-on-use label is
+ * unscanned.
+ */
+function chargedAt(doc) {
+  if (!CARRIERS[doc.label.carrier]?.payOnUse) return doc.label.createdAt || doc.createdAt;
+
+  const tracking = doc.tracking;
+  if (!tracking?.classification || tracking.classification === "not_shipped") return null;
+  const firstScan = (tracking.events || []).find(isCarrierScan);
+  return firstScan?.at || tracking.lastScanAt || tracking.checkedAt || doc.label.createdAt || doc.createdAt;
+}
+
+/**
+ * Postage today and this month, overall and by `username`. Resolves to
+ * { spent, committed }, each { dayUsd, monthUsd, agentDayUsd, agentMonthUsd }:
+ * spent is charged postage, committed the unscanned pay-on-use labels (by
+ * purchase day) that will be charged if the customer ships them.
+ */
+async function spendSummary({ username, now = new Date() } = {}) {
+  const today = localDay(now);
+  const month = today.slice(0, 7);
+  const sandbox = isSandbox();
+
+  const labels = await ledger.listShipments(
+    (doc) =>
+      Boolean(doc.sandbox) === sandbox &&
+      doc.label?.labelId &&
+      !doc.label.voidedAt &&
+      Number.isFinite(Number(doc.label.postageUsd))
+  );
+
+  const totals = () => ({ dayUsd: 0, monthUsd: 0, agentDayUsd: 0, agentMonthUsd: 0 });
+  const spent = totals();
+  const committed = totals();
+
+  for (const doc of labels) {
+    const charged = chargedAt(doc);
+    const bucket = charged ? spent : committed;
+    const day = localDay(new Date(charged || doc.label.createdAt || doc.createdAt));
+    if (day.slice(0, 7) !== month) continue;
+
+    const amount = Number(doc.label.postageUsd);
+    const mine = username && doc.createdBy?.username === username;
+
+    bucket.monthUsd += amount;
+    if (mine) bucket.agentMonthUsd += amount;
+    if (day === today) {
+      bucket.dayUsd += amount;
+      if (mine) bucket.agentDayUsd += amount;
+    }
+  }
+
+  const rounded = (t) => Object.fromEntries(Object.entries(t).map(([k, v]) => [k, roundUsd(v)]));
+  return { spent: rounded(spent), committed: rounded(committed) };
+}
+
+/**
+ * Limits, spend and what is left under each cap (after spent and committed
+ * postage), for the rate endpoint.
+ */
+async function budgetStatus({ username, now } = {}) {
+  const limits = budgetLimits();
+  const { spent, committed } = await spendSummary({ username, now });
+
+  const left = (limit, key) =>
+    limit === null ? null : roundUsd(Math.max(limit - spent[key] - committed[key], 0));
+
+  return {
+    timezone: TIMEZONE,
+    limits,
+    spent,
+    committed,
+    remaining: {
+      agentDailyUsd: left(limits.agentDailyUsd, "agentDayUsd"),
+      agentMonthlyUsd: left(limits.agentMonthlyUsd, "agentMonthUsd"),
+      dailyUsd: left(limits.dailyUsd, "dayUsd"),
+      monthlyUsd: left(limits.monthlyUsd, "monthUsd"),
+    },
+  };
+}
+
+/**
+ * Lists the caps a label costing `amountUsd` would break; [] when it fits.
+ * Each entry is { cap, limitUsd, spentUsd, committedUsd, amountUsd }.
+ */
+function capsExceeded(status, amountUsd) {
+  const { limits, spent, committed } = status;
+  const checks = [
+    ["maxLabelUsd", limits.maxLabelUsd, null],
+    ["agentDailyUsd", limits.agentDailyUsd, "agentDayUsd"],
+    ["agentMonthlyUsd", limits.agentMonthlyUsd, "agentMonthUsd"],
+    ["dailyUsd", limits.dailyUsd, "dayUsd"],
+    ["monthlyUsd", limits.monthlyUsd, "monthUsd"],
+  ];
+
+  return checks
+    .map(([cap, limitUsd, key]) => ({
+      cap,
+      limitUsd,
+      spentUsd: key ? spent[key] : 0,
+      committedUsd: key ? committed[key] : 0,
+      amountUsd,
+    }))
+    .filter((c) => c.limitUsd !== null && roundUsd(c.spentUsd + c.committedUsd + amountUsd) > c.limitUsd);
+}
+
+const CAP_LABELS = {
+  maxLabelUsd: "the per-label postage limit",
+  agentDailyUsd: "your daily postage budget",
+  agentMonthlyUsd: "your monthly postage budget",
+  dailyUsd: "today's postage budget",
+  monthlyUsd: "this month's postage budget",
+};
+
+/**
+ * Throws a 402 when buying a label for `amountUsd` would break a cap.
+ */
+async function assertWithinBudget({ username, amountUsd, now }) {
+  if (!budgetsEnabled()) return;
+
+  const status = await budgetStatus({ username, now });
+  const exceeded = capsExceeded(status, amountUsd);
+  if (!exceeded.length) return;
+
+  const first = exceeded[0];
+  const spentNote =
+    first.cap === "maxLabelUsd"
+      ? ""
+      : `, $${first.spentUsd.toFixed(2)} already spent` +
+        (first.committedUsd ? ` and $${first.committedUsd.toFixed(2)} committed` : "");
+
+  throw httpError(
+    402,
+    `Postage of $${amountUsd.toFixed(2)} would exceed ${CAP_LABELS[first.cap]} ` +
+      `($${first.limitUsd.toFixed(2)}${spentNote})`,
+    { exceeded }
+  );
+}
+
+module.exports = {
+  TIMEZONE,
+  budgetLimits,
+  budgetsEnabled,
+  spendSummary,
+  budgetStatus,
+  capsExceeded,
+  assertWithinBudget,
+};
@@ -0,0 +1,253 @@
+// /lib/carriers.js
+
+// Carriers, service levels and label formats for SERA labels.
+//
+// A request can name a service (`service`), ask for "auto" (cheapest SERA rate
+// among the enabled services that take the package's weight; `expedited: true`
+// limits that to the faster services), or say nothing and get DEFAULT_SERVICE.
+//
+// USPS is always enabled. UPS and FedEx go through the carrier accounts
+// connected in SERA and are enabled by setting SERA_UPS_CARRIER_ID /
+// SERA_FEDEX_CARRIER_ID.
+
+const { seraClient } = require("./sera");
+const { httpError } = require("./http");
+
+// trackingUrl: the carrier's public tracking page, followed by the tracking number
+const CARRIERS = {
+  usps: {
+    name: "USPS",
+    carrierIdEnv: null,
+    payOnUse: true,
+    trackingUrl: "https://tools.usps.com/go/TrackConfirmAction?tLabels=",
+  },
+  ups: {
+    name: "UPS",
+    carrierIdEnv: "SERA_UPS_CARRIER_ID",
+    payOnUse: false,
+    trackingUrl: "https://www.ups.com/track?tracknum=",
+  },
+  fedex: {
+    name: "FedEx",
+    carrierIdEnv: "SERA_FEDEX_CARRIER_ID",
+    payOnUse: false,
+    trackingUrl: "https://www.fedex.com/fedextrack/?trknbr=",
+  },
+};
+
+// maxWeightOz: the carrier's limit for the service (70 lb USPS, 150 lb UPS/FedEx)
+const SERVICES = [
+  { code: "usps_ground_advantage", carrier: "usps", name: "USPS Ground Advantage", maxWeightOz: 1120, expedited: false },
+  { code: "usps_priority_mail", carrier: "usps", name: "USPS Priority Mail", maxWeightOz: 1120, expedited: true },
+  { code: "usps_priority_mail_express", carrier: "usps", name: "USPS Priority Mail Express", maxWeightOz: 1120, expedited: true },
+  { code: "ups_ground", carrier: "ups", name: "UPS Ground", maxWeightOz: 2400, expedited: false },
+  { code: "ups_2nd_day_air", carrier: "ups", name: "UPS 2nd Day Air", maxWeightOz: 2400, expedited: true },
+  { code: "fedex_ground", carrier: "fedex", name: "FedEx Ground", maxWeightOz: 2400, expedited: false },
+  { code: "fedex_2day", carrier: "fedex", name: "FedEx 2Day", maxWeightOz: 2400, expedited: true },
+];
+
+const AUTO_SERVICE = "auto";
+
+const DEFAULT_SERVICE = process.env.DEFAULT_SERVICE || "usps_ground_advantage";
+
+const LABEL_FORMATS = {
+  pdf: { mimeType: "application/pdf", extension: "pdf" },
+  png: { mimeType: "image/png", extension: "png" },
+  zpl: { mimeType: "application/zpl", extension: "zpl" },
+};
+
+const LABEL_SIZES = ["4x6", "letter"];
+
+function carrierId(carrier) {
+  const envName = CARRIERS[carrier]?.carrierIdEnv;
+  return envName ? process.env[envName] || null : null;
+}
+
+/** The carrier's tracking page for a tracking number; null without one. */
+function trackingUrl(carrier, trackingNumber) {
+  const base = (CARRIERS[carrier] || CARRIERS.usps).trackingUrl;
+  return trackingNumber ? `${base}${encodeURIComponent(trackingNumber)}` : null;
+}
+
+function isCarrierEnabled(carrier) {
+  if (!CARRIERS[carrier]) return false;
+  return !CARRIERS[carrier].carrierIdEnv || Boolean(carrierId(carrier));
+}
+
+function getService(code) {
+  const key = String(code || "").trim().toLowerCase();
+  return SERVICES.find((s) => s.code === key) || null;
+}
+
+/** Services whose carrier is enabled, for the forms and the rate picker. */
+function listServices() {
+  return SERVICES.filter((s) => isCarrierEnabled(s.carrier)).map((s) => ({
+    ...s,
+    carrierName: CARRIERS[s.carrier].name,
+  }));
+}
+
+/**
+ * Checks a requested service without calling SERA. Resolves the service
+ * object, AUTO_SERVICE, or null when nothing was asked for; throws a 400
+ * for an unknown or disabled service.
+ */
+function readRequestedService(value) {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) return null;
+  if (key === AUTO_SERVICE) return AUTO_SERVICE;
+
+  const service = getService(key);
+  if (!service) {
+    throw httpError(400, `Unknown service: ${value}`);
+  }
+  if (!isCarrierEnabled(service.carrier)) {
+    throw httpError(400, `${CARRIERS[service.carrier].name} is not enabled (set ${CARRIERS[service.carrier].carrierIdEnv})`);
+  }
+  return service;
+}
+
+/**
+ * labelFormat (pdf, png, zpl; default pdf) and labelSize (4x6, letter;
+ * default 4x6) from a request body. Returns { labelFormat, labelSize, errors }.
+ */
+function readLabelOptions(body) {
+  const labelFormat = String(body?.labelFormat || "pdf").trim().toLowerCase();
+  const labelSize = String(body?.labelSize || "4x6").trim().toLowerCase();
+  const errors = [];
+
+  if (!LABEL_FORMATS[labelFormat]) {
+    errors.push(`labelFormat must be one of: ${Object.keys(LABEL_FORMATS).join(", ")}`);
+  }
+  if (!LABEL_SIZES.includes(labelSize)) {
+    errors.push(`labelSize must be one of: ${LABEL_SIZES.join(", ")}`);
+  }
+
+  return { labelFormat, labelSize, errors };
+}
+
+/**
+ * SERA rate quotes for one package. `services` limits the quote to those
+ * service codes. Resolves to [{ service, carrier, amountUsd, deliveryDays }],
+ * cheapest first.
+ */
+async function quoteRates({
+  fromAddress,
+  toAddress,
+  weightOz,
+  packagingType,
+  dimensions,
+  services,
+  accessToken,
+  sera = seraClient,
+}) {
+  const wanted = services || listServices();
+  const carrierIds = [...new Set(wanted.map((s) => carrierId(s.carrier)).filter(Boolean))];
+
+  const resp = await sera.request("/v1/rates", {
+    method: "POST",
+    accessToken,
+    body: {
+      from_address: fromAddress,
+      to_address: toAddress,
+      ship_date: new Date().toISOString().slice(0, 10),
+      is_return_label: true,
+      ...(carrierIds.length ? { carrier_ids: carrierIds } : {}),
+      service_types: wanted.map((s) => s.code),
+      package: {
+        packaging_type: packagingType || "package",
+        weight: weightOz,
+        weight_unit: "ounce",
+        ...(dimensions ? { dimensions } : {}),
+      },
+    },
+  });
+
+  if (!resp.ok) {
+    throw httpError(502, `SERA rate quote failed (HTTP ${resp.status})`, resp.data);
+  }
+
+  const rates = Array.isArray(resp.data) ? resp.data : resp.data?.rates || [];
+  const codes = new Set(wanted.map((s) => s.code));
+
+  return rates
+    .map((r) => ({
+      service: r.service_type,
+      carrier: getService(r.service_type)?.carrier || r.carrier || null,
+      amountUsd: Number(r.shipment_cost?.total_amount ?? r.total_amount),
+      deliveryDays: r.delivery_days ?? r.estimated_delivery_days ?? null,
+    }))
+    .filter((r) => codes.has(r.service) && Number.isFinite(r.amountUsd))
+    .sort((a, b) => a.amountUsd - b.amountUsd);
+}
+
+/**
+ * Picks the service for a label. `requested` comes from readRequestedService().
+ * Resolves to { service, selection: "requested" | "default" | "cheapest", quote }.
+ */
+async function chooseService({
+  requested,
+  expedited = false,
+  weightOz,
+  fromAddress,
+  toAddress,
+  packagingType,
+  dimensions,
+  accessToken,
+  sera = seraClient,
+}) {
+  if (requested && requested !== AUTO_SERVICE) {
+    if (weightOz > requested.maxWeightOz) {
+      throw httpError(400, `${requested.name} takes at most ${requested.maxWeightOz} oz`);
+    }
+    return { service: requested, selection: "requested", quote: null };
+  }
+
+  if (!requested) {
+    const service = getService(DEFAULT_SERVICE);
+    if (!service) throw new Error(`Unknown DEFAULT_SERVICE: ${DEFAULT_SERVICE}`);
+    return { service, selection: "default", quote: null };
+  }
+
+  const candidates = listServices().filter(
+    (s) => weightOz <= s.maxWeightOz && (!expedited || s.expedited)
+  );
+  if (!candidates.length) {
+    throw httpError(400, `No enabled service takes a ${weightOz} oz package${expedited ? " expedited" : ""}`);
+  }
+
+  const rates = await quoteRates({
+    fromAddress,
+    toAddress,
+    weightOz,
+    packagingType,
+    dimensions,
+    services: candidates,
+    accessToken,
+    sera,
+  });
+
+  if (!rates.length) {
+    throw httpError(502, "SERA returned no rates for the enabled services");
+  }
+
+  return { service: getService(rates[0].service), selection: "cheapest", quote: rates[0] };
+}
+
+module.exports = {
+  CARRIERS,
+  SERVICES,
+  AUTO_SERVICE,
+  DEFAULT_SERVICE,
+  LABEL_FORMATS,
+  LABEL_SIZES,
+  carrierId,
+  trackingUrl,
+  isCarrierEnabled,
+  getService,
+  listServices,
+  readRequestedService,
+  readLabelOptions,
+  quoteRates,
+  chooseService,
+};
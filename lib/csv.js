@@ -0,0 +1,86 @@
+// /lib/csv.js
+
+// RFC 4180 CSV parsing/serialising for the batch endpoints
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF / LF line endings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (inQuotes) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+/**
+ * Parses CSV with a header row into objects keyed by header name.
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map((h) => h.trim());
+  const records = rows.map((r) =>
+    Object.fromEntries(columns.map((col, i) => [col, r[i] ?? ""]))
+  );
+
+  return { columns, records };
+}
+
+function escapeCsvField(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, records) {
+  const lines = [columns.map(escapeCsvField).join(",")];
+  for (const rec of records) {
+    lines.push(columns.map((col) => escapeCsvField(rec[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
@@ -0,0 +1,34 @@
+// /lib/devices.js
+
+// Device catalog (data/devices.json): the one list of returnable devices.
+//
+// Entry: { type, name, weightOz, packagingType, dimensions, instructionsPdf }
+//   type             value sent by the form / CSV as deviceType
+//   weightOz         shipping weight used for the label
+//   dimensions       { length, width, height, unit: "inch" } or null when unknown
+//   instructionsPdf  file (relative to the project root) placed before the label
+
+const catalog = require("../data/devices.json");
+
+const byType = new Map(catalog.map((d) => [d.type.toLowerCase(), d]));
+
+function listDevices() {
+  return catalog;
+}
+
+/** Looks a device up by deviceType (case-insensitive); null when unknown. */
+function getDevice(deviceType) {
+  return byType.get(String(deviceType || "").trim().toLowerCase()) || null;
+}
+
+/** The catalog as served to the form: no server file paths. */
+function publicCatalog() {
+  return catalog.map((d) => ({
+    type: d.type,
+    name: d.name,
+    weightOz: d.weightOz,
+    weightLbs: Math.round((d.weightOz / 16) * 100) / 100,
+  }));
+}
+
+module.exports = { listDevices, getDevice, publicCatalog };
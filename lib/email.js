@@ -0,0 +1,203 @@
+// /lib/email.js
+
+// Outgoing email for return labels, behind a pluggable transport.
+//
+// Transports (EMAIL_TRANSPORT):
+//   smtp     nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (SMTP_SECURE=true for 465)
+//   sendgrid SendGrid v3 mail/send API with SENDGRID_API_KEY
+//   capture  (default) keeps messages in the store's "captured_emails" collection; nothing is sent
+// Sandbox mode (lib/mode.js) always uses capture.
+//
+// A transport is async (message) => { messageId }, where message is
+// { from, to, subject, text, html, attachments: [{ filename, contentType, content: Buffer }] }.
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+const { upstreamFetch } = require("./log");
+const { recordFailure } = require("./failures");
+const { isSandbox } = require("./mode");
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "Connect America Returns <returns@connectamerica.com>";
+
+const transports = {
+  async smtp(message) {
+    // Loaded lazily so the other transports work without nodemailer configured
+    const nodemailer = require("nodemailer");
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId || "" };
+  },
+
+  async sendgrid(message) {
+    const apiKey = process.env.SENDGRID_API_KEY;
+    if (!apiKey) throw new Error("Missing SENDGRID_API_KEY env var");
+
+    const resp = await upstreamFetch("sendgrid", "send", "https://api.sendgrid.com/v3/mail/send", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: { email: parseAddress(message.from).email, name: parseAddress(message.from).name },
+        subject: message.subject,
+        content: [
+          { type: "text/plain", value: message.text },
+          ...(message.html ? [{ type: "text/html", value: message.html }] : []),
+        ],
+        attachments: (message.attachments || []).map((a) => ({
+          filename: a.filename,
+          type: a.contentType,
+          content: Buffer.from(a.content).toString("base64"),
+          disposition: "attachment",
+        })),
+      }),
+    });
+
+    if (!resp.ok) {
+      const details = await resp.json().catch(() => null);
+      const error = httpError(502, `SendGrid send failed (HTTP ${resp.status})`, details);
+      await recordFailure({
+        service: "sendgrid",
+        operation: "send",
+        status: resp.status,
+        message: error.message,
+        details,
+      });
+      throw error;
+    }
+
+    return { messageId: resp.headers.get("x-message-id") || "" };
+  },
+
+  async capture(message) {
+    const messageId = `captured-${crypto.randomUUID()}`;
+
+    await getStore().put("captured_emails", messageId, {
+      messageId,
+      capturedAt: new Date().toISOString(),
+      ...message,
+      attachments: (message.attachments || []).map((a) => ({
+        filename: a.filename,
+        contentType: a.contentType,
+        size: a.content.length,
+      })),
+    });
+
+    return { messageId };
+  },
+};
+
+function parseAddress(value) {
+  const m = String(value).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return m ? { name: m[1], email: m[2] } : { name: "", email: String(value).trim() };
+}
+
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || "").trim());
+}
+
+// Sandbox mode never emails anyone, whatever EMAIL_TRANSPORT says
+function transportName() {
+  if (isSandbox()) return "capture";
+  return process.env.EMAIL_TRANSPORT || "capture";
+}
+
+async function sendEmail(message) {
+  const name = transportName();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+
+  const result = await transport({ from: EMAIL_FROM, ...message });
+  return { transport: name, ...result };
+}
+
+// Return label email, per language (lib/i18n.js)
+const LABEL_EMAIL = {
+  en: {
+    subject: "Your Connect America return label",
+    greeting: (name) => (name ? `Hi ${name},` : "Hello,"),
+    attached: (carrierName, deviceType) =>
+      `Your prepaid ${carrierName} return label for your ${deviceType || "device"} is attached.`,
+    print: "1. Print the attached PDF and follow the power-off instructions.",
+    pack: "2. Pack the device securely and tape the label to the box.",
+    packBoxes: (boxes) =>
+      `2. Pack the devices into ${boxes} boxes as listed on the first page and tape one label to each box.`,
+    dropOff: (carrierName) =>
+      carrierName === "USPS"
+        ? "3. Drop it off at any USPS location or hand it to your mail carrier."
+        : `3. Drop it off at any ${carrierName} location.`,
+    tracking: (carrierName, trackingNumber) => `${carrierName} tracking number: ${trackingNumber}`,
+    questions: "Questions? Call Connect America at 1-800-286-2622.",
+  },
+  es: {
+    subject: "Su etiqueta de devolución de Connect America",
+    greeting: (name) => (name ? `Hola, ${name}:` : "Hola:"),
+    attached: (carrierName, deviceType) =>
+      `Le adjuntamos la etiqueta de devolución prepagada de ${carrierName} para su ${deviceType || "dispositivo"}.`,
+    print: "1. Imprima el PDF adjunto y siga las instrucciones para apagar el dispositivo.",
+    pack: "2. Empaque bien el dispositivo y pegue la etiqueta en la caja con cinta adhesiva.",
+    packBoxes: (boxes) =>
+      `2. Empaque los dispositivos en ${boxes} cajas como se indica en la primera página y pegue una etiqueta en cada caja.`,
+    dropOff: (carrierName) =>
+      carrierName === "USPS"
+        ? "3. Déjelo en cualquier oficina de USPS o entrégueselo a su cartero."
+        : `3. Déjelo en cualquier local de ${carrierName}.`,
+    tracking: (carrierName, trackingNumber) => `Número de seguimiento de ${carrierName}: ${trackingNumber}`,
+    questions: "¿Preguntas? Llame a Connect America al 1-800-286-2622.",
+  },
+};
+
+/**
+ * Emails the instructions-plus-label PDF to the customer, in `language`
+ * (English when there is no text for it). `boxes` is how many labels the PDF
+ * holds (lib/packages.js).
+ */
+async function emailReturnLabel({
+  to,
+  name,
+  deviceType,
+  carrierName = "USPS",
+  trackingNumber,
+  pdfBuffer,
+  language = "en",
+  boxes = 1,
+}) {
+  const t = LABEL_EMAIL[language] || LABEL_EMAIL.en;
+  const tracking = trackingNumber ? `${t.tracking(carrierName, trackingNumber)}\n\n` : "";
+
+  const text =
+    `${t.greeting(name)}\n\n` +
+    `${t.attached(carrierName, deviceType)}\n\n` +
+    `${t.print}\n` +
+    `${boxes > 1 ? t.packBoxes(boxes) : t.pack}\n` +
+    `${t.dropOff(carrierName)}\n\n` +
+    tracking +
+    `${t.questions}\n`;
+
+  return sendEmail({
+    to,
+    subject: t.subject,
+    text,
+    attachments: [
+      {
+        filename: "connect-america-return-label.pdf",
+        contentType: "application/pdf",
+        content: pdfBuffer,
+      },
+    ],
+  });
+}
+
+module.exports = { isValidEmail, sendEmail, emailReturnLabel };
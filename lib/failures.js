@@ -0,0 +1,67 @@
+// /lib/failures.js
+
+// Recent failures for the admin error dashboard (/errors): upstream errors
+// from SERA, Lob, Sheets and address verification, and unexpected server
+// errors. The newest MAX_KEPT are kept in one store document ("failures" /
+// "recent"); the upstream details are redacted (lib/log.js) before saving.
+//
+// Entry: { id, at, correlationId, route, service, operation, status,
+//          message, requestId, details }
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { log, redact, logContext } = require("./log");
+
+const COLLECTION = "failures";
+const DOC = "recent";
+const MAX_KEPT = 200;
+
+/**
+ * Logs a failure and adds it to the dashboard. Never throws, so it is safe
+ * to call from error paths.
+ */
+async function recordFailure(
+  { service, operation, status = null, message, requestId = null, details },
+  store = getStore()
+) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...logContext(),
+    service,
+    operation,
+    status,
+    message: redact(String(message || "")),
+    requestId,
+    details: details === undefined ? null : redact(details),
+  };
+
+  log.error("failure", {
+    service,
+    operation,
+    status,
+    message: entry.message,
+    requestId,
+    details: entry.details,
+  });
+
+  try {
+    await store.update(COLLECTION, DOC, (current) => ({
+      items: [entry, ...(current?.items || [])].slice(0, MAX_KEPT),
+    }));
+  } catch (e) {
+    log.error("failure.store_failed", { error: e.message || String(e) });
+  }
+
+  return entry;
+}
+
+/** Newest first; `service` filters, `limit` caps (default 50). */
+async function listFailures({ service, limit = 50 } = {}, store = getStore()) {
+  const doc = (await store.get(COLLECTION, DOC)) || {};
+  return (doc.items || [])
+    .filter((f) => !service || f.service === service)
+    .slice(0, Math.max(1, Math.min(Number(limit) || 50, MAX_KEPT)));
+}
+
+module.exports = { COLLECTION, MAX_KEPT, recordFailure, listFailures };
@@ -0,0 +1,124 @@
+// /lib/form-token.js
+
+// Signed form tokens for the public request form. index.html gets one from
+// /api/form-token when it loads and sends it back in an X-Form-Token header.
+// A token is "<payload>.<signature>" (base64url, HMAC-SHA256 with
+// FORM_TOKEN_SECRET), where the payload holds when it was issued.
+//
+// A token is accepted from FORM_TOKEN_MIN_SECONDS (default 2) after it was
+// issued, since a person takes longer than that to fill in the form, until
+// FORM_TOKEN_TTL_MINUTES (default 120) have passed. Without FORM_TOKEN_SECRET,
+// tokens are neither issued nor checked.
+//
+// Each token is good for one submission: claimFormToken() records it (hashed)
+// in the "form_tokens" collection until it expires, and the page fetches a new
+// one after every attempt.
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+
+const COLLECTION = "form_tokens";
+
+function secret() {
+  return process.env.FORM_TOKEN_SECRET || "";
+}
+
+function formTokensEnabled() {
+  return Boolean(secret());
+}
+
+function settings() {
+  const minSeconds = Number(process.env.FORM_TOKEN_MIN_SECONDS ?? 2);
+  const ttlMinutes = Number(process.env.FORM_TOKEN_TTL_MINUTES ?? 120);
+  return {
+    minMs: (Number.isFinite(minSeconds) && minSeconds >= 0 ? minSeconds : 2) * 1000,
+    ttlMs: (Number.isFinite(ttlMinutes) && ttlMinutes > 0 ? ttlMinutes : 120) * 60 * 1000,
+  };
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+}
+
+/** A new token and when it stops being accepted, or null when tokens are off. */
+function issueFormToken(now = Date.now()) {
+  if (!formTokensEnabled()) return null;
+
+  const payload = Buffer.from(
+    JSON.stringify({ iat: now, nonce: crypto.randomBytes(8).toString("hex") })
+  ).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    notBefore: new Date(now + settings().minMs).toISOString(),
+    expiresAt: new Date(now + settings().ttlMs).toISOString(),
+  };
+}
+
+/**
+ * Checks a token. Resolves to { ok: true, expiresAt } (ms) or
+ * { ok: false, reason } where reason is missing, invalid, too_fast or expired.
+ */
+function verifyFormToken(token, now = Date.now()) {
+  if (!token) return { ok: false, reason: "missing" };
+
+  const [payload, signature, extra] = String(token).split(".");
+  if (!payload || !signature || extra !== undefined) return { ok: false, reason: "invalid" };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  let iat;
+  try {
+    iat = Number(JSON.parse(Buffer.from(payload, "base64url").toString("utf8")).iat);
+  } catch {
+    return { ok: false, reason: "invalid" };
+  }
+  if (!Number.isFinite(iat)) return { ok: false, reason: "invalid" };
+
+  const { minMs, ttlMs } = settings();
+  if (now - iat < minMs) return { ok: false, reason: "too_fast" };
+  if (now - iat > ttlMs) return { ok: false, reason: "expired" };
+
+  return { ok: true, expiresAt: iat + ttlMs };
+}
+
+/**
+ * Marks a verified token as used. Resolves to false when it was already
+ * claimed. Claims whose token has expired are dropped on the way.
+ */
+async function claimFormToken(token, { expiresAt, now = Date.now() }, store = getStore()) {
+  const id = crypto.createHash("sha256").update(String(token)).digest("hex").slice(0, 40);
+
+  let claimed = false;
+  await store.update(COLLECTION, id, (current) => {
+    if (current) return {};
+    claimed = true;
+    return { id, expiresAt: new Date(expiresAt).toISOString(), usedAt: new Date(now).toISOString() };
+  });
+
+  if (claimed) {
+    const expired = await store.list(COLLECTION, (doc) => Date.parse(doc.expiresAt) <= now);
+    for (const doc of expired) await store.remove(COLLECTION, doc.id);
+  }
+
+  return claimed;
+}
+
+// A header rather than a body field, so a retry with a fresh token still
+// matches its idempotency run (lib/idempotency.js hashes the body)
+function readFormToken(req) {
+  return String(req.headers?.["x-form-token"] || "").trim();
+}
+
+module.exports = {
+  COLLECTION,
+  formTokensEnabled,
+  issueFormToken,
+  verifyFormToken,
+  claimFormToken,
+  readFormToken,
+};
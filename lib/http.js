@@ -0,0 +1,119 @@
+// /lib/http.js
+
+// Small response/request helpers shared by the API routes
+
+const { redact, logContext } = require("./log");
+const { recordFailure } = require("./failures");
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(obj));
+}
+
+function sendText(res, status, text, contentType = "text/plain") {
+  res.statusCode = status;
+  res.setHeader("Content-Type", contentType);
+  res.end(text);
+}
+
+function getBaseUrl(req) {
+  const proto = req.headers["x-forwarded-proto"] || "https";
+  const host = req.headers.host;
+  return `${proto}://${host}`;
+}
+
+/**
+ * The request's JSON object body ({} when empty). A body that is not valid
+ * JSON, or not an object, is the caller's mistake: a 400, not a server error.
+ */
+function parseJsonBody(req) {
+  let body;
+  try {
+    // Vercel parses on first access and throws on malformed JSON
+    body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body || {};
+  } catch {
+    throw httpError(400, "Invalid JSON body");
+  }
+
+  if (typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Raw request body as a string, for signature checks that need the exact
+ * bytes. Reads the stream when it hasn't been consumed yet; otherwise falls
+ * back to whatever the runtime already parsed.
+ */
+async function readRawBody(req) {
+  if (typeof req.on === "function" && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+  if (typeof req.body === "string") return req.body;
+  return JSON.stringify(req.body ?? {});
+}
+
+/**
+ * Error carrying an HTTP status and optional upstream details, so service
+ * code can throw and the route can turn it into `{ ok: false, ... }`.
+ */
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+/**
+ * Sends a caught error as { ok: false, error, details?, correlationId }.
+ * An error with a status (httpError) is meant for the caller: its message is
+ * sent as-is and its upstream details redacted (lib/log.js). Anything else
+ * is a bug, so it is recorded for the /errors dashboard and the caller only
+ * gets a generic message plus the correlation ID to quote. `extra` is merged
+ * into the body.
+ */
+async function sendError(res, e, extra = {}) {
+  const { correlationId } = logContext();
+
+  if (e?.status) {
+    if (e.retryAfterSeconds) res.setHeader("Retry-After", String(e.retryAfterSeconds));
+    return sendJson(res, e.status, {
+      ok: false,
+      error: e.message,
+      details: redact(e.details),
+      ...extra,
+      correlationId,
+    });
+  }
+
+  await recordFailure({
+    service: "app",
+    operation: logContext().route,
+    status: 500,
+    message: e?.message || String(e),
+    details: { stack: String(e?.stack || "").split("\n").slice(0, 6) },
+  });
+
+  return sendJson(res, 500, {
+    ok: false,
+    error: "Internal server error",
+    ...extra,
+    correlationId,
+  });
+}
+
+module.exports = {
+  sendJson,
+  sendText,
+  getBaseUrl,
+  parseJsonBody,
+  readRawBody,
+  httpError,
+  sendError,
+};
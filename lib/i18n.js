@@ -0,0 +1,54 @@
+// /lib/i18n.js
+
+// Languages a customer can choose on the request form. The choice is stored
+// on the ledger record (`language`) and picks the email text (lib/email.js)
+// and the instructions PDF (lib/pdf.js).
+//
+// Translated files sit next to the English one with the language code before
+// the extension: power-off-instructions.pdf -> power-off-instructions.es.pdf.
+// When a translation is missing the English file is used; the /errors page
+// lists the missing ones (missingTranslations) so they are not missed.
+
+const fs = require("fs");
+const path = require("path");
+
+const LANGUAGES = {
+  en: "English",
+  es: "Español",
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * A supported language code for `value` ("es", "ES", "es-MX" -> "es"), the
+ * default when it is blank, or null when it is not supported.
+ */
+function readLanguage(value) {
+  const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  if (!code) return DEFAULT_LANGUAGE;
+  return Object.hasOwn(LANGUAGES, code) ? code : null;
+}
+
+/** `file` (relative to the project root) in `language`, falling back to `file`. */
+function localizedFile(file, language = DEFAULT_LANGUAGE) {
+  if (!file || !language || language === DEFAULT_LANGUAGE) return file;
+
+  const { dir, name, ext } = path.parse(file);
+  const translated = path.join(dir, `${name}.${language}${ext}`);
+  return fs.existsSync(path.resolve(process.cwd(), translated)) ? translated : file;
+}
+
+/** The { file, language } pairs among `files` that have no translation yet. */
+function missingTranslations(files) {
+  const missing = [];
+  for (const file of new Set(files)) {
+    for (const language of Object.keys(LANGUAGES)) {
+      if (language !== DEFAULT_LANGUAGE && localizedFile(file, language) === file) {
+        missing.push({ file, language });
+      }
+    }
+  }
+  return missing;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, readLanguage, localizedFile, missingTranslations };
@@ -0,0 +1,178 @@
+// /lib/idempotency.js
+
+// Client idempotency keys and resumable runs for the label pipeline.
+//
+// A caller sends `Idempotency-Key: <key>` (or body.idempotencyKey). The first
+// request with a key starts a run; a later request with the same key, from the
+// same user to the same endpoint:
+//   - gets the stored response back once the run has finished (replayed: true)
+//   - gets 409 while the run is still in progress, or when its body differs
+//   - resumes a failed run after its last checkpoint (label bought, letter sent, ...)
+//   - with restartOnChange, starts a failed run over when its body changed: a new
+//     requestId and no checkpoints; the old requestIds are listed in `abandoned`
+//     so the caller can undo what they bought
+// Without a key the server makes one and returns it, so the request can still be retried.
+//
+// Runs live in the "idempotency" collection:
+//   id, scope, username, key, bodyHash, requestId, attempts, restarts, abandoned,
+//   status       in_progress | completed | failed
+//   lockedUntil  an in_progress run whose lock has passed is treated as failed
+//   checkpoints  { <step>: value } saved as each side effect finishes
+//   response     what the finished run returned; error  last failure message
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+const { log } = require("./log");
+
+const COLLECTION = "idempotency";
+
+// Longest a run can hold its key (the label endpoints finish well inside this)
+const LOCK_MS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 300) * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * The client's key from the Idempotency-Key header or body.idempotencyKey;
+ * null when neither is set. Throws a 400 for a key that is too long.
+ */
+function readIdempotencyKey(req, body) {
+  const key = String(req.headers?.["idempotency-key"] || body?.idempotencyKey || "").trim();
+  if (!key) return null;
+  if (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw httpError(400, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters`);
+  }
+  return key;
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// JSON with sorted keys, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashBody(body) {
+  const { idempotencyKey, ...rest } = body || {};
+  return sha256(stableStringify(rest));
+}
+
+function runId(scope, username, key) {
+  return sha256(`${scope}\n${username}\n${key}`).slice(0, 40);
+}
+
+/**
+ * Claims the run for `key` (or a new server-made key). Keys belong to one
+ * `username`; pass null for runs shared by every user (batch rows).
+ * `restartOnChange` lets a failed run take a different body (see above). Resolves to
+ *   { run, replay: null, resumed }   -- go ahead; resumed when earlier attempts failed
+ *   { run, replay: response }        -- already finished, send `response` back
+ * Throws 409 when the key is busy or was used with a different body.
+ */
+async function beginRun({ scope, key, username, body, restartOnChange = false, store = getStore() }) {
+  const runKey = key || crypto.randomUUID();
+  const id = runId(scope, username, runKey);
+  const bodyHash = hashBody(body);
+  const now = Date.now();
+
+  let conflict = null;
+  const run = await store.update(COLLECTION, id, (current) => {
+    const busy = current?.status === "in_progress" && Date.parse(current.lockedUntil) > now;
+    const restart = Boolean(current?.bodyHash && current.bodyHash !== bodyHash);
+    if (restart && (!restartOnChange || busy || current.status === "completed")) {
+      conflict = "Idempotency-Key was already used for a different request";
+      return {};
+    }
+    if (current?.status === "completed") return {};
+    if (busy) {
+      conflict = "A request with this Idempotency-Key is still in progress";
+      return {};
+    }
+
+    return {
+      id,
+      scope,
+      username,
+      key: runKey,
+      bodyHash,
+      requestId: (!restart && current?.requestId) || crypto.randomUUID(),
+      status: "in_progress",
+      lockedUntil: new Date(now + LOCK_MS).toISOString(),
+      attempts: restart ? 1 : (current?.attempts || 0) + 1,
+      restarts: (current?.restarts || 0) + (restart ? 1 : 0),
+      abandoned: restart ? [...(current.abandoned || []), current.requestId] : current?.abandoned || [],
+      checkpoints: (!restart && current?.checkpoints) || {},
+      response: null,
+      createdAt: current?.createdAt || new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+
+  if (conflict) throw httpError(409, conflict, { idempotencyKey: runKey, requestId: run.requestId });
+  if (run.status === "completed") return { run, replay: run.response, resumed: false };
+
+  return { run, replay: null, resumed: run.attempts > 1 };
+}
+
+/**
+ * True when `key` names a finished run for this same body, i.e. beginRun()
+ * will replay it. Read-only, so a route can let a replay skip the checks that
+ * count attempts (lib/abuse.js guardSubmission).
+ */
+async function isReplay({ scope, key, username, body, store = getStore() }) {
+  if (!key) return false;
+  const run = await store.get(COLLECTION, runId(scope, username, key));
+  return run?.status === "completed" && run.bodyHash === hashBody(body);
+}
+
+/** Records that `step` finished, with whatever a retry needs to skip it. */
+async function saveCheckpoint(run, step, value, store = getStore()) {
+  run.checkpoints[step] = value;
+  await store.update(COLLECTION, run.id, (current) => ({
+    checkpoints: { ...(current?.checkpoints || {}), [step]: value },
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+/** Stores the response that later requests with the same key get back. */
+async function completeRun(run, response, store = getStore()) {
+  await store.update(COLLECTION, run.id, {
+    status: "completed",
+    lockedUntil: null,
+    response,
+    error: null,
+    completedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/** Releases the key so a retry can resume; checkpoints are kept. */
+async function failRun(run, error, store = getStore()) {
+  try {
+    await store.update(COLLECTION, run.id, {
+      status: "failed",
+      lockedUntil: null,
+      error: error?.message || String(error),
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    log.error("idempotency.write_failed", { runId: run.id, error: e.message || String(e) });
+  }
+}
+
+module.exports = {
+  COLLECTION,
+  readIdempotencyKey,
+  beginRun,
+  isReplay,
+  saveCheckpoint,
+  completeRun,
+  failRun,
+};
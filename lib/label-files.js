@@ -0,0 +1,46 @@
+// /lib/label-files.js
+
+// A copy of each bought label file, so the agent console (/console) can show
+// it again later and a retried request can send it back (lib/idempotency.js
+// keeps only the label's ids). Keyed by requestId:
+//   "label_files" document  { requestId, filename, mimeType, labelFormat, size, savedAt }
+//   "label_files" blob      the file itself, outside the JSON documents (lib/store.js)
+// Labels bought before this existed have no copy.
+
+const { getStore } = require("./store");
+const { log } = require("./log");
+
+const COLLECTION = "label_files";
+const BUCKET = "label_files";
+
+/**
+ * Keeps the label for `requestId`. Runs after postage is spent, so a store
+ * failure is logged and never thrown.
+ */
+async function saveLabelFile(requestId, { filename, mimeType, labelFormat, dataBase64 }, store = getStore()) {
+  try {
+    const data = Buffer.from(dataBase64, "base64");
+    await store.putBlob(BUCKET, requestId, data);
+    await store.put(COLLECTION, requestId, {
+      requestId,
+      filename,
+      mimeType,
+      labelFormat,
+      size: data.length,
+      savedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    log.error("label_file.save_failed", { requestId, error: e.message || String(e) });
+  }
+}
+
+/** The saved label as { ...document, data: Buffer }, or null when none was kept. */
+async function getLabelFile(requestId, store = getStore()) {
+  const doc = await store.get(COLLECTION, requestId);
+  if (!doc) return null;
+
+  const data = await store.getBlob(BUCKET, requestId);
+  return data ? { ...doc, data } : null;
+}
+
+module.exports = { saveLabelFile, getLabelFile };
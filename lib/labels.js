@@ -0,0 +1,646 @@
+// /lib/labels.js
+
+// Return label purchase via Stamps.com/Endicia SERA (USPS Pay-On-Use unless
+// another carrier's service is requested). Used by /api/create-label and,
+// in-process, by the mail pipeline (lib/mailing.js).
+//
+// Devices: body.deviceType / deviceSerial, or several in body.devices. They are
+// packed into one box or more (lib/packages.js) and each box gets its own
+// label and ledger record: the first keeps the requestId, the others get
+// `<requestId>-2`, `-3`, ... and all share `group.id`.
+// Weight / packaging: from the device catalog (data/devices.json), summed per box
+// Service: body.service (a code from lib/carriers.js, or "auto" for the cheapest
+// rate, with body.expedited to require a fast service); default DEFAULT_SERVICE.
+// Label: body.labelFormat (pdf, png, zpl) and body.labelSize (4x6, letter).
+// Destination: body.warehouse, otherwise the routing rules in lib/warehouses.js.
+//
+// Retries (lib/idempotency.js): a repeat of a finished run returns the same
+// label without buying another; a retry of a failed one keeps the chosen
+// service and reuses the key SERA saw, so SERA hands back the label it
+// already made instead of charging twice. Runs keep the label's ids, not the
+// file; a repeat reads it back from lib/label-files.js.
+//
+// Duplicates (lib/abuse.js): a customer or device serial that already has the
+// allowed number of labels is refused before anything is bought.
+//
+// Several boxes: each box is a run of its own (key `<run id>-box-<n>`), so a
+// retry after box 2 failed returns box 1's label and only buys box 2.
+//
+// SERA and the Sheets webhook are injectable (`sera`, `sheets`) for tests.
+
+const ledger = require("./ledger");
+const { httpError } = require("./http");
+const { seraClient } = require("./sera");
+const { sheetsClient } = require("./sheets");
+const { getWarehouse, routeWarehouse, toSeraAddress, warehouseSummary } = require("./warehouses");
+const { verifyForShipping } = require("./address-verification");
+const { readDevices, planPackages, packageBody } = require("./packages");
+const { actor } = require("./users");
+const { isSandbox } = require("./mode");
+const {
+  CARRIERS,
+  LABEL_FORMATS,
+  carrierId,
+  getService,
+  readRequestedService,
+  readLabelOptions,
+  quoteRates,
+  chooseService,
+} = require("./carriers");
+const { budgetsEnabled, assertWithinBudget } = require("./budget");
+const { beginRun, saveCheckpoint, completeRun, failRun } = require("./idempotency");
+const { recordFailure } = require("./failures");
+const { assertNotDuplicate } = require("./abuse");
+const { incrementCounter } = require("./metrics");
+const { saveLabelFile, getLabelFile } = require("./label-files");
+
+// deviceType too, unless body.devices lists the devices (lib/packages.js)
+const REQUIRED_FIELDS = ["name", "address1", "city", "state", "zip", "phone"];
+
+function todayYYYYMMDD() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function customerFromAddress(body) {
+  const s = (k) => String(body[k] || "").trim();
+  return {
+    name: s("name"),
+    company_name: "",
+    address_line1: s("address1"),
+    address_line2: s("address2"),
+    city: s("city"),
+    state_province: s("state"),
+    postal_code: s("zip"),
+    country_code: "US",
+    phone: s("phone"),
+    email: s("email"),
+  };
+}
+
+/** The Sheets row for a bought label. */
+function sheetsRow({ requestId, source, fromAddress, device, body, warehouse, service, labelData, user }) {
+  return {
+    request_id: requestId,
+    source,
+    created_at_iso: new Date().toISOString(),
+
+    customer_name: fromAddress.name,
+    customer_email: fromAddress.email,
+    customer_phone: fromAddress.phone,
+    from_address1: fromAddress.address_line1,
+    from_address2: fromAddress.address_line2,
+    from_city: fromAddress.city,
+    from_state: fromAddress.state_province,
+    from_zip: fromAddress.postal_code,
+
+    device_type: device.devices.map((d) => d.type).join(", "),
+    device_serial: device.devices.map((d) => d.serial).filter(Boolean).join(", "),
+    return_reason: String(body.returnReason || ""),
+    weight_oz: device.weightOz,
+
+    warehouse: warehouse.id,
+    carrier: service.carrier,
+    service_type: labelData.service_type || service.code,
+    tracking_number: labelData.tracking_number || "",
+    label_id: labelData.label_id || "",
+    postage_total_usd: labelData?.shipment_cost?.total_amount ?? null,
+
+    created_by: user.username,
+    status: "Created",
+  };
+}
+
+// A failure whose ledger step is already written, so the catch-all doesn't add "failed"
+function recordedError(status, message, details) {
+  const err = httpError(status, message, details);
+  err.recorded = true;
+  return err;
+}
+
+/** A label result (createReturnLabel) without the label files, to keep in a run. */
+function withoutLabelData(result) {
+  const { labelData, ...rest } = result;
+  return rest.labels ? { ...rest, labels: rest.labels.map(withoutLabelData) } : rest;
+}
+
+/** Puts the files back into a result from withoutLabelData(). */
+async function withLabelData(result) {
+  const labels = result.labels ? await Promise.all(result.labels.map(withLabelData)) : null;
+  if (result.labelData) return { ...result, ...(labels ? { labels } : {}) };
+
+  const file = await getLabelFile(result.requestId);
+  if (!file) {
+    throw httpError(500, `The label for ${result.requestId} was bought, but its file is no longer kept`);
+  }
+  return { ...result, labelData: file.data.toString("base64"), ...(labels ? { labels } : {}) };
+}
+
+/**
+ * Checks a /api/create-label body without buying anything: throws a 400 for
+ * missing or invalid fields, else returns what createReturnLabel() buys
+ * from ({ devices, fromAddress, packages, labelFormat, labelSize,
+ * requestedService, forcedWarehouse }).
+ */
+function readLabelRequest(body) {
+  const { devices, missing: missingDevice, errors: deviceErrors } = readDevices(body);
+  const missing = [...REQUIRED_FIELDS.filter((k) => !String(body[k] || "").trim()), ...missingDevice];
+  if (missing.length) {
+    throw httpError(400, `Missing required fields: ${missing.join(", ")}`);
+  }
+  if (deviceErrors.length) {
+    throw httpError(400, deviceErrors.join("; "));
+  }
+
+  const fromAddress = customerFromAddress(body);
+  const packages = planPackages(devices);
+
+  const { labelFormat, labelSize, errors: labelErrors } = readLabelOptions(body);
+  if (labelErrors.length) {
+    throw httpError(400, labelErrors.join("; "));
+  }
+
+  const requestedService = readRequestedService(body.service);
+
+  const forcedWarehouse = body.warehouse ? getWarehouse(String(body.warehouse).trim()) : null;
+  if (body.warehouse && !forcedWarehouse) {
+    throw httpError(400, `Unknown warehouse: ${body.warehouse}`);
+  }
+
+  return { devices, fromAddress, packages, labelFormat, labelSize, requestedService, forcedWarehouse };
+}
+
+/**
+ * Buys the return label(s) for `user`. Resolves to the /api/create-label
+ * success body ({ ok, requestId, idempotencyKey, trackingNumber, labelData,
+ * devices, ... }, plus replayed: true for a repeat); throws an httpError
+ * otherwise. With several boxes the top-level label is box 1's and `labels`
+ * lists every box's, in box order.
+ *
+ * `requestId` joins an existing ledger record (the mail pipeline's); `source`
+ * names the caller in the ledger and the Sheets row; `logToSheets: false`
+ * skips the row. With `addressOverride: true` in the body the address is used
+ * as typed (the mail pipeline verifies it upstream). `shared` runs (under a
+ * shared mailing run: batch rows, reissues) are not tied to `user`.
+ */
+async function createReturnLabel({
+  body,
+  user,
+  idempotencyKey = null,
+  requestId: joinRequestId = null,
+  source = "create-label",
+  logToSheets = true,
+  shared = false,
+  sera = seraClient,
+  sheets = sheetsClient,
+}) {
+  const { fromAddress, packages, labelFormat, labelSize, requestedService, forcedWarehouse } =
+    readLabelRequest(body);
+
+  const started = await beginRun({
+    scope: "create-label",
+    key: idempotencyKey,
+    username: shared ? null : user.username,
+    body,
+  });
+  if (started.replay) return { ...(await withLabelData(started.replay)), replayed: true };
+
+  const { run } = started;
+  const requestId = joinRequestId || run.requestId;
+
+  const purchase = {
+    user,
+    source,
+    logToSheets,
+    labelFormat,
+    labelSize,
+    requestedService,
+    forcedWarehouse,
+    sera,
+    sheets,
+  };
+
+  try {
+    const result =
+      packages.length === 1
+        ? await buyLabel({
+            ...purchase,
+            run,
+            resumed: started.resumed,
+            requestId,
+            body,
+            fromAddress,
+            device: packages[0],
+          })
+        : await buyPackages({
+            ...purchase,
+            run,
+            resumed: started.resumed,
+            requestId,
+            body,
+            fromAddress,
+            packages,
+          });
+
+    // Kept so a repeat with the same key gets this label back
+    await completeRun(run, withoutLabelData(result));
+    return result;
+  } catch (e) {
+    if (!e.recorded) {
+      await ledger.safeRecordStep(requestId, "failed", {
+        status: "failed",
+        error: e.message || String(e),
+      });
+    }
+    if (!e.blocked) await incrementCounter("labels_failed");
+    await failRun(run, e);
+    throw e;
+  }
+}
+
+// Once per run: a retry must not count the label this run already bought
+async function checkDuplicates({ run, requestId, body, user }) {
+  if (run.checkpoints.duplicateCheck) return;
+
+  try {
+    await assertNotDuplicate({ body, user, requestId });
+  } catch (e) {
+    if (!e.blocked) throw e;
+    await ledger.safeRecordStep(requestId, "blocked", {
+      status: "blocked",
+      error: e.message,
+      detail: { reason: e.details.reason, by: user.username },
+    });
+    e.recorded = true;
+    throw e;
+  }
+  await saveCheckpoint(run, "duplicateCheck", true);
+}
+
+/**
+ * Buys one label per box in `packages`, each in a run of its own. The
+ * duplicate check covers every device in the request before the first box is
+ * bought, so a blocked request never leaves half its labels behind.
+ */
+async function buyPackages({ run, resumed, requestId, body, user, source, fromAddress, packages, ...purchase }) {
+  await ledger.recordRequest(requestId, { source, body, createdBy: actor(user) });
+
+  if (resumed) {
+    await ledger.recordStep(requestId, "resumed", {
+      detail: { by: user.username, source: "create-label", attempt: run.attempts },
+    });
+  }
+
+  await checkDuplicates({ run, requestId, body, user });
+
+  const labels = [];
+  for (const [i, pkg] of packages.entries()) {
+    const boxRequestId = i === 0 ? requestId : `${requestId}-${i + 1}`;
+    const boxBody = { ...body, ...packageBody(pkg) };
+
+    const started = await beginRun({
+      scope: "create-label",
+      key: `${run.id}-box-${i + 1}`,
+      // Owned like the request's run, so anyone who may retry it finds its boxes
+      username: run.username,
+      body: boxBody,
+    });
+    if (started.replay) {
+      labels.push(await withLabelData(started.replay));
+      continue;
+    }
+
+    try {
+      const label = await buyLabel({
+        ...purchase,
+        run: started.run,
+        resumed: started.resumed,
+        requestId: boxRequestId,
+        body: boxBody,
+        user,
+        source,
+        fromAddress: { ...fromAddress },
+        device: pkg,
+        group: { id: requestId, box: i + 1, boxes: packages.length },
+        duplicatesChecked: true,
+      });
+      await completeRun(started.run, withoutLabelData(label));
+      labels.push(label);
+    } catch (e) {
+      if (!e.recorded) {
+        await ledger.safeRecordStep(boxRequestId, "failed", {
+          status: "failed",
+          error: e.message || String(e),
+        });
+      }
+      await failRun(started.run, e);
+      // Already written on this box's record, not box 1's
+      e.recorded = true;
+      throw e;
+    }
+  }
+
+  return { ...labels[0], requestId, idempotencyKey: run.key, labels };
+}
+
+async function buyLabel({
+  run,
+  resumed,
+  requestId,
+  body,
+  user,
+  source,
+  logToSheets,
+  fromAddress,
+  device,
+  group = null,
+  duplicatesChecked = false,
+  labelFormat,
+  labelSize,
+  requestedService,
+  forcedWarehouse,
+  sera,
+  sheets,
+}) {
+  // Written before any postage is bought; if this fails, nothing is spent
+  await ledger.recordRequest(requestId, { source, body, createdBy: actor(user), group });
+
+  if (resumed) {
+    await ledger.recordStep(requestId, "resumed", {
+      detail: { by: user.username, source: "create-label", attempt: run.attempts },
+    });
+  }
+
+  if (!duplicatesChecked) await checkDuplicates({ run, requestId, body, user });
+
+  // Verify the customer's address before buying postage
+  if (body.addressOverride !== true) {
+    let verified;
+    try {
+      verified = await verifyForShipping({
+        address1: fromAddress.address_line1,
+        address2: fromAddress.address_line2,
+        city: fromAddress.city,
+        state: fromAddress.state_province,
+        zip: fromAddress.postal_code,
+      });
+    } catch (e) {
+      if (e.status !== 422) throw e;
+
+      await ledger.safeRecordStep(requestId, "address_rejected", {
+        status: "address_rejected",
+        error: e.message,
+        detail: e.details,
+      });
+      throw recordedError(422, e.message, e.details);
+    }
+
+    const { fields, verification } = verified;
+    fromAddress.address_line1 = fields.address1;
+    fromAddress.address_line2 = fields.address2;
+    fromAddress.city = fields.city;
+    fromAddress.state_province = fields.state;
+    fromAddress.postal_code = fields.zip;
+
+    await ledger.recordStep(requestId, "address_verified", {
+      addressVerification: verification,
+      customer: {
+        address1: fields.address1,
+        address2: fields.address2,
+        city: fields.city,
+        state: fields.state,
+        zip: fields.zip,
+      },
+    });
+  }
+
+  const routed = forcedWarehouse
+    ? { warehouse: forcedWarehouse, rule: "requested" }
+    : routeWarehouse({
+        state: fromAddress.state_province,
+        zip: fromAddress.postal_code,
+        deviceType: device.type,
+        program: body.program,
+      });
+  const returnTo = toSeraAddress(routed.warehouse);
+
+  const accessToken = await sera.getAccessToken();
+
+  // A retry keeps the service picked the first time, so the SERA request
+  // matches the one its Idempotency-Key already saw
+  const chosen = run.checkpoints.service;
+  const { service, selection, quote } = chosen
+    ? { service: getService(chosen.service), selection: chosen.selection, quote: chosen.quote }
+    : await chooseService({
+        requested: requestedService,
+        expedited: body.expedited === true,
+        weightOz: device.weightOz,
+        fromAddress,
+        toAddress: returnTo,
+        packagingType: device.packagingType,
+        dimensions: device.dimensions,
+        accessToken,
+        sera,
+      });
+
+  // Postage guardrails (lib/budget.js): price the label first, refuse over-cap purchases
+  let quotedUsd = chosen ? chosen.quotedUsd : quote?.amountUsd ?? null;
+
+  if (budgetsEnabled() && !chosen) {
+    if (quotedUsd === null) {
+      const [rate] = await quoteRates({
+        fromAddress,
+        toAddress: returnTo,
+        weightOz: device.weightOz,
+        packagingType: device.packagingType,
+        dimensions: device.dimensions,
+        services: [service],
+        accessToken,
+        sera,
+      });
+      if (!rate) {
+        throw httpError(502, `Could not price ${service.name} to check the postage budget`);
+      }
+      quotedUsd = rate.amountUsd;
+    }
+
+    try {
+      await assertWithinBudget({ username: user.username, amountUsd: quotedUsd });
+    } catch (e) {
+      if (e.status !== 402) throw e;
+
+      await ledger.safeRecordStep(requestId, "budget_refused", {
+        status: "budget_refused",
+        error: e.message,
+        detail: { by: user.username, service: service.code, ...e.details },
+      });
+      throw recordedError(402, e.message, e.details);
+    }
+  }
+
+  if (!chosen) {
+    await saveCheckpoint(run, "service", { service: service.code, selection, quote, quotedUsd });
+  }
+
+  const carrier = CARRIERS[service.carrier];
+  const format = LABEL_FORMATS[labelFormat];
+  const filename = carrier.payOnUse
+    ? `${service.carrier}-pay-on-use-return-label.${format.extension}`
+    : `${service.carrier}-return-label.${format.extension}`;
+
+  const payload = {
+    from_address: fromAddress,
+    ship_from_address: fromAddress,
+    sender_address: fromAddress,
+
+    to_address: returnTo,
+    return_address: returnTo,
+
+    service_type: service.code,
+    ...(carrierId(service.carrier) ? { carrier_id: carrierId(service.carrier) } : {}),
+    ship_date: todayYYYYMMDD(),
+    is_return_label: true,
+
+    package: {
+      packaging_type: device.packagingType || "package",
+      weight: device.weightOz,
+      weight_unit: "ounce",
+      ...(device.dimensions ? { dimensions: device.dimensions } : {}),
+    },
+
+    // Pay-On-Use (postage charged only when scanned) is a USPS returns feature
+    advanced_options: {
+      is_pay_on_use: carrier.payOnUse,
+    },
+
+    label_options: {
+      label_size: labelSize,
+      label_format: labelFormat,
+      label_output_type: "base64",
+    },
+
+    references: {
+      reference1: device.devices.map((d) => d.serial).filter(Boolean).join(" "),
+      reference2: String(body.returnReason || "").trim(),
+    },
+
+    is_test_label: isSandbox(),
+  };
+
+  // SERA's Idempotency-Key stays the same across retries of this run
+  const labelResp = await sera.request("/v1/labels", {
+    method: "POST",
+    accessToken,
+    headers: { "Idempotency-Key": run.id },
+    body: payload,
+  });
+  const labelData = labelResp.data;
+
+  if (!labelResp.ok) {
+    await ledger.safeRecordStep(requestId, "label_failed", {
+      status: "label_failed",
+      error: "Label creation failed",
+      detail: { httpStatus: labelResp.status, details: labelData },
+    });
+    await recordFailure({
+      service: "sera",
+      operation: "create_label",
+      status: labelResp.status,
+      message: "Label creation failed",
+      requestId,
+      details: labelData,
+    });
+    throw recordedError(labelResp.status, "Label creation failed", labelData);
+  }
+
+  const trackingNumber = labelData.tracking_number || "";
+  await incrementCounter("labels_created");
+
+  await ledger.safeRecordStep(requestId, "label_created", {
+    status: "label_created",
+    error: null,
+    device: { type: device.type, weightOz: device.weightOz },
+    devices: device.devices.map((d) => ({ type: d.type, serial: d.serial })),
+    ...(group ? { group } : {}),
+    warehouse: warehouseSummary(routed.warehouse, routed.rule),
+    label: {
+      idempotencyKey: run.id,
+      labelId: labelData.label_id || "",
+      trackingNumber,
+      carrier: service.carrier,
+      serviceType: labelData.service_type || service.code,
+      serviceSelection: selection,
+      labelFormat,
+      labelSize,
+      postageUsd: labelData?.shipment_cost?.total_amount ?? null,
+      quotedUsd,
+      createdAt: new Date().toISOString(),
+      createdBy: user.username,
+    },
+    detail: { by: user.username, ...(quote ? { quote } : {}) },
+  });
+
+  let sheetsLogged = null;
+
+  if (logToSheets) {
+    sheetsLogged = await sheets.post(
+      sheetsRow({
+        requestId,
+        source,
+        fromAddress,
+        device,
+        body,
+        warehouse: routed.warehouse,
+        service,
+        labelData,
+        user,
+      })
+    );
+
+    if (sheetsLogged) {
+      await ledger.safeRecordStep(requestId, "sheets_logged", {
+        detail: { result: sheetsLogged },
+      });
+    }
+  }
+
+  let labelBase64 = labelData.labels?.[0]?.label_data || labelData.label_data || null;
+
+  const labelHref = labelData.labels?.[0]?.href || "";
+  if (!labelBase64 && labelHref) {
+    labelBase64 = (await sera.downloadLabel(labelHref, { accessToken })).toString("base64");
+  }
+
+  if (!labelBase64) {
+    throw httpError(500, "Label created but no label data returned (unexpected response shape).", labelData);
+  }
+
+  // Kept for the agent console
+  await saveLabelFile(requestId, { filename, mimeType: format.mimeType, labelFormat, dataBase64: labelBase64 });
+
+  return {
+    ok: true,
+    sandbox: isSandbox(),
+    requestId,
+    idempotencyKey: run.key,
+    trackingNumber,
+    carrier: service.carrier,
+    serviceType: service.code,
+    warehouse: routed.warehouse.id,
+    labelFormat,
+    filename,
+    mimeType: format.mimeType,
+    labelData: labelBase64,
+    sheetsLogged,
+    weightOz: device.weightOz,
+    devices: device.devices.map((d) => ({ type: d.type, serial: d.serial })),
+  };
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  sheetsRow,
+  readLabelRequest,
+  createReturnLabel,
+  withoutLabelData,
+  withLabelData,
+};
@@ -0,0 +1,218 @@
+// /lib/ledger.js
+
+// Shipment ledger: one record per label/mailing request, kept in the
+// document store so a label is never lost if the Sheets webhook fails.
+//
+// Record shape:
+//   requestId, source, status, delivery, createdAt, updatedAt,
+//   createdBy { username, name, role }   -- the agent who requested the label
+//   sandbox   true for test labels made in sandbox mode (lib/mode.js)
+//   customer { name, address1, address2, city, state, zip, phone, email },
+//   program   optional program name from the request (used for warehouse routing)
+//   language  the customer's language for letters and emails (lib/i18n.js), e.g. "en", "es"
+//   device   { type, serial, returnReason, weightOz },   -- the first device; weightOz is the box's
+//   devices  [{ type, serial }]   -- every device in this record's box (lib/packages.js)
+//   group    { id, box, boxes }   -- set when a request ships in several boxes: one record
+//                                    per box, all with the first box's requestId as `id`
+//   warehouse { id, name, city, state, zip, rule }   -- where the label sends the device
+//   label    { idempotencyKey, labelId, trackingNumber, carrier, serviceType, postageUsd,
+//              quotedUsd, createdAt, createdBy, ... },
+//   letter   { lobLetterId, lobStatus, createdBy },
+//   email    { to, transport, messageId, sentAt },
+//   reissuedAs / reissueOf   the requestId of the label that replaced this one / that this replaced
+//                            (lib/reissue.js)
+//   steps    [{ step, at, by?, ...detail }]   -- append-only history; `by` is the
+//                                            username for steps a person triggered
+//   error    last failure message, if any
+
+const { getStore } = require("./store");
+const { isSandbox } = require("./mode");
+const { log } = require("./log");
+const { DEFAULT_LANGUAGE, readLanguage } = require("./i18n");
+
+const COLLECTION = "shipments";
+
+function digitsOnly(v) {
+  return String(v || "").replace(/\D/g, "");
+}
+
+function customerFromBody(body) {
+  const s = (k) => String(body?.[k] || "").trim();
+  return {
+    name: s("name"),
+    address1: s("address1"),
+    address2: s("address2"),
+    city: s("city"),
+    state: s("state"),
+    zip: s("zip"),
+    phone: s("phone"),
+    email: s("email"),
+  };
+}
+
+/** The devices a request body lists: body.devices, or deviceType / deviceSerial. */
+function devicesFromBody(body) {
+  const listed = Array.isArray(body?.devices) && body.devices.length
+    ? body.devices
+    : [{ deviceType: body?.deviceType, deviceSerial: body?.deviceSerial }];
+  return listed.map((d) => ({
+    type: String(d?.deviceType || "").trim(),
+    serial: String(d?.deviceSerial || "").trim(),
+  }));
+}
+
+/** Lower-cased serials on a record, for serial lookups. */
+function recordSerials(doc) {
+  const devices = doc?.devices?.length ? doc.devices : [doc?.device];
+  return devices.map((d) => String(d?.serial || "").trim().toLowerCase()).filter(Boolean);
+}
+
+function deviceFromBody(body) {
+  const [first] = devicesFromBody(body);
+  return {
+    type: first.type,
+    serial: first.serial,
+    returnReason: String(body?.returnReason || "").trim(),
+  };
+}
+
+/**
+ * Creates the record for a new request. Called before any postage is bought
+ * so a failed write stops the request instead of leaving an untracked label.
+ */
+async function recordRequest(requestId, { source, body, createdBy = null, group = null }, store = getStore()) {
+  const now = new Date().toISOString();
+  const existing = await store.get(COLLECTION, requestId);
+  if (existing) return existing;
+
+  return store.put(COLLECTION, requestId, {
+    requestId,
+    source,
+    createdBy,
+    sandbox: isSandbox(),
+    status: "requested",
+    delivery: String(body?.delivery || "").trim() || null,
+    program: String(body?.program || "").trim() || null,
+    language: readLanguage(body?.language) || DEFAULT_LANGUAGE,
+    createdAt: now,
+    updatedAt: now,
+    customer: customerFromBody(body),
+    device: deviceFromBody(body),
+    devices: devicesFromBody(body),
+    group,
+    label: null,
+    letter: null,
+    steps: [{ step: "requested", at: now, source, by: createdBy?.username || null }],
+    error: null,
+  });
+}
+
+/**
+ * Appends a step to the record and merges `changes` into it.
+ * Nested `customer`, `label`, `letter`, `email`, `device` and `warehouse` objects are merged,
+ * not replaced.
+ */
+async function recordStep(requestId, step, changes = {}, store = getStore()) {
+  const now = new Date().toISOString();
+  const { detail, ...fields } = changes;
+
+  return store.update(COLLECTION, requestId, (current) => {
+    const base = current || { requestId, createdAt: now, steps: [] };
+    const merged = { ...fields };
+
+    for (const key of ["customer", "label", "letter", "email", "device", "warehouse"]) {
+      if (fields[key]) merged[key] = { ...(base[key] || {}), ...fields[key] };
+    }
+
+    return {
+      ...merged,
+      updatedAt: now,
+      steps: [...(base.steps || []), { step, at: now, ...(detail || {}) }],
+    };
+  });
+}
+
+/**
+ * recordStep() for code paths that run after postage is spent: a ledger
+ * outage is logged but must not turn a bought label into an error response.
+ */
+async function safeRecordStep(requestId, step, changes, store) {
+  try {
+    return await recordStep(requestId, step, changes, store);
+  } catch (e) {
+    log.error("ledger.write_failed", { requestId, step, error: e.message || String(e) });
+    return null;
+  }
+}
+
+/**
+ * Merges `changes` into the record without adding to its step history
+ * (for frequent bookkeeping such as tracking polls that found nothing new).
+ */
+async function updateShipment(requestId, changes, store = getStore()) {
+  return store.update(COLLECTION, requestId, {
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+async function getShipment(requestId, store = getStore()) {
+  return store.get(COLLECTION, requestId);
+}
+
+async function listShipments(predicate, store = getStore()) {
+  return store.list(COLLECTION, predicate);
+}
+
+/**
+ * Finds records by tracking number, SERA label id, Lob letter id, device
+ * serial, customer name or phone, status or the agent who created them. Phone
+ * numbers match on digits only; serials and agent usernames match
+ * case-insensitively, and names on any part ("smith" finds "Pat Smith").
+ */
+async function findShipments(
+  { tracking, labelId, letterId, serial, name, phone, status, agent } = {},
+  store = getStore()
+) {
+  const trackingQ = String(tracking || "").replace(/\s+/g, "");
+  const labelIdQ = String(labelId || "").trim();
+  const letterIdQ = String(letterId || "").trim();
+  const serialQ = String(serial || "").trim().toLowerCase();
+  const nameQ = String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+  const phoneQ = digitsOnly(phone);
+  const statusQ = String(status || "").trim();
+  const agentQ = String(agent || "").trim().toLowerCase();
+
+  if (!trackingQ && !labelIdQ && !letterIdQ && !serialQ && !nameQ && !phoneQ && !statusQ && !agentQ) {
+    return [];
+  }
+
+  const docs = await store.list(COLLECTION, (doc) => {
+    if (trackingQ && doc.label?.trackingNumber !== trackingQ) return false;
+    if (labelIdQ && doc.label?.labelId !== labelIdQ) return false;
+    if (letterIdQ && doc.letter?.lobLetterId !== letterIdQ) return false;
+    if (statusQ && doc.status !== statusQ) return false;
+    if (serialQ && !recordSerials(doc).includes(serialQ)) return false;
+    if (nameQ && !String(doc.customer?.name || "").replace(/\s+/g, " ").toLowerCase().includes(nameQ)) {
+      return false;
+    }
+    if (phoneQ && digitsOnly(doc.customer?.phone) !== phoneQ) return false;
+    if (agentQ && doc.createdBy?.username !== agentQ) return false;
+    return true;
+  });
+
+  return docs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = {
+  COLLECTION,
+  devicesFromBody,
+  recordSerials,
+  recordRequest,
+  recordStep,
+  safeRecordStep,
+  updateShipment,
+  getShipment,
+  listShipments,
+  findShipments,
+};
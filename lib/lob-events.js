@@ -0,0 +1,161 @@
+// /lib/lob-events.js
+
+// Lob letter webhooks: signature check and attaching events to the
+// mailing's ledger record.
+
+const crypto = require("crypto");
+const ledger = require("./ledger");
+const { getStore } = require("./store");
+
+const EVENTS_COLLECTION = "lob_events";
+
+// Lob signs `${timestamp}.${rawBody}`; reject deliveries older than this
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Lob event type -> status kept on letter.lobStatus
+const LETTER_EVENTS = {
+  "letter.created": "created",
+  "letter.rendered_pdf": "rendered",
+  "letter.rendered_thumbnails": "rendered",
+  "letter.deleted": "canceled",
+  "letter.mailed": "mailed",
+  "letter.in_transit": "in_transit",
+  "letter.in_local_area": "in_local_area",
+  "letter.processed_for_delivery": "processed_for_delivery",
+  "letter.re-routed": "re-routed",
+  "letter.returned_to_sender": "returned_to_sender",
+  "letter.delivered": "delivered",
+};
+
+// How far along each status is, for events that come without a date
+const STATUS_ORDER = [
+  "created",
+  "rendered",
+  "mailed",
+  "in_transit",
+  "in_local_area",
+  "re-routed",
+  "processed_for_delivery",
+  "delivered",
+];
+const FINAL_STATUSES = ["delivered", "returned_to_sender", "canceled"];
+
+function statusRank(status) {
+  return FINAL_STATUSES.includes(status) ? STATUS_ORDER.length : STATUS_ORDER.indexOf(status);
+}
+
+/**
+ * True when `letter` already has a later event than this one. Lob does not
+ * deliver webhooks in order, so a late "in_transit" must not move a
+ * delivered letter back. Compared by the events' dates, else by status.
+ */
+function isStaleEvent(letter, lobStatus, eventAt) {
+  if (!letter?.lobStatus) return false;
+  const last = Date.parse(letter.lastEventAt);
+  const at = Date.parse(eventAt);
+  if (Number.isFinite(last) && Number.isFinite(at)) return at < last;
+  return statusRank(lobStatus) < statusRank(letter.lobStatus);
+}
+
+function timingSafeEqualHex(a, b) {
+  const bufA = Buffer.from(String(a), "hex");
+  const bufB = Buffer.from(String(b), "hex");
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verifies the Lob-Signature header: hex HMAC-SHA256 of
+ * `${Lob-Signature-Timestamp}.${rawBody}` keyed with the webhook secret.
+ */
+function verifyLobSignature({ rawBody, signature, timestamp, secret, now = Date.now() }) {
+  if (!secret || !signature || !timestamp) return false;
+
+  // Lob sends milliseconds; accept seconds too
+  const ts = Number(timestamp);
+  const tsMs = ts > 1e12 ? ts : ts * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(now - tsMs) > SIGNATURE_TOLERANCE_MS) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+  return timingSafeEqualHex(expected, signature);
+}
+
+/**
+ * Stores the event (once per Lob event id) and, when the letter belongs to
+ * a known mailing, records it on that mailing's ledger records (one per box).
+ */
+async function handleLobEvent(event, store = getStore()) {
+  const eventId = String(event?.id || "");
+  const eventType = String(event?.event_type?.id || event?.event_type || "");
+  const letterId = String(event?.body?.id || "");
+
+  if (!eventId || !eventType) {
+    return { accepted: false, reason: "Not a Lob event" };
+  }
+
+  if (await store.get(EVENTS_COLLECTION, eventId)) {
+    return { accepted: true, duplicate: true, eventId };
+  }
+
+  const lobStatus = LETTER_EVENTS[eventType] || null;
+  const shipments = letterId ? await ledger.findShipments({ letterId }) : [];
+  const [shipment] = shipments;
+  const receivedAt = new Date().toISOString();
+
+  // Saved last, so a failed ledger write leaves the event open for Lob's retry
+  const remember = () =>
+    store.put(EVENTS_COLLECTION, eventId, {
+      eventId,
+      eventType,
+      letterId,
+      requestId: shipment?.requestId || null,
+      occurredAt: event.date_created || null,
+      receivedAt,
+    });
+
+  if (!shipment || !lobStatus) {
+    await remember();
+    return { accepted: true, eventId, eventType, matched: Boolean(shipment) };
+  }
+
+  const returned = lobStatus === "returned_to_sender";
+  const tracking = event.body?.tracking_events?.[0] || null;
+
+  for (const { requestId, letter } of shipments) {
+    // A late event is still kept in the history, but leaves the status alone
+    const stale = isStaleEvent(letter, lobStatus, event.date_created);
+    const mailedAt = lobStatus === "mailed" && !letter?.mailedAt ? event.date_created || receivedAt : null;
+
+    await ledger.recordStep(requestId, `lob_${lobStatus}`, {
+      ...(returned && !stale
+        ? { status: "letter_returned", error: "Lob letter returned to sender" }
+        : {}),
+      letter: {
+        ...(stale ? {} : { lobStatus, lastEventAt: event.date_created || receivedAt }),
+        ...(mailedAt ? { mailedAt } : {}),
+        ...(returned ? { returnedToSender: true } : {}),
+        ...(event.body?.expected_delivery_date && !stale
+          ? { expectedDelivery: event.body.expected_delivery_date }
+          : {}),
+      },
+      detail: {
+        eventId,
+        eventType,
+        location: tracking?.location || null,
+        ...(stale ? { stale: true } : {}),
+      },
+    });
+  }
+
+  await remember();
+  return { accepted: true, eventId, eventType, matched: true, requestId: shipment.requestId };
+}
+
+module.exports = {
+  LETTER_EVENTS,
+  verifyLobSignature,
+  handleLobEvent,
+};
@@ -0,0 +1,157 @@
+// /lib/lob.js
+
+// Lob letters API
+
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+const { upstreamFetch } = require("./log");
+const { recordFailure } = require("./failures");
+const { incrementCounter } = require("./metrics");
+
+// Overridable so tests can point Lob at a local stand-in
+const LOB_API_BASE = process.env.LOB_API_BASE || "https://api.lob.com";
+
+/**
+ * LOB_API_KEY, or LOB_TEST_API_KEY in sandbox mode. Sandbox never falls back
+ * to the live key and refuses a live_ key, so test letters are never printed.
+ */
+function lobApiKey() {
+  if (!isSandbox()) return process.env.LOB_API_KEY || "";
+
+  const key = process.env.LOB_TEST_API_KEY || "";
+  return key.startsWith("live_") ? "" : key;
+}
+
+function lobKeyEnvName() {
+  return isSandbox() ? "LOB_TEST_API_KEY" : "LOB_API_KEY";
+}
+
+function lobAuthHeader() {
+  const auth = Buffer.from(
+    `${lobApiKey()}:`
+  ).toString("base64");
+  return `Basic ${auth}`;
+}
+
+/**
+ * Sends the PDF as a letter to the customer. `from` (a warehouse's letterFrom,
+ * see lib/warehouses.js) overrides the LOB_FROM_* return address.
+ */
+async function createLobLetter({ fields, pdfBuffer, idempotencyKey, from }) {
+  const form = new FormData();
+
+  form.set("to[name]", fields.name);
+  form.set("to[address_line1]", fields.address1);
+  if (fields.address2) form.set("to[address_line2]", fields.address2);
+  form.set("to[address_city]", fields.city);
+  form.set("to[address_state]", fields.state);
+  form.set("to[address_zip]", fields.zip);
+
+  form.set(
+    "from[name]",
+    from?.name || process.env.LOB_FROM_NAME || "Connect America"
+  );
+  form.set(
+    "from[address_line1]",
+    from?.address_line1 || process.env.LOB_FROM_ADDRESS1 || "3 Bala Plaza West"
+  );
+  form.set(
+    "from[address_city]",
+    from?.address_city || process.env.LOB_FROM_CITY || "Bala Cynwyd"
+  );
+  form.set(
+    "from[address_state]",
+    from?.address_state || process.env.LOB_FROM_STATE || "PA"
+  );
+  form.set(
+    "from[address_zip]",
+    from?.address_zip || process.env.LOB_FROM_ZIP || "19004"
+  );
+
+  form.set("color", "true");
+  form.set("use_type", "operational");
+  // Lob prints the addresses on the top of page 1; the cover page leaves that
+  // corner blank for them (lib/pdf.js ADDRESS_ZONE)
+  form.set("address_placement", "top_first_page");
+
+  form.set(
+    "file",
+    new Blob([pdfBuffer], { type: "application/pdf" }),
+    "return-label.pdf"
+  );
+
+  const headers = { Authorization: lobAuthHeader() };
+  // Lob de-duplicates letters sent with the same key for 24 hours
+  if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+  const failed = async (status, details) => {
+    await incrementCounter("lob_letters_failed");
+    await recordFailure({
+      service: "lob",
+      operation: "create_letter",
+      status,
+      message: "Lob letter creation failed",
+      details,
+    });
+    return httpError(status ? 400 : 502, "Lob letter creation failed", details);
+  };
+
+  let lobResp;
+  try {
+    lobResp = await upstreamFetch(
+      "lob",
+      "create_letter",
+      `${LOB_API_BASE}/v1/letters`,
+      {
+        method: "POST",
+        headers,
+        body: form,
+      }
+    );
+  } catch (e) {
+    throw await failed(null, { error: e.message || String(e) });
+  }
+
+  const lobJson = await lobResp.json().catch(() => null);
+
+  if (!lobResp.ok || !lobJson?.id) {
+    throw await failed(lobResp.status, lobJson);
+  }
+
+  return lobJson;
+}
+
+/**
+ * Cancels a letter. Lob only allows this before the letter's send_date
+ * (the cancellation window); after that it answers with an error.
+ * Resolves to { ok, status, data }.
+ */
+async function cancelLobLetter(letterId) {
+  const resp = await upstreamFetch(
+    "lob",
+    "cancel_letter",
+    `${LOB_API_BASE}/v1/letters/${encodeURIComponent(letterId)}`,
+    {
+      method: "DELETE",
+      headers: { Authorization: lobAuthHeader() },
+    }
+  );
+
+  const data = await resp.json().catch(() => null);
+  return { ok: resp.ok && data?.deleted === true, status: resp.status, data };
+}
+
+// What the mail pipeline calls, as one object so tests can hand it a fake
+const lobClient = {
+  createLetter: createLobLetter,
+  cancelLetter: cancelLobLetter,
+};
+
+module.exports = {
+  LOB_API_BASE,
+  lobApiKey,
+  lobKeyEnvName,
+  createLobLetter,
+  cancelLobLetter,
+  lobClient,
+};
@@ -0,0 +1,187 @@
+// /lib/log.js
+
+// Structured logging: one JSON object per line on stdout (stderr for warn and
+// error), which Vercel keeps and lets us search. Every line carries the
+// correlation ID of the request being handled, so a request's SERA, Lob and
+// Sheets calls can be found together.
+//
+// Fields are redacted before they are written: secrets (tokens, keys,
+// passwords, label files) are dropped, and customer details (names, phones,
+// emails, street lines) are masked. redact() is also what the failures
+// dashboard and error responses use for upstream bodies.
+//
+// LOG_LEVEL: debug | info (default) | warn | error | silent
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[redacted]";
+
+// Keys whose values are never logged
+const SECRET_KEY =
+  /token|secret|password|passwd|authorization|cookie|api[_-]?key|signature|^code$|label_?data|data_?base64|pdf_?buffer/i;
+
+// Keys holding customer details; string values are masked, objects are walked
+const PII_KEY =
+  /^(name|.*_name|customer.*|.*email.*|.*phone.*|address[_-]?(line)?\d|.*address_line\d|primary_line|secondary_line|street.*|to|recipient)$/i;
+
+const MAX_DEPTH = 6;
+const MAX_ARRAY = 20;
+const MAX_STRING = 2000;
+
+const context = new AsyncLocalStorage();
+
+function maskEmail(email) {
+  const [local, domain] = String(email).split("@");
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function maskPii(value) {
+  const s = String(value);
+  if (s.includes("@")) return maskEmail(s);
+  const digits = s.replace(/\D/g, "");
+  if (digits.length >= 7 && digits.length === s.replace(/[\s().+-]/g, "").length) {
+    return `***${digits.slice(-4)}`;
+  }
+  return REDACTED;
+}
+
+/** Scrubs credentials and email addresses out of free text. */
+function scrubString(s) {
+  const text = s.length > MAX_STRING ? `${s.slice(0, MAX_STRING)}…[truncated]` : s;
+  return text
+    .replace(/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`)
+    .replace(/([\w.+-]+)@([\w-]+\.[\w.-]+)/g, (m) => maskEmail(m));
+}
+
+/**
+ * A copy of `value` that is safe to log or show to an admin: secret fields
+ * removed, customer details masked, long strings and arrays cut short.
+ */
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return scrubString(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Error) return redact({ message: value.message, status: value.status }, depth);
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return "[nested]";
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY).map((v) => redact(v, depth + 1));
+    if (value.length > MAX_ARRAY) items.push(`…${value.length - MAX_ARRAY} more`);
+    return items;
+  }
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (SECRET_KEY.test(key)) {
+      out[key] = v === null || v === undefined || v === "" ? v : REDACTED;
+    } else if (PII_KEY.test(key) && v !== null && typeof v !== "object" && v !== "") {
+      out[key] = maskPii(v);
+    } else {
+      out[key] = redact(v, depth + 1);
+    }
+  }
+  return out;
+}
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+}
+
+/** { correlationId, route } of the request being handled (nulls outside one). */
+function logContext() {
+  const ctx = context.getStore();
+  return { correlationId: ctx?.correlationId || null, route: ctx?.route || null };
+}
+
+function write(level, event, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const ctx = context.getStore() || {};
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...(ctx.correlationId ? { correlationId: ctx.correlationId, route: ctx.route } : {}),
+    ...redact(fields),
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+const log = {
+  debug: (event, fields) => write("debug", event, fields),
+  info: (event, fields) => write("info", event, fields),
+  warn: (event, fields) => write("warn", event, fields),
+  error: (event, fields) => write("error", event, fields),
+};
+
+// Accept a caller's ID (e.g. from a proxy) only if it looks like one
+function incomingCorrelationId(req) {
+  const given = String(req.headers?.["x-request-id"] || "");
+  return /^[\w.:-]{8,100}$/.test(given) ? given : crypto.randomUUID();
+}
+
+/**
+ * Wraps a route handler: gives the request a correlation ID (echoed in the
+ * X-Request-Id response header), runs the handler with it in context and
+ * logs one line when the response is sent.
+ */
+function withRequestLog(route, handler) {
+  return async function loggedHandler(req, res) {
+    const ctx = { correlationId: incomingCorrelationId(req), route };
+    const started = Date.now();
+    res.setHeader("X-Request-Id", ctx.correlationId);
+
+    return context.run(ctx, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        const status = res.statusCode;
+        write(status >= 500 ? "error" : status >= 400 ? "warn" : "info", "request", {
+          method: req.method,
+          status,
+          durationMs: Date.now() - started,
+        });
+      }
+    });
+  };
+}
+
+/**
+ * fetch() for an upstream service that logs the call (service, operation,
+ * status, duration). Bodies are left to the caller, which knows their shape.
+ */
+async function upstreamFetch(service, operation, url, init = {}) {
+  const started = Date.now();
+  const fields = { service, operation, method: init.method || "GET" };
+
+  try {
+    const resp = await fetch(url, init);
+    write(resp.ok ? "info" : "warn", "upstream", {
+      ...fields,
+      status: resp.status,
+      durationMs: Date.now() - started,
+    });
+    return resp;
+  } catch (e) {
+    write("error", "upstream", {
+      ...fields,
+      error: e.message || String(e),
+      durationMs: Date.now() - started,
+    });
+    throw e;
+  }
+}
+
+module.exports = {
+  log,
+  redact,
+  logContext,
+  withRequestLog,
+  upstreamFetch,
+};
@@ -0,0 +1,506 @@
+// /lib/mailing.js
+
+// Mail pipeline shared by /api/mail-label and /api/batch-mail:
+// return label (lib/labels.js) -> instructions + label PDF (lib/pdf.js) -> Lob letter,
+// email and/or an in-browser download, depending on the request's `delivery` mode.
+// A request with several devices can need several boxes (lib/packages.js): the
+// letter then carries one label per box and its cover page lists them all.
+// Runs keep the label's ids and the download's name, not the files; a repeat
+// rebuilds them from the kept label (lib/label-files.js).
+// SERA, Lob and the Sheets webhook are injectable (`sera`, `lob`, `sheets`) for tests.
+
+const ledger = require("./ledger");
+const { lobClient } = require("./lob");
+const { seraClient } = require("./sera");
+const { sheetsClient } = require("./sheets");
+const { createReturnLabel, withoutLabelData, withLabelData } = require("./labels");
+const { buildInstructionsPlusLabelPdf } = require("./pdf");
+const { verifyForShipping } = require("./address-verification");
+const { isValidEmail, emailReturnLabel } = require("./email");
+const { getDevice } = require("./devices");
+const { readDevices, planPackages } = require("./packages");
+const { actor } = require("./users");
+const { getWarehouse } = require("./warehouses");
+const { LANGUAGES, readLanguage } = require("./i18n");
+const { beginRun, saveCheckpoint, completeRun, failRun } = require("./idempotency");
+const { voidShipmentLabel } = require("./voids");
+const { CARRIERS, trackingUrl, readRequestedService, readLabelOptions } = require("./carriers");
+
+const REQUIRED_FIELDS = [
+  "name",
+  "address1",
+  "city",
+  "state",
+  "zip",
+  "phone",
+  // deviceType too, unless body.devices lists the devices (readDevices in lib/packages.js)
+];
+
+// mail: Lob letter only, email: PDF emailed to the customer, both: letter + email,
+// download: PDF returned in the response for printing at home (no letter)
+const DELIVERY_MODES = ["mail", "email", "both", "download"];
+
+// download formats: letter = instructions + label on letter paper, label = raw 4x6
+const DOWNLOAD_FORMATS = ["letter", "label"];
+
+function requireField(body, key) {
+  const v = body?.[key];
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+  return s;
+}
+
+/**
+ * Pulls the mailing fields out of a request body.
+ * Returns { fields, missing, errors }: missing lists required keys left blank,
+ * errors any other problems (unknown device, service or language, bad delivery
+ * mode, download format, label format or email address). fields.devices are
+ * the request's devices (readDevices()); fields.deviceType is the first one's.
+ */
+function readMailFields(body) {
+  const fields = {
+    name: requireField(body, "name"),
+    address1: requireField(body, "address1"),
+    address2: requireField(body, "address2") || "",
+    city: requireField(body, "city"),
+    state: requireField(body, "state"),
+    zip: requireField(body, "zip"),
+    phone: requireField(body, "phone"),
+    deviceType: requireField(body, "deviceType"),
+    email: requireField(body, "email") || "",
+    delivery: (requireField(body, "delivery") || "mail").toLowerCase(),
+    downloadFormat: (requireField(body, "downloadFormat") || "letter").toLowerCase(),
+    service: (requireField(body, "service") || "").toLowerCase(),
+    language: readLanguage(body?.language),
+  };
+
+  const missing = REQUIRED_FIELDS.filter((k) => !fields[k]);
+  const errors = [];
+
+  const devices = readDevices(body);
+  fields.devices = devices.devices;
+  fields.deviceType = devices.devices[0]?.type || fields.deviceType;
+  missing.push(...devices.missing);
+  errors.push(...devices.errors);
+
+  if (!DELIVERY_MODES.includes(fields.delivery)) {
+    errors.push(`delivery must be one of: ${DELIVERY_MODES.join(", ")}`);
+  } else if (wantsEmail(fields)) {
+    if (!fields.email) missing.push("email");
+    else if (!isValidEmail(fields.email)) errors.push("email is not a valid address");
+  }
+
+  if (!fields.language) {
+    errors.push(`language must be one of: ${Object.keys(LANGUAGES).join(", ")}`);
+  }
+
+  if (fields.delivery === "download" && !DOWNLOAD_FORMATS.includes(fields.downloadFormat)) {
+    errors.push(`downloadFormat must be one of: ${DOWNLOAD_FORMATS.join(", ")}`);
+  }
+
+  try {
+    readRequestedService(fields.service);
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  const label = readLabelOptions(body);
+  fields.labelFormat = label.labelFormat;
+  fields.labelSize = label.labelSize;
+  errors.push(...label.errors);
+
+  // Letters, emails and the letter download embed the label in a PDF
+  const rawLabel = fields.delivery === "download" && fields.downloadFormat === "label";
+  if (fields.labelFormat !== "pdf" && !rawLabel) {
+    errors.push("labelFormat png / zpl needs delivery \"download\" with downloadFormat \"label\"");
+  }
+
+  const boxes = fields.devices.length > 1 ? planPackages(fields.devices).length : 1;
+  if (rawLabel && boxes > 1) {
+    errors.push(`downloadFormat "label" is a single label; these devices need ${boxes} boxes, use "letter"`);
+  }
+
+  return { fields, missing, errors };
+}
+
+function wantsLetter(fields) {
+  return fields.delivery === "mail" || fields.delivery === "both";
+}
+
+function wantsEmail(fields) {
+  return fields.delivery === "email" || fields.delivery === "both";
+}
+
+/** Sends the letter; it is recorded on every box's ledger record (`requestIds`). */
+async function sendLetter({ requestId, requestIds = [requestId], fields, pdfBuffer, idempotencyKey, user, warehouseId, lob }) {
+  let lobJson;
+  try {
+    lobJson = await lob.createLetter({
+      fields,
+      pdfBuffer,
+      idempotencyKey,
+      from: getWarehouse(warehouseId)?.letterFrom,
+    });
+  } catch (e) {
+    await ledger.safeRecordStep(requestId, "letter_failed", {
+      status: "letter_failed",
+      error: e.message || String(e),
+      detail: { by: user?.username || null, details: e.details },
+    });
+    throw e;
+  }
+
+  for (const id of requestIds) {
+    await ledger.safeRecordStep(id, "letter_created", {
+      status: "mailed",
+      error: null,
+      letter: {
+        lobLetterId: lobJson.id,
+        lobStatus: lobJson.status || null,
+        createdBy: user?.username || null,
+      },
+      detail: { by: user?.username || null },
+    });
+  }
+
+  return lobJson;
+}
+
+async function sendEmailCopy({ requestId, requestIds = [requestId], fields, carrier, trackingNumbers, pdfBuffer, alsoMailed }) {
+  try {
+    const sent = await emailReturnLabel({
+      to: fields.email,
+      name: fields.name,
+      deviceType: fields.devices.map((d) => d.name).join(", "),
+      carrierName: CARRIERS[carrier]?.name,
+      trackingNumber: trackingNumbers.filter(Boolean).join(", "),
+      pdfBuffer,
+      language: fields.language,
+      boxes: trackingNumbers.length,
+    });
+
+    const email = {
+      to: fields.email,
+      transport: sent.transport,
+      messageId: sent.messageId,
+      sentAt: new Date().toISOString(),
+    };
+    for (const id of requestIds) {
+      await ledger.safeRecordStep(id, "email_sent", {
+        ...(alsoMailed ? {} : { status: "emailed", error: null }),
+        email,
+      });
+    }
+
+    return sent;
+  } catch (e) {
+    await ledger.safeRecordStep(requestId, "email_failed", {
+      ...(alsoMailed ? {} : { status: "email_failed" }),
+      error: e.message || String(e),
+      detail: { to: fields.email },
+    });
+    throw e;
+  }
+}
+
+/**
+ * Runs the full mailing for one customer.
+ * `fields` must come from readMailFields() with nothing missing.
+ * Every step is written to the shipment ledger, attributed to `user` (the
+ * logged-in agent).
+ *
+ * The run is keyed by `idempotencyKey` (lib/idempotency.js; a server-made key
+ * when none is given). Each side effect is checkpointed (address verified ->
+ * label bought -> letter created -> email sent), so a retry with the same key
+ * picks up after the last one that finished, and a repeat of a finished run
+ * returns its original result. `shared` runs (batch rows) are not tied to `user`.
+ * With `restartOnChange` a retry with a corrected body starts the run over
+ * and voids the labels the failed attempts bought.
+ */
+async function mailReturnLabel({
+  body,
+  fields,
+  user,
+  idempotencyKey,
+  shared = false,
+  restartOnChange = false,
+  source = "mail-label",
+  sera = seraClient,
+  lob = lobClient,
+  sheets = sheetsClient,
+}) {
+  const { run, replay, resumed } = await beginRun({
+    scope: source,
+    key: idempotencyKey,
+    username: shared ? null : user.username,
+    body,
+    restartOnChange,
+  });
+  if (replay) return { ...(await withDownload(run, body, replay)), replayed: true };
+
+  try {
+    const result = await runMailing({ run, resumed, body, fields, user, shared, source, sera, lob, sheets });
+    // The download's bytes are rebuilt on a repeat (withDownload)
+    const { dataBase64, ...download } = result.download || {};
+    await completeRun(run, result.download ? { ...result, download } : result);
+    return result;
+  } catch (e) {
+    await failRun(run, e);
+    // Lets the caller retry with the same key
+    e.requestId = run.requestId;
+    e.idempotencyKey = run.key;
+    throw e;
+  }
+}
+
+// A finished run's result with the download's bytes put back
+async function withDownload(run, body, result) {
+  if (!result.download) return result;
+
+  const { fields } = run.checkpoints.address;
+  const labelJson = await withLabelData(run.checkpoints.label);
+  const pdfBuffer = isRawLabelOnly(fields) ? null : await buildLetterPdf({ body, fields, labelJson });
+  return { ...result, download: downloadFor({ fields, labelJson, pdfBuffer }) };
+}
+
+function isRawLabelOnly(fields) {
+  return fields.delivery === "download" && fields.downloadFormat === "label";
+}
+
+/** Cover page, the devices' instructions and one label per box (lib/pdf.js). */
+function buildLetterPdf({ body, fields, labelJson }) {
+  const boxes = labelJson.labels || [labelJson];
+
+  return buildInstructionsPlusLabelPdf({
+    labelBase64: boxes.map((box) => box.labelData),
+    instructionsPdf: fields.devices.map((d) => d.instructionsPdf),
+    language: fields.language,
+    cover: {
+      name: fields.name,
+      devices: fields.devices.map((d) => ({ name: d.name, serial: d.serial })),
+      returnReason: String(body.returnReason || "").trim(),
+      boxes: boxes.map((box) => ({
+        trackingNumber: box.trackingNumber,
+        trackingUrl: trackingUrl(box.carrier, box.trackingNumber),
+        devices: (box.devices || []).map((d) => getDevice(d.type)?.name || d.type),
+      })),
+      carrierName: CARRIERS[labelJson.carrier]?.name,
+    },
+  });
+}
+
+function downloadFor({ fields, labelJson, pdfBuffer }) {
+  return {
+    format: fields.downloadFormat,
+    filename: pdfBuffer ? "connect-america-return-label.pdf" : labelJson.filename,
+    mimeType: pdfBuffer ? "application/pdf" : labelJson.mimeType,
+    dataBase64: pdfBuffer ? pdfBuffer.toString("base64") : labelJson.labelData,
+  };
+}
+
+async function voidAbandoned({ run, user, sera, lob }) {
+  const abandoned = new Set(run.abandoned);
+  const boxes = await ledger.listShipments(
+    (doc) => (abandoned.has(doc.requestId) || abandoned.has(doc.group?.id)) && doc.label?.labelId
+  );
+
+  for (const box of boxes) {
+    if (box.label.voidedAt) continue;
+    await voidShipmentLabel({
+      requestId: box.requestId,
+      reason: `Replaced by a corrected retry (${run.requestId})`,
+      user,
+      sera,
+      lob,
+    });
+  }
+}
+
+async function runMailing({ run, resumed, body, fields, user, shared, source, sera, lob, sheets }) {
+  const { requestId, checkpoints } = run;
+
+  await ledger.recordRequest(requestId, { source, body, createdBy: actor(user) });
+
+  if (resumed) {
+    await ledger.recordStep(requestId, "resumed", {
+      detail: {
+        by: user?.username || null,
+        attempt: run.attempts,
+        done: Object.keys(checkpoints),
+      },
+    });
+  }
+
+  // Labels bought by attempts this run replaced are voided before a new one is
+  if (run.abandoned?.length && !checkpoints.abandonedVoided) {
+    await voidAbandoned({ run, user, sera, lob });
+    await saveCheckpoint(run, "abandonedVoided", true);
+  }
+
+  // Keys passed down change with each restart, since the body they cover did
+  const keyBase = run.restarts ? `${run.id}-r${run.restarts}` : run.id;
+
+  // 0️⃣ Verify the address once, for both the label and the Lob letter
+  if (!checkpoints.address) {
+    let verified;
+    try {
+      verified = await verifyForShipping(fields, {
+        override: body.addressOverride === true,
+      });
+    } catch (e) {
+      if (e.status === 422) {
+        await ledger.safeRecordStep(requestId, "address_rejected", {
+          status: "address_rejected",
+          error: e.message,
+          detail: e.details,
+        });
+      }
+      throw e;
+    }
+
+    await ledger.recordStep(requestId, "address_verified", {
+      addressVerification: verified.verification,
+      customer: {
+        address1: verified.fields.address1,
+        address2: verified.fields.address2,
+        city: verified.fields.city,
+        state: verified.fields.state,
+        zip: verified.fields.zip,
+      },
+    });
+
+    await saveCheckpoint(run, "address", verified);
+  }
+
+  const { verification } = checkpoints.address;
+  fields = checkpoints.address.fields;
+
+  // 1️⃣ Generate the label (recorded under the same requestId; addressOverride
+  // stops it from verifying the address a second time). Its own idempotency
+  // key means a label bought just before a crash is returned again rather
+  // than bought twice.
+  let labelJson = null;
+  if (!checkpoints.label) {
+    labelJson = await createReturnLabel({
+      user,
+      idempotencyKey: `${keyBase}-label`,
+      requestId,
+      source,
+      shared,
+      sera,
+      sheets,
+      body: {
+        ...body,
+        address1: fields.address1,
+        address2: fields.address2,
+        city: fields.city,
+        state: fields.state,
+        zip: fields.zip,
+        addressOverride: true,
+      },
+    });
+    await saveCheckpoint(run, "label", withoutLabelData(labelJson));
+  }
+
+  labelJson = labelJson || (await withLabelData(checkpoints.label));
+  const trackingNumber = labelJson.trackingNumber || "";
+
+  // One label per box; the first box's record is this request's
+  const boxes = labelJson.labels || [labelJson];
+  const boxRequestIds = boxes.map((box) => box.requestId || requestId);
+
+  // 2️⃣ Build combined PDF (not needed when only the raw 4x6 label is downloaded).
+  // Nothing is spent here, so a retry rebuilds it from the saved label.
+  const combinedPdfBuffer = isRawLabelOnly(fields)
+    ? null
+    : await buildLetterPdf({ body, fields, labelJson });
+
+  if (combinedPdfBuffer) {
+    await ledger.safeRecordStep(requestId, "pdf_built", {
+      detail: { bytes: combinedPdfBuffer.length },
+    });
+  }
+
+  // 3️⃣ Send to Lob, email the PDF, or hand it back for download
+  const result = {
+    requestId,
+    idempotencyKey: run.key,
+    delivery: fields.delivery,
+    addressVerification: verification,
+    carrier: labelJson.carrier || null,
+    serviceType: labelJson.serviceType || null,
+    warehouse: labelJson.warehouse || null,
+    uspsTrackingNumber: trackingNumber || null,
+    boxes: boxes.map((box) => ({
+      requestId: box.requestId || requestId,
+      trackingNumber: box.trackingNumber || null,
+      weightOz: box.weightOz ?? null,
+      devices: box.devices || [],
+    })),
+    lobLetterId: null,
+    lobStatus: null,
+    emailedTo: null,
+  };
+
+  if (fields.delivery === "download") {
+    result.download = downloadFor({ fields, labelJson, pdfBuffer: combinedPdfBuffer });
+
+    await ledger.safeRecordStep(requestId, "label_downloaded", {
+      status: "downloaded",
+      error: null,
+      detail: { format: fields.downloadFormat },
+    });
+  }
+
+  if (wantsLetter(fields)) {
+    if (!checkpoints.letter) {
+      const lobJson = await sendLetter({
+        requestId,
+        requestIds: boxRequestIds,
+        fields,
+        pdfBuffer: combinedPdfBuffer,
+        idempotencyKey: `${keyBase}-letter`,
+        user,
+        warehouseId: labelJson.warehouse,
+        lob,
+      });
+      await saveCheckpoint(run, "letter", { id: lobJson.id, status: lobJson.status || null });
+    }
+    result.lobLetterId = checkpoints.letter.id;
+    result.lobStatus = checkpoints.letter.status;
+  }
+
+  if (wantsEmail(fields)) {
+    try {
+      if (!checkpoints.email) {
+        const sent = await sendEmailCopy({
+          requestId,
+          requestIds: boxRequestIds,
+          fields,
+          carrier: labelJson.carrier,
+          trackingNumbers: boxes.map((box) => box.trackingNumber),
+          pdfBuffer: combinedPdfBuffer,
+          alsoMailed: wantsLetter(fields),
+        });
+        await saveCheckpoint(run, "email", { to: fields.email, messageId: sent.messageId || null });
+      }
+      result.emailedTo = checkpoints.email.to;
+    } catch (e) {
+      // With "both" the letter is already on its way; report the email problem only
+      if (!wantsLetter(fields)) throw e;
+      result.emailError = e.message || String(e);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  DELIVERY_MODES,
+  DOWNLOAD_FORMATS,
+  readMailFields,
+  wantsLetter,
+  mailReturnLabel,
+};
@@ -0,0 +1,72 @@
+// /lib/metrics.js
+
+// Operational counters, kept in the store ("metrics" / "counters") as running
+// totals plus per-day (UTC) counts for the last DAYS_KEPT days:
+//
+//   labels_created, labels_failed         SERA label purchases
+//   lob_letters_failed                    Lob letter requests that failed
+//   sera_token_refreshes                  successful SERA token refreshes
+//   sera_token_refresh_failures           rejected or failed refreshes
+//   requests_blocked                      attempts stopped by lib/abuse.js
+//
+// Counting never throws; a store problem is logged and the request goes on.
+
+const { getStore } = require("./store");
+const { log } = require("./log");
+
+const COLLECTION = "metrics";
+const DOC = "counters";
+const DAYS_KEPT = 30;
+
+const COUNTERS = [
+  "labels_created",
+  "labels_failed",
+  "lob_letters_failed",
+  "sera_token_refreshes",
+  "sera_token_refresh_failures",
+  "requests_blocked",
+];
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/** Adds `by` to a counter (one of COUNTERS). */
+async function incrementCounter(name, by = 1, store = getStore()) {
+  log.info("metric", { name, by });
+
+  try {
+    const day = today();
+    await store.update(COLLECTION, DOC, (current) => {
+      const totals = { ...(current?.totals || {}) };
+      totals[name] = (totals[name] || 0) + by;
+
+      const days = { ...(current?.days || {}) };
+      days[day] = { ...(days[day] || {}), [name]: (days[day]?.[name] || 0) + by };
+      for (const d of Object.keys(days).sort().slice(0, -DAYS_KEPT)) delete days[d];
+
+      return { totals, days, updatedAt: new Date().toISOString() };
+    });
+  } catch (e) {
+    log.error("metric.store_failed", { name, error: e.message || String(e) });
+  }
+}
+
+/**
+ * { totals, days, updatedAt }: every counter in COUNTERS (0 when unseen),
+ * and per-day counts newest first.
+ */
+async function getCounters(store = getStore()) {
+  const doc = (await store.get(COLLECTION, DOC)) || {};
+  const zeroes = Object.fromEntries(COUNTERS.map((c) => [c, 0]));
+
+  return {
+    totals: { ...zeroes, ...(doc.totals || {}) },
+    days: Object.entries(doc.days || {})
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([date, counts]) => ({ date, ...zeroes, ...counts })),
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+module.exports = { COLLECTION, COUNTERS, incrementCounter, getCounters };
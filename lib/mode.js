@@ -0,0 +1,37 @@
+// /lib/mode.js
+
+// Live vs sandbox mode, set per deployment with APP_MODE=sandbox (default live).
+//
+// Sandbox is for training and QA; nothing in it spends postage or reaches a customer:
+//   SERA   testing hosts, SERA_TEST_* credentials only, is_test_label: true
+//   Lob    LOB_TEST_API_KEY only (a live_ key is refused)
+//   Sheets SHEETS_TEST_WEBHOOK_URL, or skipped when unset
+//   Email  always the capture transport
+//   Address verification defaults to the stub provider
+// The form and admin pages show a TEST MODE banner (GET /api/mode).
+
+const MODES = ["live", "sandbox"];
+
+function appMode() {
+  return process.env.APP_MODE === "sandbox" ? "sandbox" : "live";
+}
+
+function isSandbox() {
+  return appMode() === "sandbox";
+}
+
+/**
+ * Reads NAME in live mode and TEST_NAME in sandbox, e.g. modeEnv("SERA",
+ * "CLIENT_ID") -> SERA_CLIENT_ID / SERA_TEST_CLIENT_ID. Sandbox never falls
+ * back to the live value, and refuses a test value that is the live one (a
+ * preview deployment sharing the production variables), like a live_ Lob key.
+ */
+function modeEnv(prefix, name) {
+  const live = process.env[`${prefix}_${name}`];
+  if (!isSandbox()) return live;
+
+  const test = process.env[`${prefix}_TEST_${name}`];
+  return test && test !== live ? test : undefined;
+}
+
+module.exports = { MODES, appMode, isSandbox, modeEnv };
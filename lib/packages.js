@@ -0,0 +1,137 @@
+// /lib/packages.js
+
+// The devices in one return request and the boxes they go back in.
+//
+// A request names one device (deviceType / deviceSerial) or several
+// (devices: [{ deviceType, deviceSerial }], e.g. a base unit plus a pendant).
+// Weights come from the device catalog (data/devices.json); each box gets its
+// own return label (lib/labels.js).
+//
+// Packing policy (PACKAGE_POLICY):
+//   combine    (default) as few boxes as fit under PACKAGE_MAX_WEIGHT_OZ
+//              (default 160, i.e. 10 lb); a device heavier than that ships alone
+//   separate   one box, and so one label, per device
+
+const { getDevice } = require("./devices");
+
+const MAX_DEVICES = 6;
+
+const PACKAGE_POLICIES = ["combine", "separate"];
+
+const DEFAULT_MAX_WEIGHT_OZ = 160;
+
+function packagePolicy() {
+  const policy = String(process.env.PACKAGE_POLICY || "").trim().toLowerCase();
+  return PACKAGE_POLICIES.includes(policy) ? policy : "combine";
+}
+
+function maxPackageWeightOz() {
+  const n = Number(process.env.PACKAGE_MAX_WEIGHT_OZ);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_WEIGHT_OZ;
+}
+
+/**
+ * The devices in a request body, looked up in the catalog, in request order.
+ * Returns { devices, missing, errors }: missing is ["deviceType"] when no
+ * device is given, errors any other problems (unknown type, a serial listed
+ * twice, too many devices). Each device is { type, name, serial, weightOz,
+ * packagingType, dimensions, instructionsPdf }.
+ */
+function readDevices(body) {
+  const listed = Array.isArray(body?.devices) && body.devices.length
+    ? body.devices
+    : [{ deviceType: body?.deviceType, deviceSerial: body?.deviceSerial }];
+
+  const devices = [];
+  const errors = [];
+  const serials = new Set();
+
+  if (listed.length > MAX_DEVICES) {
+    errors.push(`A request can return at most ${MAX_DEVICES} devices`);
+  }
+
+  listed.forEach((entry, i) => {
+    const where = listed.length > 1 ? `Device ${i + 1}: ` : "";
+    const type = String(entry?.deviceType || "").trim();
+    const serial = String(entry?.deviceSerial || "").trim();
+
+    if (!type) {
+      if (listed.length > 1) errors.push(`${where}deviceType is required`);
+      return;
+    }
+
+    const device = getDevice(type);
+    if (!device) {
+      errors.push(`${where}Unknown device type: ${type}`);
+      return;
+    }
+
+    if (serial) {
+      if (serials.has(serial.toLowerCase())) errors.push(`${where}serial ${serial} is listed twice`);
+      serials.add(serial.toLowerCase());
+    }
+
+    devices.push({
+      type: device.type,
+      name: device.name,
+      serial,
+      weightOz: device.weightOz,
+      packagingType: device.packagingType,
+      dimensions: device.dimensions,
+      instructionsPdf: device.instructionsPdf,
+    });
+  });
+
+  const missing = listed.length === 1 && !String(listed[0]?.deviceType || "").trim() ? ["deviceType"] : [];
+  return { devices, missing, errors };
+}
+
+/** One box: its devices, their combined weight and the packaging to quote. */
+function toPackage(devices) {
+  const [first] = devices;
+  const single = devices.length === 1;
+  return {
+    type: first.type,
+    devices,
+    weightOz: devices.reduce((sum, d) => sum + d.weightOz, 0),
+    packagingType: single ? first.packagingType || "package" : "package",
+    dimensions: single ? first.dimensions || null : null,
+  };
+}
+
+/**
+ * Splits `devices` (from readDevices) into boxes under the packing policy.
+ * Each box is { type, devices, weightOz, packagingType, dimensions }; `type`
+ * is the first device's, used for warehouse routing.
+ */
+function planPackages(devices, { policy = packagePolicy(), maxWeightOz = maxPackageWeightOz() } = {}) {
+  if (policy === "separate") return devices.map((d) => toPackage([d]));
+
+  // Heaviest first, each into the first box it fits in
+  const boxes = [];
+  for (const device of [...devices].sort((a, b) => b.weightOz - a.weightOz)) {
+    const box = boxes.find((b) => b.reduce((sum, d) => sum + d.weightOz, 0) + device.weightOz <= maxWeightOz);
+    if (box) box.push(device);
+    else boxes.push([device]);
+  }
+
+  // Back in request order inside each box
+  return boxes.map((box) => toPackage(devices.filter((d) => box.includes(d))));
+}
+
+/** The body fields that describe `pkg`'s devices (for one box's label request). */
+function packageBody(pkg) {
+  return {
+    deviceType: pkg.devices[0].type,
+    deviceSerial: pkg.devices[0].serial,
+    devices: pkg.devices.map((d) => ({ deviceType: d.type, deviceSerial: d.serial })),
+  };
+}
+
+module.exports = {
+  MAX_DEVICES,
+  PACKAGE_POLICIES,
+  readDevices,
+  planPackages,
+  packageBody,
+};
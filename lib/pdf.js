@@ -0,0 +1,345 @@
+// /lib/pdf.js
+
+// The letter PDF: a cover page for the customer, the devices' instructions,
+// then each return label (one per box) on a letter-sized page. Used for Lob
+// letters, emails and the letter download.
+
+const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const QRCode = require("qrcode");
+const fs = require("fs");
+const path = require("path");
+const { localizedFile } = require("./i18n");
+
+const LETTER_W = 612;
+const LETTER_H = 792;
+const INCH = 72;
+const MARGIN = 0.5 * INCH;
+
+// Lob prints the return and recipient addresses in the top-left corner of the
+// first page (address_placement "top_first_page", see lib/lob.js) and rejects
+// letters with content underneath. The cover page keeps this corner blank; it
+// is larger than Lob's address block so the postal barcode has room too.
+const ADDRESS_ZONE = { width: 4.75 * INCH, height: 3.75 * INCH };
+
+const LOGO_FILE = "connect-america-logo.jpg";
+const SUPPORT_PHONE = "1-800-286-2622";
+
+const QR_SIZE = 1.25 * INCH;
+
+// Boxes beyond this get no QR code; their tracking numbers are still listed
+const MAX_QR_CODES = 3;
+
+// Cover page text, per language (lib/i18n.js)
+const COVER_TEXT = {
+  en: {
+    heading: "Your device return",
+    greeting: (name) => (name ? `Dear ${name},` : "Hello,"),
+    intro:
+      "Thank you for returning your Connect America device. Your prepaid return label " +
+      "is on the last page of this letter, so there is nothing to pay.",
+    introBoxes: (boxes) =>
+      `Thank you for returning your Connect America devices. They go back in ${boxes} boxes; ` +
+      "the prepaid return labels are on the last pages of this letter, so there is nothing to pay.",
+    customer: "Customer",
+    device: "Device",
+    devices: "Devices",
+    serial: "Serial number",
+    reason: "Return reason",
+    tracking: "Tracking number",
+    trackingBoxes: "Tracking numbers",
+    box: (n) => `Box ${n}`,
+    notGiven: "Not provided",
+    steps: "What to do",
+    powerOff: "Turn the device off as shown in the instructions in this letter.",
+    pack: "Pack the device securely and tape the label from the last page to the box.",
+    packBoxes: (boxes) =>
+      `Pack the devices into ${boxes} boxes as listed above and tape one of the labels at the end of this letter to each box.`,
+    dropOff: (carrierName) =>
+      carrierName === "USPS"
+        ? "Drop it off at any USPS location or hand it to your mail carrier."
+        : `Drop it off at any ${carrierName} location.`,
+    scan: "Scan to track your return",
+    scanBox: (n) => `Track box ${n}`,
+    questions: `Questions? Call Connect America at ${SUPPORT_PHONE}.`,
+  },
+  es: {
+    heading: "Devolución de su dispositivo",
+    greeting: (name) => (name ? `Estimado/a ${name}:` : "Hola:"),
+    intro:
+      "Gracias por devolver su dispositivo de Connect America. La etiqueta de devolución " +
+      "prepagada está en la última página de esta carta; no tiene que pagar nada.",
+    introBoxes: (boxes) =>
+      `Gracias por devolver sus dispositivos de Connect America. Se devuelven en ${boxes} cajas; ` +
+      "las etiquetas de devolución prepagadas están en las últimas páginas de esta carta; no tiene que pagar nada.",
+    customer: "Cliente",
+    device: "Dispositivo",
+    devices: "Dispositivos",
+    serial: "Número de serie",
+    reason: "Motivo de la devolución",
+    tracking: "Número de seguimiento",
+    trackingBoxes: "Números de seguimiento",
+    box: (n) => `Caja ${n}`,
+    notGiven: "No indicado",
+    steps: "Qué debe hacer",
+    powerOff: "Apague el dispositivo como se indica en las instrucciones de esta carta.",
+    pack: "Empaque bien el dispositivo y pegue en la caja la etiqueta de la última página.",
+    packBoxes: (boxes) =>
+      `Empaque los dispositivos en ${boxes} cajas como se indica arriba y pegue en cada caja una de las etiquetas al final de esta carta.`,
+    dropOff: (carrierName) =>
+      carrierName === "USPS"
+        ? "Déjelo en cualquier oficina de USPS o entrégueselo a su cartero."
+        : `Déjelo en cualquier local de ${carrierName}.`,
+    scan: "Escanee para seguir su devolución",
+    scanBox: (n) => `Seguir la caja ${n}`,
+    questions: `¿Preguntas? Llame a Connect America al ${SUPPORT_PHONE}.`,
+  },
+};
+
+/**
+ * Standard fonts only cover WinAnsi; anything else (emoji, other scripts)
+ * would make pdf-lib throw, so it is replaced.
+ */
+function printable(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return [...String(text ?? "").replace(/\s+/g, " ").trim()]
+    .map((ch) => (supported.has(ch.codePointAt(0)) ? ch : "?"))
+    .join("");
+}
+
+/** Splits `text` into lines no wider than `maxWidth`, at most `maxLines`. */
+function wrapText(text, font, size, maxWidth, maxLines = Infinity) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(" ")) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/\s*\S*$/, "")}...`;
+    return kept;
+  }
+  return lines;
+}
+
+function drawQrCode(page, url, { x, y, size }) {
+  const { modules } = QRCode.create(url, { errorCorrectionLevel: "M" });
+  const quiet = 4;
+  const cell = size / (modules.size + quiet * 2);
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      page.drawRectangle({
+        x: x + (col + quiet) * cell,
+        y: y + size - (row + quiet + 1) * cell,
+        width: cell,
+        height: cell,
+        color: rgb(0, 0, 0),
+      });
+    }
+  }
+}
+
+/**
+ * Adds the personalized first page: logo, who the letter is for, every device
+ * expected back, each box's tracking number with a QR code to the carrier's
+ * tracking page, and the support number. The top-left ADDRESS_ZONE stays
+ * blank for Lob.
+ *
+ * `devices` are [{ name, serial }]; `boxes` are [{ trackingNumber,
+ * trackingUrl, devices: [name] }], one per label.
+ */
+async function addCoverPage(out, { name, devices = [], returnReason, boxes = [], carrierName = "USPS" }, language) {
+  const t = COVER_TEXT[language] || COVER_TEXT.en;
+  const page = out.addPage([LETTER_W, LETTER_H]);
+  const font = await out.embedFont(StandardFonts.Helvetica);
+  const bold = await out.embedFont(StandardFonts.HelveticaBold);
+  const text = (value) => printable(font, value);
+
+  // Logo in the top-right corner, clear of the address zone
+  const logoPath = path.join(process.cwd(), LOGO_FILE);
+  if (fs.existsSync(logoPath)) {
+    const logo = await out.embedJpg(fs.readFileSync(logoPath));
+    const width = Math.min(2.5 * INCH, LETTER_W - ADDRESS_ZONE.width - 2 * MARGIN);
+    const height = (logo.height / logo.width) * width;
+    page.drawImage(logo, {
+      x: LETTER_W - MARGIN - width,
+      y: LETTER_H - MARGIN - height,
+      width,
+      height,
+    });
+  }
+
+  const width = LETTER_W - 2 * MARGIN;
+  let y = LETTER_H - ADDRESS_ZONE.height - 0.25 * INCH;
+
+  page.drawText(printable(bold, t.heading), { x: MARGIN, y, size: 20, font: bold });
+  y -= 32;
+
+  page.drawText(text(t.greeting(name)), { x: MARGIN, y, size: 12, font });
+  y -= 20;
+
+  const intro = boxes.length > 1 ? t.introBoxes(boxes.length) : t.intro;
+  for (const line of wrapText(text(intro), font, 11, width)) {
+    page.drawText(line, { x: MARGIN, y, size: 11, font });
+    y -= 15;
+  }
+  y -= 12;
+
+  // One device in one box keeps the short form; otherwise a line per device and per box
+  const single = devices.length <= 1 && boxes.length <= 1;
+  const [device = {}] = devices;
+  const [box = {}] = boxes;
+  const deviceLine = (d) => (d.serial ? `${d.name} (${d.serial})` : d.name);
+  const boxLine = (b, i) => `${t.box(i + 1)}: ${b.trackingNumber} - ${b.devices.join(", ")}`;
+
+  const labelWidth = 1.9 * INCH;
+  const details = single
+    ? [
+        [t.customer, [name]],
+        [t.device, [device.name]],
+        [t.serial, [device.serial]],
+        [t.reason, [returnReason]],
+        [t.tracking, [box.trackingNumber]],
+      ]
+    : [
+        [t.customer, [name]],
+        [t.devices, devices.map(deviceLine)],
+        [t.reason, [returnReason]],
+        [boxes.length > 1 ? t.trackingBoxes : t.tracking, boxes.length > 1 ? boxes.map(boxLine) : [box.trackingNumber]],
+      ];
+
+  for (const [label, values] of details) {
+    page.drawText(printable(bold, label), { x: MARGIN, y, size: 11, font: bold });
+    for (const value of values) {
+      const lines = wrapText(text(value) || text(t.notGiven), font, 11, width - labelWidth, values.length > 1 ? 2 : 3);
+      for (const line of lines) {
+        page.drawText(line, { x: MARGIN + labelWidth, y, size: 11, font });
+        y -= 15;
+      }
+    }
+    y -= 3;
+  }
+  y -= 12;
+
+  page.drawText(printable(bold, t.steps), { x: MARGIN, y, size: 12, font: bold });
+  y -= 18;
+
+  // QR codes sit in a row at the bottom right, smaller when there are several;
+  // the steps stay left of them
+  const codes = boxes.length <= MAX_QR_CODES ? boxes.filter((b) => b.trackingUrl) : [];
+  const qrSize = codes.length > 1 ? 1 * INCH : QR_SIZE;
+  const qrGap = 0.25 * INCH;
+  const stepsWidth = codes.length ? width - codes.length * (qrSize + qrGap) : width;
+  const pack = boxes.length > 1 ? t.packBoxes(boxes.length) : t.pack;
+
+  [t.powerOff, pack, t.dropOff(carrierName)].forEach((step, i) => {
+    wrapText(text(step), font, 11, stepsWidth - 16).forEach((line, j) => {
+      if (j === 0) page.drawText(`${i + 1}.`, { x: MARGIN, y, size: 11, font });
+      page.drawText(line, { x: MARGIN + 16, y, size: 11, font });
+      y -= 15;
+    });
+  });
+
+  codes.forEach((b, i) => {
+    const qrX = LETTER_W - MARGIN - qrSize - (codes.length - 1 - i) * (qrSize + qrGap);
+    const qrY = MARGIN + 0.5 * INCH;
+    drawQrCode(page, b.trackingUrl, { x: qrX, y: qrY, size: qrSize });
+
+    const caption = text(boxes.length > 1 ? t.scanBox(boxes.indexOf(b) + 1) : t.scan);
+    const captionWidth = font.widthOfTextAtSize(caption, 9);
+    page.drawText(caption, {
+      x: Math.min(qrX + (qrSize - captionWidth) / 2, LETTER_W - MARGIN - captionWidth),
+      y: qrY - 10,
+      size: 9,
+      font,
+    });
+  });
+
+  page.drawText(printable(bold, t.questions), { x: MARGIN, y: MARGIN, size: 11, font: bold });
+}
+
+/**
+ * Build PDF:
+ * - Starts with a cover page when `cover` is given (addCoverPage), in the
+ *   customer's `language`
+ * - Includes the devices' instructions PDFs, each file once (default
+ *   power-off-instructions.pdf), in the customer's `language` when that
+ *   translation exists (lib/i18n.js). A missing translation falls back to
+ *   English (listed on the /errors page); a missing file throws, so a letter
+ *   never goes out without its instructions.
+ * - Appends a letter-sized page with the 4x6 label centered, for each label
+ *   in `labelBase64` (one string, or one per box)
+ */
+async function buildInstructionsPlusLabelPdf({
+  labelBase64,
+  instructionsPdf = "power-off-instructions.pdf",
+  language,
+  cover = null,
+}) {
+  const out = await PDFDocument.create();
+
+  if (cover) await addCoverPage(out, cover, language);
+
+  // Instructions PDFs; vercel.json bundles them with the mailing functions
+  for (const file of new Set([].concat(instructionsPdf).filter(Boolean))) {
+    const localized = localizedFile(file, language);
+    const instructionsPath = path.resolve(process.cwd(), localized);
+    if (!fs.existsSync(instructionsPath)) {
+      throw new Error(`Instructions PDF not found: ${file}`);
+    }
+
+    const instrBytes = fs.readFileSync(instructionsPath);
+    const instrPdf = await PDFDocument.load(instrBytes);
+    const pages = await out.copyPages(
+      instrPdf,
+      instrPdf.getPageIndices()
+    );
+    pages.forEach((p) => out.addPage(p));
+  }
+
+  for (const label of [].concat(labelBase64)) {
+    await addLabelPage(out, Buffer.from(label, "base64"));
+  }
+
+  return Buffer.from(await out.save());
+}
+
+/** Adds a letter-sized page with the label's first page centered on it. */
+async function addLabelPage(out, labelBytes) {
+  const page = out.addPage([LETTER_W, LETTER_H]);
+
+  const [embeddedLabel] = await out.embedPdf(labelBytes, [0]);
+
+  const targetW = 420;
+  const targetH = 600;
+
+  const scale = Math.min(
+    targetW / embeddedLabel.width,
+    targetH / embeddedLabel.height
+  );
+
+  const drawW = embeddedLabel.width * scale;
+  const drawH = embeddedLabel.height * scale;
+
+  const x = (LETTER_W - drawW) / 2;
+  const y = (LETTER_H - drawH) / 2;
+
+  page.drawPage(embeddedLabel, {
+    x,
+    y,
+    xScale: scale,
+    yScale: scale,
+  });
+}
+
+module.exports = { ADDRESS_ZONE, buildInstructionsPlusLabelPdf };
@@ -0,0 +1,63 @@
+// /lib/rate-limit.js
+
+// Sliding-window rate limits kept in the store ("rate_limits" collection).
+// A limit is written "<count>/<window>", e.g. "60/1h" or "5/24h" (units s, m,
+// h, d); "0" or "off" turns it off. Each key keeps the times of its allowed
+// hits inside the window, so a document never holds more than `count` entries.
+// Keys are hashed before they are stored, so phone numbers and addresses
+// don't end up in document IDs.
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+
+const COLLECTION = "rate_limits";
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** { count, windowMs } for "<count>/<window>", or null when the limit is off. */
+function parseLimit(text) {
+  const value = String(text ?? "").trim().toLowerCase();
+  if (!value || value === "0" || value === "off") return null;
+
+  const m = value.match(/^(\d+)\s*\/\s*(\d+)\s*([smhd])$/);
+  if (!m) throw new Error(`Invalid rate limit "${text}" (expected e.g. 60/1h)`);
+
+  const count = Number(m[1]);
+  const windowMs = Number(m[2]) * UNIT_MS[m[3]];
+  return count > 0 && windowMs > 0 ? { count, windowMs } : null;
+}
+
+function docId(bucket, key) {
+  return crypto.createHash("sha256").update(`${bucket}\n${key}`).digest("hex").slice(0, 40);
+}
+
+/**
+ * Counts one hit for `key` in `bucket` against `limit` ({ count, windowMs }).
+ * Resolves to { allowed, remaining, retryAfterSeconds }. A blocked hit is not
+ * counted, so a caller that backs off gets through once the window moves on.
+ */
+async function hitRateLimit({ bucket, key, limit, now = Date.now() }, store = getStore()) {
+  if (!limit || !key) return { allowed: true, remaining: null, retryAfterSeconds: 0 };
+
+  let outcome;
+  await store.update(COLLECTION, docId(bucket, key), (current) => {
+    const hits = (current?.hits || []).filter((t) => t > now - limit.windowMs);
+
+    if (hits.length >= limit.count) {
+      outcome = {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((hits[0] + limit.windowMs - now) / 1000)),
+      };
+      return { bucket, hits };
+    }
+
+    hits.push(now);
+    outcome = { allowed: true, remaining: limit.count - hits.length, retryAfterSeconds: 0 };
+    return { bucket, hits };
+  });
+
+  return outcome;
+}
+
+module.exports = { COLLECTION, parseLimit, hitRateLimit };
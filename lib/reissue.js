@@ -0,0 +1,130 @@
+// /lib/reissue.js
+
+// Reissue: replace a customer's return label with a new one. The old label
+// is voided (lib/voids.js, which also cancels its Lob letter when it can),
+// then the mail pipeline (lib/mailing.js) sends a new label to the same
+// customer for the same devices. The two ledger records point at each other:
+// `reissuedAs` on the old one, `reissueOf` on the new one.
+//
+// The mailing run is keyed `reissue-<requestId>` and shared by every user, so
+// a retry (by anyone) after a failure finishes the same reissue instead of
+// buying a third label. A retry with other `changes` (say the address Lob
+// refused, corrected) starts that mailing over and voids the label the failed
+// attempt bought. A label that is already voided is not voided again.
+
+const ledger = require("./ledger");
+const { httpError } = require("./http");
+const { voidShipmentLabel } = require("./voids");
+const { readMailFields, wantsLetter, mailReturnLabel } = require("./mailing");
+const { lobApiKey, lobKeyEnvName } = require("./lob");
+
+// What the agent may change for the new label; everything else comes from the record
+const OVERRIDABLE_FIELDS = [
+  "address1",
+  "address2",
+  "city",
+  "state",
+  "zip",
+  "phone",
+  "email",
+  "delivery",
+  "service",
+  "expedited",
+  "addressOverride",
+  "allowDuplicate",
+];
+
+/** The mail-label body for a new label for `shipment`, with the agent's `changes`. */
+function reissueBody(shipment, changes = {}) {
+  const customer = shipment.customer || {};
+  const devices = shipment.devices?.length ? shipment.devices : [shipment.device || {}];
+
+  const body = {
+    name: customer.name,
+    address1: customer.address1,
+    address2: customer.address2,
+    city: customer.city,
+    state: customer.state,
+    zip: customer.zip,
+    phone: customer.phone,
+    email: customer.email,
+    devices: devices.map((d) => ({ deviceType: d.type, deviceSerial: d.serial || "" })),
+    returnReason: shipment.device?.returnReason || "",
+    language: shipment.language,
+    ...(shipment.program ? { program: shipment.program } : {}),
+    // A reissue goes to the customer; a downloaded label is mailed this time
+    delivery: shipment.delivery && shipment.delivery !== "download" ? shipment.delivery : "mail",
+  };
+
+  for (const key of OVERRIDABLE_FIELDS) {
+    if (changes[key] !== undefined && changes[key] !== "") body[key] = changes[key];
+  }
+  return body;
+}
+
+/**
+ * Voids the label on `requestId` and mails a new one, attributed to `user`.
+ * `changes` can correct the address or pick another delivery or service
+ * (OVERRIDABLE_FIELDS). Resolves to the new mailing's result plus
+ * { reissueOf, voided }; throws an httpError otherwise (a 409 when the record
+ * has no label, was already reissued, or its package has carrier scans).
+ */
+async function reissueReturn({ requestId, reason = "", changes = {}, user, clients = {} }) {
+  const shipment = await ledger.getShipment(requestId);
+  if (!shipment) throw httpError(404, "Shipment not found");
+
+  if (!shipment.label?.labelId) {
+    throw httpError(409, "This request has no label to reissue");
+  }
+  if (shipment.reissuedAs) {
+    throw httpError(409, `Already reissued as ${shipment.reissuedAs}`, { requestId: shipment.reissuedAs });
+  }
+
+  const body = reissueBody(shipment, changes);
+  const { fields, missing, errors } = readMailFields(body);
+  if (missing.length) {
+    throw httpError(400, `Missing required fields: ${missing.join(", ")}`, { missing });
+  }
+  if (errors.length) {
+    throw httpError(400, errors.join("; "));
+  }
+  if (wantsLetter(fields) && !lobApiKey()) {
+    throw httpError(500, `Missing ${lobKeyEnvName()} env var`);
+  }
+
+  // Voided first: if that is refused (already scanned), nothing new is bought
+  const voided = shipment.label.voidedAt
+    ? null
+    : await voidShipmentLabel({
+        requestId,
+        reason: `Reissued${reason ? `: ${reason}` : ""}`,
+        user,
+        sera: clients.sera,
+        lob: clients.lob,
+      });
+
+  const result = await mailReturnLabel({
+    body,
+    fields,
+    user,
+    idempotencyKey: `reissue-${requestId}`,
+    shared: true,
+    restartOnChange: true,
+    source: "reissue",
+    ...clients,
+  });
+
+  const by = user?.username || null;
+  await ledger.safeRecordStep(requestId, "reissued", {
+    reissuedAs: result.requestId,
+    detail: { by, reason, newRequestId: result.requestId },
+  });
+  await ledger.safeRecordStep(result.requestId, "reissue_of", {
+    reissueOf: requestId,
+    detail: { by, reason, oldRequestId: requestId },
+  });
+
+  return { ...result, reissueOf: requestId, voided };
+}
+
+module.exports = { reissueBody, reissueReturn };
@@ -0,0 +1,448 @@
+// /lib/sera.js
+
+// Stamps.com/Endicia SERA API access shared by the label endpoints
+//
+// OAuth: the refresh token lives in the store ("sera_tokens" collection), seeded
+// from SERA_REFRESH_TOKEN and replaced automatically whenever SERA rotates it or
+// an admin re-authorizes through /api/sera/login. Access tokens are cached (in
+// memory and in the store) until shortly before they expire, so labels don't
+// each pay for a token refresh.
+//
+// Sandbox mode (lib/mode.js) uses the SERA testing hosts and SERA_TEST_* settings
+// only (never the live SERA_* values or a production host), and keeps its
+// tokens in a separate document.
+//
+// Token state ("sera_tokens" / "default", or "sandbox"):
+//   refreshToken, refreshTokenSource ("rotated" | "callback"), refreshTokenUpdatedAt,
+//   accessToken, accessTokenExpiresAt, lastRefreshAt,
+//   needsReauth, lastError, lastErrorAt,
+//   oauthState, oauthStateAt   -- pending /api/sera/login round trip
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+const { isSandbox, modeEnv } = require("./mode");
+const { upstreamFetch } = require("./log");
+const { recordFailure } = require("./failures");
+const { incrementCounter } = require("./metrics");
+
+const SERA_ENV = isSandbox() ? "staging" : "production";
+
+const DEFAULT_HOSTS = {
+  production: {
+    SIGNIN_BASE: "https://signin.stampsendicia.com",
+    API_BASE: "https://api.stampsendicia.com/sera",
+  },
+  staging: {
+    SIGNIN_BASE: "https://signin.testing.stampsendicia.com",
+    API_BASE: "https://api.testing.stampsendicia.com/sera",
+  },
+};
+
+// SERA_<name>, or SERA_TEST_<name> in sandbox, which never points at production
+function seraHost(name) {
+  const host = modeEnv("SERA", name);
+  const production = DEFAULT_HOSTS.production[name];
+  if (SERA_ENV === "production") return host || production;
+
+  const isProduction = (url) => {
+    try {
+      return new URL(url).host === new URL(production).host;
+    } catch {
+      return false;
+    }
+  };
+  return host && !isProduction(host) ? host : DEFAULT_HOSTS.staging[name];
+}
+
+const SIGNIN_BASE = seraHost("SIGNIN_BASE");
+
+const API_BASE = seraHost("API_BASE");
+
+const CLIENT_ID = modeEnv("SERA", "CLIENT_ID");
+
+const CLIENT_SECRET = modeEnv("SERA", "CLIENT_SECRET");
+
+const REFRESH_TOKEN = modeEnv("SERA", "REFRESH_TOKEN");
+
+const TOKEN_COLLECTION = "sera_tokens";
+const TOKEN_DOC = SERA_ENV === "production" ? "default" : "sandbox";
+
+// Refresh this long before the access token's stated expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const DEFAULT_EXPIRES_IN_S = 15 * 60;
+const OAUTH_STATE_TTL_MS = 15 * 60 * 1000;
+
+// Times a rejected refresh is retried with a token another instance rotated in
+const MAX_REFRESH_RACES = 2;
+
+const REAUTHORIZE_PATH = "/api/sera/login";
+
+let cachedToken = null; // { accessToken, expiresAt }
+let refreshInFlight = null;
+
+function hasSeraCredentials() {
+  return Boolean(CLIENT_ID && CLIENT_SECRET);
+}
+
+function apiUrl(pathname) {
+  return `${API_BASE.replace(/\/+$/, "")}${pathname}`;
+}
+
+function signinUrl(pathname) {
+  return `${SIGNIN_BASE.replace(/\/+$/, "")}${pathname}`;
+}
+
+async function loadTokenState(store = getStore()) {
+  return (await store.get(TOKEN_COLLECTION, TOKEN_DOC)) || {};
+}
+
+async function saveTokenState(changes, store = getStore()) {
+  return store.update(TOKEN_COLLECTION, TOKEN_DOC, changes);
+}
+
+function isFresh(expiresAt, now = Date.now()) {
+  return Boolean(expiresAt) && Date.parse(expiresAt) - EXPIRY_MARGIN_MS > now;
+}
+
+/**
+ * POSTs a grant to the SERA token endpoint (form-encoded, client credentials
+ * in a Basic Authorization header). Resolves to { ok, status, data }.
+ */
+async function tokenRequest(params) {
+  const basic = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64");
+
+  const resp = await upstreamFetch("sera", `token:${params.grant_type}`, signinUrl("/oauth/token"), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${basic}`,
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+
+  const data = await resp.json().catch(() => null);
+  return { ok: resp.ok, status: resp.status, data };
+}
+
+/**
+ * Stores a successful token response: the access token with its expiry and,
+ * when SERA sent one, the new refresh token.
+ */
+async function saveTokens(data, source) {
+  const now = new Date();
+  const expiresIn = Number(data.expires_in) || DEFAULT_EXPIRES_IN_S;
+  const accessTokenExpiresAt = new Date(now.getTime() + expiresIn * 1000).toISOString();
+
+  cachedToken = { accessToken: data.access_token, expiresAt: accessTokenExpiresAt };
+
+  await saveTokenState({
+    accessToken: data.access_token,
+    accessTokenExpiresAt,
+    lastRefreshAt: now.toISOString(),
+    needsReauth: false,
+    lastError: null,
+    lastErrorAt: null,
+    ...(data.refresh_token
+      ? {
+          refreshToken: data.refresh_token,
+          refreshTokenSource: source,
+          refreshTokenUpdatedAt: now.toISOString(),
+        }
+      : {}),
+  });
+
+  return data.access_token;
+}
+
+function reauthError(message, details) {
+  return httpError(503, `${message} Re-authorize SERA at ${REAUTHORIZE_PATH}.`, {
+    needsReauth: true,
+    reauthorizeUrl: REAUTHORIZE_PATH,
+    ...details,
+  });
+}
+
+async function refreshAccessToken() {
+  let refreshToken = (await loadTokenState()).refreshToken || REFRESH_TOKEN;
+
+  if (!refreshToken) {
+    await saveTokenState({ needsReauth: true });
+    throw reauthError("No SERA refresh token stored.");
+  }
+
+  for (let race = 0; ; race++) {
+    const result = await tokenRequest({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+    });
+
+    if (result.ok && result.data?.access_token) {
+      await incrementCounter("sera_token_refreshes");
+      return saveTokens(result.data, "rotated");
+    }
+
+    // 400/401 from the token endpoint mean the refresh token itself was rejected
+    // (expired, revoked or already rotated); retrying it will not help.
+    const rejected = result.status === 400 || result.status === 401;
+
+    // Another instance may have refreshed first and rotated the token we sent:
+    // its tokens are in the store, so use those instead of asking for re-auth
+    const state = rejected ? await loadTokenState() : {};
+    const stored = state.refreshToken || REFRESH_TOKEN;
+    if (rejected && stored !== refreshToken && race < MAX_REFRESH_RACES) {
+      if (state.accessToken && isFresh(state.accessTokenExpiresAt)) {
+        cachedToken = { accessToken: state.accessToken, expiresAt: state.accessTokenExpiresAt };
+        return state.accessToken;
+      }
+      refreshToken = stored;
+      continue;
+    }
+
+    const lastError = `HTTP ${result.status} ${result.data?.error || ""}`.trim();
+
+    await incrementCounter("sera_token_refresh_failures");
+    await recordFailure({
+      service: "sera",
+      operation: "token_refresh",
+      status: result.status,
+      message: `SERA token refresh failed (${lastError})`,
+      details: result.data,
+    });
+
+    // Only the token still stored can need re-authorizing
+    const needsReauth = rejected && stored === refreshToken;
+
+    await saveTokenState({
+      needsReauth,
+      lastError,
+      lastErrorAt: new Date().toISOString(),
+    });
+
+    if (needsReauth) {
+      throw reauthError("SERA refresh token was rejected.", { httpStatus: result.status });
+    }
+
+    throw httpError(rejected ? 503 : 502, `SERA token refresh failed (${lastError})`, result.data);
+  }
+}
+
+/**
+ * A valid SERA access token: the cached one while it is fresh, otherwise a
+ * new one from the stored refresh token. Concurrent callers share one refresh,
+ * since SERA may rotate the refresh token and invalidate the old one.
+ * Throws a 503 with details.needsReauth when an admin has to log in again.
+ */
+async function getAccessToken({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedToken && isFresh(cachedToken.expiresAt)) {
+    return cachedToken.accessToken;
+  }
+
+  if (!forceRefresh) {
+    const state = await loadTokenState();
+    if (state.accessToken && isFresh(state.accessTokenExpiresAt)) {
+      cachedToken = { accessToken: state.accessToken, expiresAt: state.accessTokenExpiresAt };
+      return cachedToken.accessToken;
+    }
+  }
+
+  if (!refreshInFlight) {
+    refreshInFlight = refreshAccessToken().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+
+  return refreshInFlight;
+}
+
+/** Drops the cached access token (e.g. after SERA answered 401 to it). */
+async function invalidateAccessToken() {
+  cachedToken = null;
+  await saveTokenState({ accessToken: null, accessTokenExpiresAt: null });
+}
+
+/**
+ * A token to retry with after SERA answered 401 to `rejected`. Callers that
+ * got a token up front pass it to several calls, so when another call has
+ * already replaced it the new cached token is used instead of refreshing again.
+ */
+async function replaceRejectedToken(rejected) {
+  if (cachedToken && cachedToken.accessToken !== rejected && isFresh(cachedToken.expiresAt)) {
+    return cachedToken.accessToken;
+  }
+  await invalidateAccessToken();
+  return getAccessToken({ forceRefresh: true });
+}
+
+/**
+ * Start of the authorization-code flow: the SERA sign-in URL to send an
+ * admin to. The `state` value is kept so the callback can check it.
+ */
+async function createAuthorizeUrl(redirectUri) {
+  const oauthState = crypto.randomBytes(16).toString("hex");
+  await saveTokenState({ oauthState, oauthStateAt: new Date().toISOString() });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: CLIENT_ID || "",
+    redirect_uri: redirectUri,
+    scope: "offline_access",
+    state: oauthState,
+  });
+
+  return `${signinUrl("/authorize")}?${params}`;
+}
+
+/**
+ * Callback side of the flow: checks `state`, exchanges the code and stores
+ * the new refresh token. No one has to copy it anywhere.
+ */
+async function exchangeAuthorizationCode({ code, state, redirectUri }) {
+  const saved = await loadTokenState();
+  const stateOk =
+    saved.oauthState &&
+    state === saved.oauthState &&
+    Date.now() - Date.parse(saved.oauthStateAt) < OAUTH_STATE_TTL_MS;
+
+  if (!stateOk) {
+    throw httpError(400, "Unknown or expired login state. Start again at /api/sera/login.");
+  }
+
+  await saveTokenState({ oauthState: null, oauthStateAt: null });
+
+  const result = await tokenRequest({
+    grant_type: "authorization_code",
+    code: String(code),
+    redirect_uri: redirectUri,
+  });
+
+  if (!result.ok || !result.data?.access_token) {
+    throw httpError(result.status >= 500 ? 502 : 400, `Token exchange failed (HTTP ${result.status})`, result.data);
+  }
+
+  if (!result.data.refresh_token) {
+    throw httpError(502, "SERA returned no refresh_token (was offline_access granted?)", {
+      scope: result.data.scope,
+    });
+  }
+
+  await saveTokens(result.data, "callback");
+}
+
+/**
+ * Token health for /api/sera/status. Never includes the tokens themselves.
+ */
+async function getSeraAuthStatus() {
+  const state = await loadTokenState();
+  const hasRefreshToken = Boolean(state.refreshToken || REFRESH_TOKEN);
+
+  return {
+    env: SERA_ENV,
+    signinBase: SIGNIN_BASE,
+    configured: hasSeraCredentials(),
+    hasRefreshToken,
+    refreshTokenSource: state.refreshToken ? state.refreshTokenSource : REFRESH_TOKEN ? "env" : null,
+    refreshTokenUpdatedAt: state.refreshTokenUpdatedAt || null,
+    accessTokenValid: isFresh(state.accessTokenExpiresAt),
+    accessTokenExpiresAt: state.accessTokenExpiresAt || null,
+    lastRefreshAt: state.lastRefreshAt || null,
+    lastError: state.lastError || null,
+    lastErrorAt: state.lastErrorAt || null,
+    needsReauth: Boolean(state.needsReauth) || !hasRefreshToken,
+    reauthorizeUrl: REAUTHORIZE_PATH,
+  };
+}
+
+/**
+ * Authenticated JSON call to the SERA API.
+ * Resolves to { ok, status, data } and leaves error handling to the caller,
+ * since each endpoint reports upstream failures differently.
+ */
+async function seraRequest(pathname, { method = "GET", body, headers = {}, accessToken } = {}) {
+  const send = async (token) =>
+    upstreamFetch("sera", `${method} ${pathname}`, apiUrl(pathname), {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        Authorization: `Bearer ${token}`,
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+  const token = accessToken || (await getAccessToken());
+  let resp = await send(token);
+
+  // An expired or revoked token (cached, or passed in by the caller):
+  // drop it and retry once with a fresh one
+  if (resp.status === 401) {
+    resp = await send(await replaceRejectedToken(token));
+  }
+
+  const data = await resp.json().catch(() => null);
+  return { ok: resp.ok, status: resp.status, data };
+}
+
+/**
+ * Fetches a label file SERA returned as an href instead of inline base64.
+ * Resolves to a Buffer.
+ */
+async function downloadLabel(href, { accessToken } = {}) {
+  const send = async (token) =>
+    upstreamFetch("sera", "label_download", href, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  const token = accessToken || (await getAccessToken());
+  let resp = await send(token);
+  if (resp.status === 401) resp = await send(await replaceRejectedToken(token));
+
+  if (!resp.ok) {
+    const message = `SERA label download failed (HTTP ${resp.status})`;
+    await recordFailure({ service: "sera", operation: "label_download", status: resp.status, message });
+    throw httpError(502, message);
+  }
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+/**
+ * Tracking events for a label. SERA returns { status_code, events: [...] };
+ * an empty events list means the carrier has not scanned the package yet.
+ */
+async function getLabelTracking(labelId, options) {
+  return seraRequest(`/v1/labels/${encodeURIComponent(labelId)}/track`, options);
+}
+
+async function voidLabel(labelId, options) {
+  return seraRequest(`/v1/labels/${encodeURIComponent(labelId)}/void`, {
+    ...options,
+    method: "PUT",
+  });
+}
+
+// What the label services call, as one object so tests can hand them a fake
+const seraClient = {
+  getAccessToken,
+  request: seraRequest,
+  downloadLabel,
+  getLabelTracking,
+  voidLabel,
+};
+
+module.exports = {
+  SERA_ENV,
+  API_BASE,
+  REAUTHORIZE_PATH,
+  hasSeraCredentials,
+  apiUrl,
+  getAccessToken,
+  invalidateAccessToken,
+  createAuthorizeUrl,
+  exchangeAuthorizationCode,
+  getSeraAuthStatus,
+  seraRequest,
+  downloadLabel,
+  getLabelTracking,
+  voidLabel,
+  seraClient,
+};
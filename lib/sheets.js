@@ -0,0 +1,60 @@
+// /lib/sheets.js
+
+// Google Sheets log: one row per label, POSTed as JSON to a webhook
+// (SHEETS_WEBHOOK_URL; SHEETS_TEST_WEBHOOK_URL in sandbox, skipped when unset).
+// The ledger is the record of truth; a failed post is reported, never thrown.
+
+const { isSandbox } = require("./mode");
+const { upstreamFetch } = require("./log");
+const { recordFailure } = require("./failures");
+
+function sheetsWebhookUrl() {
+  return isSandbox()
+    ? process.env.SHEETS_TEST_WEBHOOK_URL || ""
+    : process.env.SHEETS_WEBHOOK_URL || "";
+}
+
+/**
+ * A client that posts rows to `webhookUrl`. post() resolves to { ok, status },
+ * { ok: false, error } when the request itself failed, or null when no
+ * webhook is configured. `fetchImpl` is there for tests.
+ */
+function createSheetsClient({
+  webhookUrl = sheetsWebhookUrl(),
+  fetchImpl = (url, init) => upstreamFetch("sheets", "append_row", url, init),
+} = {}) {
+  return {
+    async post(row) {
+      if (!webhookUrl) return null;
+
+      let result;
+      try {
+        const r = await fetchImpl(webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(row),
+        });
+
+        result = { ok: r.ok, status: r.status };
+      } catch (e) {
+        result = { ok: false, error: e.message || String(e) };
+      }
+
+      if (!result.ok) {
+        await recordFailure({
+          service: "sheets",
+          operation: "append_row",
+          status: result.status ?? null,
+          message: result.error || `Sheets webhook answered HTTP ${result.status}`,
+          requestId: row.request_id || null,
+        });
+      }
+
+      return result;
+    },
+  };
+}
+
+const sheetsClient = createSheetsClient();
+
+module.exports = { sheetsWebhookUrl, createSheetsClient, sheetsClient };
@@ -0,0 +1,135 @@
+// /lib/status.js
+
+// Customer status lookup (status.html, /api/status). A customer finds their
+// return by USPS tracking number, or by phone number + ZIP code, which must
+// both match the same ledger record. Only publicStatus() leaves this module:
+// no names, addresses, phone numbers, emails, agents or ledger IDs.
+//
+// Each lookup counts against STATUS_RATE_LIMIT (default 30/1h) for the client
+// IP, found or not, so phone + ZIP pairs can't be tried in bulk.
+
+const ledger = require("./ledger");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+const { phoneKey } = require("./abuse");
+const { parseLimit, hitRateLimit } = require("./rate-limit");
+const { isCarrierScan } = require("./tracking");
+
+// Newest first; a phone + ZIP can match several returns from one household
+const MAX_RESULTS = 5;
+
+function statusLimit() {
+  return parseLimit(process.env.STATUS_RATE_LIMIT ?? "30/1h");
+}
+
+function normalizeTracking(v) {
+  return String(v || "").replace(/\s+/g, "").toUpperCase();
+}
+
+function zip5(v) {
+  return String(v || "").replace(/\D/g, "").slice(0, 5);
+}
+
+/**
+ * Where the return stands, from the customer's side:
+ *   canceled          the label was voided
+ *   letter_returned   the mailed label came back to us undelivered
+ *   received          delivered to the return warehouse
+ *   delivered         delivered, but not at the warehouse's ZIP
+ *   in_transit        USPS has scanned the device
+ *   label_sent        label mailed, emailed or handed over; no scans yet
+ *   label_created     label bought; the letter is not mailed yet
+ */
+function stageOf(doc) {
+  const classification = doc.tracking?.classification;
+
+  if (doc.label?.voidedAt) return "canceled";
+  if (classification === "delivered") {
+    return doc.tracking.deliveredToWarehouse === false ? "delivered" : "received";
+  }
+  if (classification === "in_transit" || classification === "stalled") return "in_transit";
+  if (doc.letter?.returnedToSender) return "letter_returned";
+  if (doc.letter?.mailedAt || doc.email?.sentAt || doc.delivery === "download") return "label_sent";
+  return "label_created";
+}
+
+/** The fields a customer may see for one ledger record. */
+function publicStatus(doc) {
+  const tracking = doc.tracking || {};
+  const scans = (tracking.events || []).filter(isCarrierScan);
+  const lastScan = scans[scans.length - 1] || null;
+  const stage = stageOf(doc);
+
+  return {
+    trackingNumber: doc.label.trackingNumber || "",
+    carrier: doc.label.carrier || null,
+    requestedAt: doc.createdAt,
+    deviceType: doc.device?.type || "",
+    devices: (doc.devices?.length ? doc.devices : [doc.device || {}]).map((d) => d.type || "").filter(Boolean),
+    box: doc.group ? { number: doc.group.box, of: doc.group.boxes } : null,
+    stage,
+    letter: doc.letter?.lobLetterId
+      ? {
+          status: doc.letter.lobStatus || null,
+          mailedAt: doc.letter.mailedAt || null,
+          expectedDelivery: doc.letter.expectedDelivery || null,
+          returnedToSender: Boolean(doc.letter.returnedToSender),
+        }
+      : null,
+    emailedAt: doc.email?.sentAt || null,
+    device: {
+      scanned: ["in_transit", "delivered", "received"].includes(stage),
+      lastScanAt: tracking.lastScanAt || null,
+      lastScan: lastScan?.description || tracking.statusDescription || null,
+      estimatedDelivery: tracking.estimatedDelivery || null,
+      checkedAt: tracking.checkedAt || null,
+    },
+    warehouse: {
+      name: doc.warehouse?.name || null,
+      received: stage === "received",
+      receivedAt: stage === "received" ? tracking.deliveredAt || tracking.lastScanAt || null : null,
+    },
+  };
+}
+
+/**
+ * Looks up returns by `tracking`, or by `phone` and `zip` together.
+ * Resolves to a list of publicStatus() views, newest first. Throws a 400 for
+ * an incomplete query, a 429 over the rate limit and a 404 when nothing matches.
+ */
+async function lookupStatus({ tracking, phone, zip, ip }, store = getStore()) {
+  const trackingQ = normalizeTracking(tracking);
+  const phoneQ = phoneKey({ phone });
+  const zipQ = zip5(zip);
+
+  if (!trackingQ && !(phoneQ && zipQ.length === 5)) {
+    throw httpError(400, "Enter your tracking number, or your phone number and ZIP code.");
+  }
+
+  const hit = await hitRateLimit({ bucket: "status_ip", key: ip, limit: statusLimit() }, store);
+  if (!hit.allowed) {
+    const minutes = Math.ceil(hit.retryAfterSeconds / 60);
+    const err = httpError(429, `Too many lookups. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`);
+    err.retryAfterSeconds = hit.retryAfterSeconds;
+    throw err;
+  }
+
+  const sandbox = isSandbox();
+  const docs = await ledger.listShipments((doc) => {
+    if (!doc.label?.labelId || Boolean(doc.sandbox) !== sandbox) return false;
+    if (trackingQ) return normalizeTracking(doc.label.trackingNumber) === trackingQ;
+    return phoneKey(doc.customer) === phoneQ && zip5(doc.customer?.zip) === zipQ;
+  }, store);
+
+  if (!docs.length) {
+    throw httpError(404, "We couldn't find a return for those details. Check them and try again.");
+  }
+
+  return docs
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, MAX_RESULTS)
+    .map(publicStatus);
+}
+
+module.exports = { publicStatus, lookupStatus };
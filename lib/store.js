@@ -0,0 +1,408 @@
+// /lib/store.js
+
+// Pluggable document store. Every driver exposes the same async interface:
+//   get(collection, id), list(collection, predicate?), put(collection, id, doc),
+//   update(collection, id, patchOrFn), remove(collection, id)
+// plus binary blobs kept out of the documents, one per id:
+//   putBlob(bucket, id, buffer), getBlob(bucket, id), removeBlob(bucket, id)
+//
+// Drivers (STORE_DRIVER):
+//   file   (default) one JSON file per collection under STORE_DIR, and one
+//          file per blob under STORE_DIR/blobs/<bucket>/
+//   sqlite           single SQLite file at STORE_SQLITE_FILE (needs node:sqlite, Node 22.5+)
+//   memory           process-local, for tests and throwaway runs
+//   redis            Upstash Redis over its REST API (Vercel KV / the Upstash
+//                    integration): KV_REST_API_URL and KV_REST_API_TOKEN, or
+//                    UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN
+//
+// On Vercel, /tmp belongs to one function instance and goes away with it, so
+// the file, sqlite and memory drivers would lose every record. getStore()
+// refuses them there; use redis (or register another durable driver).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const STORE_DRIVER = process.env.STORE_DRIVER || "file";
+const STORE_DIR = process.env.STORE_DIR || path.join(os.tmpdir(), "caprint-store");
+const STORE_SQLITE_FILE =
+  process.env.STORE_SQLITE_FILE || path.join(STORE_DIR, "caprint.sqlite");
+
+// Drivers that keep data on the instance's own disk or memory
+const LOCAL_DRIVERS = ["file", "sqlite", "memory"];
+
+// Tries of an update that lost a race before it gives up
+const REDIS_UPDATE_TRIES = 10;
+
+function checkName(kind, name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error(`Invalid ${kind}: ${name}`);
+}
+
+function createFileStore(dir) {
+  // Serialize writes per collection so concurrent updates don't clobber
+  const queues = new Map();
+
+  function fileFor(collection) {
+    checkName("collection name", collection);
+    return path.join(dir, `${collection}.json`);
+  }
+
+  function blobFile(bucket, id) {
+    checkName("blob bucket", bucket);
+    checkName("blob id", id);
+    return path.join(dir, "blobs", bucket, id);
+  }
+
+  function readAll(collection) {
+    const file = fileFor(collection);
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf8") || "{}");
+  }
+
+  function writeAll(collection, docs) {
+    const file = fileFor(collection);
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function enqueue(collection, fn) {
+    const prev = queues.get(collection) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    queues.set(collection, next.catch(() => {}));
+    return next;
+  }
+
+  return {
+    async get(collection, id) {
+      return readAll(collection)[id] || null;
+    },
+
+    async list(collection, predicate) {
+      const docs = Object.values(readAll(collection));
+      return predicate ? docs.filter(predicate) : docs;
+    },
+
+    put(collection, id, doc) {
+      return enqueue(collection, () => {
+        const docs = readAll(collection);
+        docs[id] = doc;
+        writeAll(collection, docs);
+        return doc;
+      });
+    },
+
+    /**
+     * Shallow-merges `patch` into the stored document (creating it if absent).
+     * `patch` may be a function of the current document.
+     */
+    update(collection, id, patch) {
+      return enqueue(collection, () => {
+        const docs = readAll(collection);
+        const current = docs[id] || null;
+        const changes = typeof patch === "function" ? patch(current) : patch;
+        docs[id] = { ...(current || {}), ...changes };
+        writeAll(collection, docs);
+        return docs[id];
+      });
+    },
+
+    remove(collection, id) {
+      return enqueue(collection, () => {
+        const docs = readAll(collection);
+        delete docs[id];
+        writeAll(collection, docs);
+      });
+    },
+
+    async putBlob(bucket, id, data) {
+      const file = blobFile(bucket, id);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, data);
+      fs.renameSync(tmp, file);
+    },
+
+    async getBlob(bucket, id) {
+      const file = blobFile(bucket, id);
+      return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    },
+
+    async removeBlob(bucket, id) {
+      fs.rmSync(blobFile(bucket, id), { force: true });
+    },
+  };
+}
+
+function createMemoryStore() {
+  const collections = new Map();
+  const blobs = new Map();
+
+  function docsFor(collection) {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  }
+
+  // Hand out copies so callers can't mutate stored state by accident
+  const clone = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+  return {
+    async get(collection, id) {
+      return clone(docsFor(collection).get(id));
+    },
+
+    async list(collection, predicate) {
+      const docs = [...docsFor(collection).values()].map(clone);
+      return predicate ? docs.filter(predicate) : docs;
+    },
+
+    async put(collection, id, doc) {
+      docsFor(collection).set(id, clone(doc));
+      return doc;
+    },
+
+    async update(collection, id, patch) {
+      const docs = docsFor(collection);
+      const current = clone(docs.get(id));
+      const changes = typeof patch === "function" ? patch(current) : patch;
+      const next = { ...(current || {}), ...changes };
+      docs.set(id, clone(next));
+      return next;
+    },
+
+    async remove(collection, id) {
+      docsFor(collection).delete(id);
+    },
+
+    async putBlob(bucket, id, data) {
+      blobs.set(`${bucket}/${id}`, Buffer.from(data));
+    },
+
+    async getBlob(bucket, id) {
+      const data = blobs.get(`${bucket}/${id}`);
+      return data ? Buffer.from(data) : null;
+    },
+
+    async removeBlob(bucket, id) {
+      blobs.delete(`${bucket}/${id}`);
+    },
+  };
+}
+
+function createSqliteStore(file) {
+  // Loaded lazily: node:sqlite only exists on newer Node versions
+  const { DatabaseSync } = require("node:sqlite");
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS docs (" +
+      "collection TEXT NOT NULL, id TEXT NOT NULL, doc TEXT NOT NULL, " +
+      "PRIMARY KEY (collection, id))"
+  );
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS blobs (" +
+      "bucket TEXT NOT NULL, id TEXT NOT NULL, data BLOB NOT NULL, " +
+      "PRIMARY KEY (bucket, id))"
+  );
+
+  const selectOne = db.prepare("SELECT doc FROM docs WHERE collection = ? AND id = ?");
+  const selectAll = db.prepare("SELECT doc FROM docs WHERE collection = ?");
+  const upsert = db.prepare(
+    "INSERT INTO docs (collection, id, doc) VALUES (?, ?, ?) " +
+      "ON CONFLICT (collection, id) DO UPDATE SET doc = excluded.doc"
+  );
+  const deleteOne = db.prepare("DELETE FROM docs WHERE collection = ? AND id = ?");
+  const selectBlob = db.prepare("SELECT data FROM blobs WHERE bucket = ? AND id = ?");
+  const upsertBlob = db.prepare(
+    "INSERT INTO blobs (bucket, id, data) VALUES (?, ?, ?) " +
+      "ON CONFLICT (bucket, id) DO UPDATE SET data = excluded.data"
+  );
+  const deleteBlob = db.prepare("DELETE FROM blobs WHERE bucket = ? AND id = ?");
+
+  function read(collection, id) {
+    const row = selectOne.get(collection, id);
+    return row ? JSON.parse(row.doc) : null;
+  }
+
+  // DatabaseSync is synchronous, so each call below is already atomic
+  return {
+    async get(collection, id) {
+      return read(collection, id);
+    },
+
+    async list(collection, predicate) {
+      const docs = selectAll.all(collection).map((r) => JSON.parse(r.doc));
+      return predicate ? docs.filter(predicate) : docs;
+    },
+
+    async put(collection, id, doc) {
+      upsert.run(collection, id, JSON.stringify(doc));
+      return doc;
+    },
+
+    async update(collection, id, patch) {
+      const current = read(collection, id);
+      const changes = typeof patch === "function" ? patch(current) : patch;
+      const next = { ...(current || {}), ...changes };
+      upsert.run(collection, id, JSON.stringify(next));
+      return next;
+    },
+
+    async remove(collection, id) {
+      deleteOne.run(collection, id);
+    },
+
+    async putBlob(bucket, id, data) {
+      upsertBlob.run(bucket, id, data);
+    },
+
+    async getBlob(bucket, id) {
+      const row = selectBlob.get(bucket, id);
+      return row ? Buffer.from(row.data) : null;
+    },
+
+    async removeBlob(bucket, id) {
+      deleteBlob.run(bucket, id);
+    },
+  };
+}
+
+// Sets the hash field to ARGV[3] only if it still holds ARGV[2] ("" = absent)
+const REDIS_COMPARE_AND_SET = `
+local current = redis.call("HGET", KEYS[1], ARGV[1])
+if (current or "") ~= ARGV[2] then return 0 end
+redis.call("HSET", KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+
+/**
+ * Upstash Redis REST driver. Each collection is a hash ("<prefix>:<collection>",
+ * id -> JSON) and each blob a base64 string. update() is a compare-and-set,
+ * retried when another writer got there first. `fetchImpl` is for tests.
+ */
+function createRedisStore({ url, token, prefix = "caprint", fetchImpl = fetch }) {
+  if (!url || !token) {
+    throw new Error("STORE_DRIVER=redis needs KV_REST_API_URL and KV_REST_API_TOKEN");
+  }
+
+  async function command(...args) {
+    const resp = await fetchImpl(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args.map(String)),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data.error) {
+      throw new Error(`Redis ${args[0]} failed: ${data.error || `HTTP ${resp.status}`}`);
+    }
+    return data.result;
+  }
+
+  function hashKey(collection) {
+    checkName("collection name", collection);
+    return `${prefix}:${collection}`;
+  }
+
+  function blobKey(bucket, id) {
+    checkName("blob bucket", bucket);
+    checkName("blob id", id);
+    return `${prefix}:blob:${bucket}:${id}`;
+  }
+
+  return {
+    async get(collection, id) {
+      const raw = await command("HGET", hashKey(collection), id);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async list(collection, predicate) {
+      const docs = ((await command("HVALS", hashKey(collection))) || []).map((raw) => JSON.parse(raw));
+      return predicate ? docs.filter(predicate) : docs;
+    },
+
+    async put(collection, id, doc) {
+      await command("HSET", hashKey(collection), id, JSON.stringify(doc));
+      return doc;
+    },
+
+    async update(collection, id, patch) {
+      const key = hashKey(collection);
+      for (let i = 0; i < REDIS_UPDATE_TRIES; i++) {
+        const raw = (await command("HGET", key, id)) || "";
+        const current = raw ? JSON.parse(raw) : null;
+        const changes = typeof patch === "function" ? patch(current) : patch;
+        const next = { ...(current || {}), ...changes };
+        if (await command("EVAL", REDIS_COMPARE_AND_SET, 1, key, id, raw, JSON.stringify(next))) {
+          return next;
+        }
+      }
+      throw new Error(`Store update of ${collection}/${id} kept conflicting`);
+    },
+
+    async remove(collection, id) {
+      await command("HDEL", hashKey(collection), id);
+    },
+
+    async putBlob(bucket, id, data) {
+      await command("SET", blobKey(bucket, id), Buffer.from(data).toString("base64"));
+    },
+
+    async getBlob(bucket, id) {
+      const raw = await command("GET", blobKey(bucket, id));
+      return raw ? Buffer.from(raw, "base64") : null;
+    },
+
+    async removeBlob(bucket, id) {
+      await command("DEL", blobKey(bucket, id));
+    },
+  };
+}
+
+const DRIVERS = {
+  file: () => createFileStore(STORE_DIR),
+  sqlite: () => createSqliteStore(STORE_SQLITE_FILE),
+  memory: () => createMemoryStore(),
+  redis: () =>
+    createRedisStore({
+      url: process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+      prefix: process.env.STORE_REDIS_PREFIX || "caprint",
+    }),
+};
+
+let defaultStore = null;
+
+function registerStoreDriver(name, factory) {
+  DRIVERS[name] = factory;
+}
+
+function getStore() {
+  if (!defaultStore) {
+    const factory = DRIVERS[STORE_DRIVER];
+    if (!factory) throw new Error(`Unknown STORE_DRIVER: ${STORE_DRIVER}`);
+    if (process.env.VERCEL && LOCAL_DRIVERS.includes(STORE_DRIVER)) {
+      throw new Error(
+        `STORE_DRIVER=${STORE_DRIVER} loses its data when a Vercel instance goes away; ` +
+          "set STORE_DRIVER=redis with KV_REST_API_URL and KV_REST_API_TOKEN"
+      );
+    }
+    defaultStore = factory();
+  }
+  return defaultStore;
+}
+
+/** Replaces the process-wide store (tests, or a custom driver instance). */
+function setStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createFileStore,
+  createSqliteStore,
+  createMemoryStore,
+  createRedisStore,
+  registerStoreDriver,
+  getStore,
+  setStore,
+};
@@ -0,0 +1,206 @@
+// /lib/tracking.js
+
+// USPS tracking for return labels: polls SERA, keeps the scan history on the
+// ledger record and classifies each return.
+//
+// Classifications:
+//   not_shipped  label exists, no carrier scans yet
+//   in_transit   scanned by USPS, moving
+//   delivered    delivered (deliveredToWarehouse says whether it was the destination warehouse's ZIP)
+//   stalled      scanned, but no new scan for TRACKING_STALLED_DAYS
+
+const ledger = require("./ledger");
+const { seraClient } = require("./sera");
+const { RETURN_TO } = require("./warehouses");
+const { isSandbox } = require("./mode");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALLED_DAYS = Number(process.env.TRACKING_STALLED_DAYS) || 7;
+
+// Tracking codes that only mean "label exists", not that USPS has the package
+const PRE_SHIPMENT_CODES = new Set(["", "UN", "NY", "LC"]);
+
+function isCarrierCode(code) {
+  return !PRE_SHIPMENT_CODES.has(String(code || "").toUpperCase());
+}
+
+/** For stored events (classifyTracking's `events`): a real carrier scan. */
+function isCarrierScan(event) {
+  return isCarrierCode(event?.statusCode);
+}
+
+/**
+ * True when the tracking response shows the carrier has physically handled
+ * the package. Label-created / awaiting-item events don't count.
+ */
+function hasCarrierScans(tracking) {
+  const events = Array.isArray(tracking?.events) ? tracking.events : [];
+  return isCarrierCode(tracking?.status_code) || events.some((ev) => isCarrierCode(ev?.status_code));
+}
+
+function normalizeEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .map((ev) => ({
+      at: ev.occurred_at || ev.carrier_occurred_at || null,
+      statusCode: ev.status_code || "",
+      description: ev.description || ev.carrier_status_description || "",
+      city: ev.city_locality || "",
+      state: ev.state_province || "",
+      zip: ev.postal_code || "",
+    }))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+function zip5(v) {
+  return String(v || "").slice(0, 5);
+}
+
+/**
+ * Turns a SERA tracking response into the `tracking` block stored on the
+ * ledger record.
+ */
+function classifyTracking(
+  data,
+  { now = Date.now(), stalledDays = STALLED_DAYS, warehouseZip = RETURN_TO.postal_code } = {}
+) {
+  const events = normalizeEvents(data?.events);
+  const scans = events.filter(isCarrierScan);
+  const lastScan = scans[scans.length - 1] || null;
+  const statusCode = String(data?.status_code || "").toUpperCase();
+
+  let classification;
+  let deliveredToWarehouse = null;
+
+  if (statusCode === "DE") {
+    classification = "delivered";
+    const deliveryZip = zip5(scans.find((ev) => ev.statusCode === "DE")?.zip);
+    deliveredToWarehouse = deliveryZip ? deliveryZip === zip5(warehouseZip) : null;
+  } else if (!hasCarrierScans(data)) {
+    classification = "not_shipped";
+  } else if (lastScan?.at && now - Date.parse(lastScan.at) > stalledDays * DAY_MS) {
+    classification = "stalled";
+  } else {
+    classification = "in_transit";
+  }
+
+  return {
+    classification,
+    statusCode,
+    statusDescription: data?.status_description || "",
+    estimatedDelivery: data?.estimated_delivery_date || null,
+    deliveredAt: data?.actual_delivery_date || null,
+    deliveredToWarehouse,
+    lastScanAt: lastScan?.at || null,
+    events,
+    checkedAt: new Date(now).toISOString(),
+  };
+}
+
+/** Open returns made in the current mode; the other mode's labels belong to its own SERA account. */
+function isPollable(shipment) {
+  if (!shipment.label?.labelId || shipment.label?.voidedAt) return false;
+  if (Boolean(shipment.sandbox) !== isSandbox()) return false;
+  return shipment.tracking?.classification !== "delivered";
+}
+
+/**
+ * Polls SERA for up to `limit` open returns, least recently checked first,
+ * and stores the result on each ledger record. `sera` replaces the real API
+ * client, for tests.
+ */
+async function pollTracking({ limit = 50, now = Date.now(), sera = seraClient } = {}) {
+  const open = (await ledger.listShipments(isPollable))
+    .sort((a, b) =>
+      String(a.tracking?.checkedAt || "").localeCompare(String(b.tracking?.checkedAt || ""))
+    )
+    .slice(0, limit);
+
+  if (!open.length) return { checked: 0, changed: 0, failed: 0, results: [] };
+
+  const accessToken = await sera.getAccessToken();
+  const results = [];
+
+  for (const shipment of open) {
+    const resp = await sera.getLabelTracking(shipment.label.labelId, { accessToken });
+
+    if (!resp.ok) {
+      results.push({
+        requestId: shipment.requestId,
+        trackingNumber: shipment.label.trackingNumber,
+        error: `HTTP ${resp.status}`,
+      });
+      continue;
+    }
+
+    const tracking = classifyTracking(resp.data, {
+      now,
+      ...(shipment.warehouse?.zip ? { warehouseZip: shipment.warehouse.zip } : {}),
+    });
+    const previous = shipment.tracking?.classification || null;
+    const changed = previous !== tracking.classification;
+
+    if (changed) {
+      await ledger.recordStep(shipment.requestId, `tracking_${tracking.classification}`, {
+        tracking,
+        detail: { previous },
+      });
+    } else {
+      await ledger.updateShipment(shipment.requestId, { tracking });
+    }
+
+    results.push({
+      requestId: shipment.requestId,
+      trackingNumber: shipment.label.trackingNumber,
+      classification: tracking.classification,
+      changed,
+    });
+  }
+
+  return {
+    checked: results.length,
+    changed: results.filter((r) => r.changed).length,
+    failed: results.filter((r) => r.error).length,
+    results,
+  };
+}
+
+/**
+ * Returns with no carrier scan for at least `days`: never-shipped labels
+ * counted from label creation, stalled ones from their last scan.
+ */
+async function noScanReport({ days = STALLED_DAYS, now = Date.now() } = {}) {
+  const cutoff = now - days * DAY_MS;
+
+  const rows = (await ledger.listShipments(isPollable))
+    .map((s) => {
+      const since = s.tracking?.lastScanAt || s.createdAt;
+      const devices = s.devices?.length ? s.devices : [s.device || {}];
+      return {
+        requestId: s.requestId,
+        createdAt: s.createdAt,
+        customerName: s.customer?.name || "",
+        customerPhone: s.customer?.phone || "",
+        deviceType: devices.map((d) => d.type).filter(Boolean).join(", "),
+        deviceSerial: devices.map((d) => d.serial).filter(Boolean).join(", "),
+        trackingNumber: s.label?.trackingNumber || "",
+        classification: s.tracking?.classification || "not_shipped",
+        lastScanAt: s.tracking?.lastScanAt || null,
+        checkedAt: s.tracking?.checkedAt || null,
+        daysWithoutScan: Math.floor((now - Date.parse(since)) / DAY_MS),
+        _since: Date.parse(since),
+      };
+    })
+    .filter((r) => r._since <= cutoff)
+    .sort((a, b) => a._since - b._since);
+
+  return rows.map(({ _since, ...r }) => r);
+}
+
+module.exports = {
+  STALLED_DAYS,
+  hasCarrierScans,
+  isCarrierScan,
+  classifyTracking,
+  pollTracking,
+  noScanReport,
+};
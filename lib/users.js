@@ -0,0 +1,184 @@
+// /lib/users.js
+
+// Agent accounts, kept in the store's "users" collection.
+//
+// User shape:
+//   username, name, role, passwordHash, disabled, createdAt, updatedAt, createdBy
+//
+// Roles, lowest first: agent < supervisor < admin. A role can do everything
+// the roles below it can.
+//
+// Passwords are stored as "scrypt$<salt hex>$<hash hex>". ADMIN_USER / ADMIN_PASS
+// (when set) is a bootstrap admin login that works without a stored account,
+// so the first real accounts can be created.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { getStore } = require("./store");
+const { httpError } = require("./http");
+
+const scrypt = promisify(crypto.scrypt);
+
+const COLLECTION = "users";
+const ROLES = ["agent", "supervisor", "admin"];
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, hashHex] = String(passwordHash || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/** The user as returned by the API and recorded in the ledger: no password hash. */
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/** Who did something, as stored on shipments and steps. */
+function actor(user) {
+  return user ? { username: user.username, name: user.name || "", role: user.role } : null;
+}
+
+function bootstrapAdmin(username, password) {
+  const adminUser = normalizeUsername(process.env.ADMIN_USER);
+  const adminPass = process.env.ADMIN_PASS || "";
+  if (!adminUser || !adminPass) return null;
+  if (username !== adminUser || !safeEqual(password, adminPass)) return null;
+
+  return { username: adminUser, name: "Administrator", role: "admin", bootstrap: true };
+}
+
+/**
+ * Returns the public user for a valid, enabled login; otherwise null.
+ */
+async function authenticate(username, password, store = getStore()) {
+  const key = normalizeUsername(username);
+  if (!key || !password) return null;
+
+  const user = await store.get(COLLECTION, key);
+  if (!user) return bootstrapAdmin(key, password);
+  if (user.disabled) return null;
+  if (!(await verifyPassword(password, user.passwordHash))) return null;
+
+  return publicUser(user);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+}
+
+function validatePassword(password) {
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function getUser(username, store = getStore()) {
+  return publicUser(await store.get(COLLECTION, normalizeUsername(username)));
+}
+
+async function listUsers(store = getStore()) {
+  const users = await store.list(COLLECTION);
+  return users
+    .map(publicUser)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+async function createUser({ username, name, role = "agent", password }, by, store = getStore()) {
+  const key = normalizeUsername(username);
+  if (!/^[a-z0-9._@-]{2,64}$/.test(key)) {
+    throw httpError(400, "username must be 2-64 characters: letters, digits, . _ @ -");
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  if (await store.get(COLLECTION, key)) {
+    throw httpError(409, `User ${key} already exists`);
+  }
+
+  const now = new Date().toISOString();
+  const user = await store.put(COLLECTION, key, {
+    username: key,
+    name: String(name || "").trim(),
+    role,
+    passwordHash: await hashPassword(password),
+    disabled: false,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: by?.username || null,
+  });
+
+  return publicUser(user);
+}
+
+/**
+ * Changes name, role, password and/or disabled. Only the fields present in
+ * `changes` are touched.
+ */
+async function updateUser(username, changes, by, store = getStore()) {
+  const key = normalizeUsername(username);
+  const existing = await store.get(COLLECTION, key);
+  if (!existing) throw httpError(404, `User ${key} not found`);
+
+  const patch = { updatedAt: new Date().toISOString(), updatedBy: by?.username || null };
+
+  if (changes.name !== undefined) patch.name = String(changes.name || "").trim();
+  if (changes.role !== undefined) {
+    validateRole(changes.role);
+    patch.role = changes.role;
+  }
+  if (changes.disabled !== undefined) patch.disabled = changes.disabled === true;
+  if (changes.password !== undefined) {
+    validatePassword(changes.password);
+    patch.passwordHash = await hashPassword(changes.password);
+  }
+
+  if (by?.username === key && (patch.disabled || (patch.role && patch.role !== "admin"))) {
+    throw httpError(400, "You cannot disable or demote your own account");
+  }
+
+  return publicUser(await store.update(COLLECTION, key, patch));
+}
+
+module.exports = {
+  COLLECTION,
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  authenticate,
+  publicUser,
+  actor,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+};
@@ -0,0 +1,168 @@
+// /lib/voids.js
+
+// Voiding SERA labels (and cancelling the Lob letter that carried them)
+
+const ledger = require("./ledger");
+const { seraClient } = require("./sera");
+const { lobClient } = require("./lob");
+const { hasCarrierScans } = require("./tracking");
+const { httpError } = require("./http");
+const { isSandbox } = require("./mode");
+
+/** Throws a 409 for a record made in the other mode: its label is on the other SERA account. */
+function assertSameMode(shipment) {
+  if (Boolean(shipment.sandbox) === isSandbox()) return;
+  throw httpError(
+    409,
+    shipment.sandbox
+      ? "This label was made in sandbox mode; void it from the sandbox deployment"
+      : "This is a live label; void it from the live deployment",
+    { requestId: shipment.requestId }
+  );
+}
+
+/**
+ * Resolves the ledger record for a void request. Labels made before the
+ * ledger existed can still be voided by labelId, just without a record.
+ * A record from the other mode (sandbox / live) is a 409.
+ */
+async function findShipmentToVoid({ requestId, labelId, trackingNumber }) {
+  if (requestId) {
+    const shipment = await ledger.getShipment(requestId);
+    if (!shipment) throw httpError(404, "No shipment found for requestId");
+    assertSameMode(shipment);
+    return shipment;
+  }
+
+  const found = await ledger.findShipments(
+    labelId ? { labelId } : { tracking: trackingNumber }
+  );
+  const shipment = found.find((doc) => Boolean(doc.sandbox) === isSandbox());
+  if (!shipment && found.length) assertSameMode(found[0]);
+
+  if (!shipment && !labelId) {
+    throw httpError(404, "No label found for that tracking number");
+  }
+
+  return shipment || null;
+}
+
+/**
+ * Voids a label through SERA and, if it was mailed, tries to cancel the
+ * Lob letter, unless the letter also carries another box's label that is
+ * still good. Refuses when the package already has carrier scans.
+ * Ledger steps are attributed to `user`. `sera` / `lob` replace the real
+ * API clients, for tests.
+ */
+async function voidShipmentLabel({
+  requestId,
+  labelId,
+  trackingNumber,
+  reason = "",
+  user,
+  sera = seraClient,
+  lob = lobClient,
+}) {
+  const by = user?.username || null;
+  const shipment = await findShipmentToVoid({ requestId, labelId, trackingNumber });
+  const targetLabelId = shipment?.label?.labelId || labelId;
+
+  if (!targetLabelId) {
+    throw httpError(409, "Shipment has no SERA label to void");
+  }
+
+  if (shipment?.label?.voidedAt) {
+    throw httpError(409, "Label already voided", {
+      requestId: shipment.requestId,
+      voidedAt: shipment.label.voidedAt,
+    });
+  }
+
+  const accessToken = await sera.getAccessToken();
+
+  const tracking = await sera.getLabelTracking(targetLabelId, { accessToken });
+  if (!tracking.ok) {
+    throw httpError(502, "Could not check tracking before voiding", tracking.data);
+  }
+
+  if (hasCarrierScans(tracking.data)) {
+    if (shipment) {
+      await ledger.safeRecordStep(shipment.requestId, "void_refused", {
+        detail: { by, reason: "carrier_scans", trackingStatus: tracking.data?.status_code },
+      });
+    }
+    throw httpError(409, "Label already has carrier scans and cannot be voided", {
+      statusCode: tracking.data?.status_code,
+      statusDescription: tracking.data?.status_description,
+    });
+  }
+
+  const voided = await sera.voidLabel(targetLabelId, { accessToken });
+  const approved = voided.ok && voided.data?.approved !== false;
+
+  if (!approved) {
+    if (shipment) {
+      await ledger.safeRecordStep(shipment.requestId, "void_failed", {
+        error: voided.data?.message || `Void failed (HTTP ${voided.status})`,
+        detail: { by, httpStatus: voided.status, details: voided.data },
+      });
+    }
+    throw httpError(voided.ok ? 409 : 502, "SERA did not approve the void", voided.data);
+  }
+
+  const result = {
+    requestId: shipment?.requestId || null,
+    labelId: targetLabelId,
+    voided: true,
+    voidMessage: voided.data?.message || "",
+    lob: null,
+  };
+
+  if (shipment) {
+    await ledger.safeRecordStep(shipment.requestId, "label_voided", {
+      status: "voided",
+      label: {
+        voidedAt: new Date().toISOString(),
+        voidReason: reason,
+        voidMessage: result.voidMessage,
+        voidedBy: by,
+      },
+      detail: { by, reason },
+    });
+  }
+
+  const letterId = shipment?.letter?.lobLetterId;
+  const otherBoxes = letterId
+    ? (await ledger.findShipments({ letterId })).filter(
+        (doc) => doc.requestId !== shipment.requestId && !doc.label?.voidedAt
+      )
+    : [];
+
+  if (otherBoxes.length) {
+    result.lob = {
+      letterId,
+      canceled: false,
+      error: "Letter not canceled: it also carries labels still in use",
+      requestIds: otherBoxes.map((doc) => doc.requestId),
+    };
+  } else if (letterId && !shipment.letter.canceledAt) {
+    const canceled = await lob.cancelLetter(letterId);
+    result.lob = {
+      letterId,
+      canceled: canceled.ok,
+      error: canceled.ok ? null : canceled.data?.error?.message || `HTTP ${canceled.status}`,
+    };
+
+    await ledger.safeRecordStep(
+      shipment.requestId,
+      canceled.ok ? "letter_canceled" : "letter_cancel_failed",
+      canceled.ok
+        ? { letter: { canceledAt: new Date().toISOString() }, detail: { by } }
+        : { detail: { by, httpStatus: canceled.status, error: result.lob.error } }
+    );
+  }
+
+  return result;
+}
+
+module.exports = { voidShipmentLabel };
@@ -0,0 +1,105 @@
+// /lib/warehouses.js
+
+// Return destinations and the rules that route a return to one of them.
+//
+// Config: data/warehouses.json, or the same JSON in WAREHOUSES_JSON (per deployment).
+//   defaultWarehouse  id used when no rule matches
+//   warehouses        [{ id, name, company_name, address_line1, address_line2, city,
+//                        state_province, postal_code, country_code, phone, email,
+//                        letterFrom }]
+//                     letterFrom: optional Lob `from` address for letters carrying
+//                     labels to this site ({ name, address_line1, address_city,
+//                     address_state, address_zip }); null keeps the LOB_FROM_* defaults
+//   rules             [{ warehouse, deviceTypes?, programs?, states?, zipPrefixes? }]
+//                     The first rule whose every given condition matches wins, so put
+//                     specific rules (a device type) before broad ones (a region).
+//                     "Nearest site" is expressed as state / ZIP-prefix rules.
+
+const fileConfig = require("../data/warehouses.json");
+
+function loadConfig() {
+  const config = process.env.WAREHOUSES_JSON
+    ? JSON.parse(process.env.WAREHOUSES_JSON)
+    : fileConfig;
+
+  const byId = new Map((config.warehouses || []).map((w) => [w.id, w]));
+
+  if (!byId.has(config.defaultWarehouse)) {
+    throw new Error(`Warehouse config: unknown defaultWarehouse "${config.defaultWarehouse}"`);
+  }
+  for (const rule of config.rules || []) {
+    if (!byId.has(rule.warehouse)) {
+      throw new Error(`Warehouse config: rule points at unknown warehouse "${rule.warehouse}"`);
+    }
+  }
+
+  return { ...config, rules: config.rules || [], byId };
+}
+
+const config = loadConfig();
+
+const lower = (v) => String(v || "").trim().toLowerCase();
+
+function listWarehouses() {
+  return [...config.byId.values()];
+}
+
+function getWarehouse(id) {
+  return config.byId.get(id) || null;
+}
+
+function defaultWarehouse() {
+  return config.byId.get(config.defaultWarehouse);
+}
+
+function ruleMatches(rule, { state, zip, deviceType, program }) {
+  if (rule.deviceTypes && !rule.deviceTypes.map(lower).includes(lower(deviceType))) return false;
+  if (rule.programs && !rule.programs.map(lower).includes(lower(program))) return false;
+  if (rule.states && !rule.states.map(lower).includes(lower(state))) return false;
+  if (rule.zipPrefixes && !rule.zipPrefixes.some((p) => String(zip || "").trim().startsWith(p))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Picks the destination for a return from the customer's state / ZIP, the
+ * device type and the program. Returns { warehouse, rule } where rule is the
+ * index of the matching rule, or null when the default was used.
+ */
+function routeWarehouse(criteria) {
+  const index = config.rules.findIndex((rule) => ruleMatches(rule, criteria));
+  if (index === -1) return { warehouse: defaultWarehouse(), rule: null };
+  return { warehouse: config.byId.get(config.rules[index].warehouse), rule: index };
+}
+
+/** The warehouse as a SERA address (no routing fields). */
+function toSeraAddress(warehouse) {
+  const { id, letterFrom, ...address } = warehouse;
+  return address;
+}
+
+/** What the ledger keeps about the destination. */
+function warehouseSummary(warehouse, rule = null) {
+  return {
+    id: warehouse.id,
+    name: warehouse.name,
+    city: warehouse.city,
+    state: warehouse.state_province,
+    zip: warehouse.postal_code,
+    rule,
+  };
+}
+
+// Default destination as a SERA address, for code that has no routing input
+const RETURN_TO = toSeraAddress(defaultWarehouse());
+
+module.exports = {
+  RETURN_TO,
+  listWarehouses,
+  getWarehouse,
+  defaultWarehouse,
+  routeWarehouse,
+  toSeraAddress,
+  warehouseSummary,
+};
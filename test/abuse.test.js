@@ -0,0 +1,287 @@
+// /test/abuse.test.js
+
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+let agent;
+let supervisor;
+let savedEnv;
+
+before(async () => {
+  app = await startApp();
+  agent = await app.createUser("abuse-agent", "agent");
+  supervisor = await app.createUser("abuse-super", "supervisor");
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+  savedEnv = { ...process.env };
+});
+
+// Each test turns on the checks it needs; lib/abuse.js reads them per request
+afterEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (!(name in savedEnv)) delete process.env[name];
+  }
+  Object.assign(process.env, savedEnv);
+});
+
+async function blockedList() {
+  const res = await app.request("/api/errors", { method: "GET" });
+  assert.equal(res.status, 200);
+  return res.json.blocked;
+}
+
+test("agents need a form token from /api/form-token", async () => {
+  Object.assign(process.env, { FORM_TOKEN_SECRET: "test-form-secret", FORM_TOKEN_MIN_SECONDS: "0" });
+  const body = { ...CUSTOMER, deviceSerial: "SN-TOKEN-1" };
+
+  const missing = await app.request("/api/create-label", { user: agent, body });
+  assert.equal(missing.status, 403);
+  assert.equal(missing.json.details.reason, "form_token");
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 0);
+
+  const forged = await app.request("/api/create-label", {
+    user: agent,
+    body,
+    headers: { "X-Form-Token": "e30.not-a-signature" },
+  });
+  assert.equal(forged.status, 403);
+
+  const issued = await app.request("/api/form-token", { method: "GET", user: null });
+  assert.equal(issued.status, 200);
+  assert.equal(issued.json.required, true);
+
+  const res = await app.request("/api/create-label", {
+    user: agent,
+    body,
+    headers: { "X-Form-Token": issued.json.token },
+  });
+  assert.equal(res.status, 200);
+
+  const [latest] = await blockedList();
+  assert.equal(latest.reason, "form_token");
+  assert.equal(latest.username, agent.username);
+  assert.deepEqual(latest.detail, { check: "invalid" });
+});
+
+test("a token used straight away is too fast", async () => {
+  Object.assign(process.env, { FORM_TOKEN_SECRET: "test-form-secret", FORM_TOKEN_MIN_SECONDS: "30" });
+
+  const issued = await app.request("/api/form-token", { method: "GET", user: null });
+  const res = await app.request("/api/create-label", {
+    user: agent,
+    body: CUSTOMER,
+    headers: { "X-Form-Token": issued.json.token },
+  });
+
+  assert.equal(res.status, 403);
+  assert.match(res.json.error, /too quickly/);
+});
+
+test("a form token is good for one submission", async () => {
+  Object.assign(process.env, { FORM_TOKEN_SECRET: "test-form-secret", FORM_TOKEN_MIN_SECONDS: "0" });
+
+  const issued = await app.request("/api/form-token", { method: "GET", user: null });
+  const headers = { "X-Form-Token": issued.json.token };
+
+  const first = await app.request("/api/create-label", {
+    user: agent,
+    body: { ...CUSTOMER, deviceSerial: "SN-TOKEN-3" },
+    headers,
+  });
+  assert.equal(first.status, 200);
+
+  const reused = await app.request("/api/create-label", {
+    user: agent,
+    body: { ...CUSTOMER, deviceSerial: "SN-TOKEN-4" },
+    headers,
+  });
+  assert.equal(reused.status, 403);
+  assert.match(reused.json.error, /already submitted/);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+
+  const [latest] = await blockedList();
+  assert.deepEqual(latest.detail, { check: "used" });
+});
+
+test("a form sent back with a 400 keeps its token for the corrected submission", async () => {
+  Object.assign(process.env, { FORM_TOKEN_SECRET: "test-form-secret", FORM_TOKEN_MIN_SECONDS: "0" });
+
+  for (const route of ["/api/create-label", "/api/mail-label"]) {
+    const issued = await app.request("/api/form-token", { method: "GET", user: null });
+    const headers = { "X-Form-Token": issued.json.token };
+    const body = { ...CUSTOMER, deviceSerial: `SN-TOKEN-FIX-${route.length}`, delivery: "download" };
+
+    const invalid = await app.request(route, { user: agent, body: { ...body, deviceType: "Pager" }, headers });
+    assert.equal(invalid.status, 400, route);
+
+    const corrected = await app.request(route, { user: agent, body, headers });
+    assert.equal(corrected.status, 200, route);
+
+    const reused = await app.request(route, { user: agent, body, headers });
+    assert.equal(reused.status, 403, route);
+  }
+});
+
+test("form tokens are rate-limited per client IP", async () => {
+  Object.assign(process.env, { FORM_TOKEN_SECRET: "test-form-secret", RATE_LIMIT_FORM_TOKEN: "2/1h" });
+  const fetchToken = (ip) =>
+    app.request("/api/form-token", { method: "GET", user: null, headers: { "X-Real-IP": ip } });
+
+  assert.equal((await fetchToken("203.0.113.7")).status, 200);
+  assert.equal((await fetchToken("203.0.113.7")).status, 200);
+
+  const blocked = await fetchToken("203.0.113.7");
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.json.details.reason, "rate_limit_form_token");
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+
+  assert.equal((await fetchToken("203.0.113.8")).status, 200);
+
+  const [latest] = await blockedList();
+  assert.equal(latest.reason, "rate_limit_form_token");
+  assert.equal(latest.ip, "203.0.113.7");
+});
+
+test("the client IP is the hop Vercel sets, not one the client sent", async () => {
+  process.env.RATE_LIMIT_IP = "1/1h";
+  const body = { ...CUSTOMER, deviceType: "Pager" };
+  const send = (headers) => app.request("/api/create-label", { body, headers });
+
+  // A client cannot dodge the limit by making up the first X-Forwarded-For hop
+  assert.equal((await send({ "X-Forwarded-For": "198.51.100.1, 203.0.113.20" })).status, 400);
+  assert.equal((await send({ "X-Forwarded-For": "198.51.100.2, 203.0.113.20" })).status, 429);
+
+  // X-Real-IP, when present, is the address
+  assert.equal((await send({ "X-Real-IP": "203.0.113.21", "X-Forwarded-For": "203.0.113.20" })).status, 400);
+  assert.equal((await send({ "X-Real-IP": "203.0.113.21", "X-Forwarded-For": "203.0.113.22" })).status, 429);
+});
+
+test("supervisors do not need a form token", async () => {
+  process.env.FORM_TOKEN_SECRET = "test-form-secret";
+
+  const res = await app.request("/api/create-label", {
+    user: supervisor,
+    body: { ...CUSTOMER, deviceSerial: "SN-TOKEN-2" },
+  });
+  assert.equal(res.status, 200);
+});
+
+test("the IP rate limit is a 429 with Retry-After", async () => {
+  process.env.RATE_LIMIT_IP = "1/1h";
+  const body = { ...CUSTOMER, deviceType: "Pager" };
+
+  // Checked before validation, so rejected requests count too
+  const first = await app.request("/api/create-label", { body });
+  assert.equal(first.status, 400);
+
+  const second = await app.request("/api/create-label", { body });
+  assert.equal(second.status, 429);
+  assert.equal(second.json.details.reason, "rate_limit_ip");
+  assert.ok(Number(second.headers.get("retry-after")) > 0);
+  assert.match(second.json.error, /Try again in \d+ minutes?/);
+});
+
+test("the phone rate limit matches on digits", async () => {
+  process.env.RATE_LIMIT_PHONE = "1/24h";
+  const body = { ...CUSTOMER, phone: "(215) 555-0199", deviceType: "Pager" };
+
+  assert.equal((await app.request("/api/create-label", { body })).status, 400);
+
+  const res = await app.request("/api/create-label", { body: { ...body, phone: "+1 215 555 0199" } });
+  assert.equal(res.status, 429);
+  assert.equal(res.json.details.reason, "rate_limit_phone");
+
+  const [latest] = await blockedList();
+  assert.equal(latest.reason, "rate_limit_phone");
+  assert.equal(latest.customer.phone, "***0199");
+});
+
+test("replaying a finished request does not count against the limits", async () => {
+  Object.assign(process.env, {
+    RATE_LIMIT_PHONE: "1/24h",
+    FORM_TOKEN_SECRET: "test-form-secret",
+    FORM_TOKEN_MIN_SECONDS: "0",
+  });
+  const body = { ...CUSTOMER, phone: "(215) 555-0142", deviceSerial: "SN-REPLAY-1" };
+
+  const issued = await app.request("/api/form-token", { method: "GET", user: null });
+  const headers = { "Idempotency-Key": "abuse-replay-1", "X-Form-Token": issued.json.token };
+
+  const first = await app.request("/api/create-label", { user: agent, body, headers });
+  assert.equal(first.status, 200);
+
+  // Same key and the same (now used) token, e.g. the response was lost
+  const replayed = await app.request("/api/create-label", { user: agent, body, headers });
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.json.requestId, first.json.requestId);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+
+  const next = await app.request("/api/form-token", { method: "GET", user: null });
+  const other = await app.request("/api/create-label", {
+    user: agent,
+    body: { ...body, deviceSerial: "SN-REPLAY-2" },
+    headers: { "X-Form-Token": next.json.token },
+  });
+  assert.equal(other.status, 429);
+});
+
+test("a second label for the same serial is a 409 recorded in the ledger", async () => {
+  process.env.DUPLICATE_MAX_PER_SERIAL = "1";
+
+  const first = await app.request("/api/create-label", { body: { ...CUSTOMER, deviceSerial: "SN-DUP-1" } });
+  assert.equal(first.status, 200);
+
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, name: "Someone Else", deviceSerial: "sn-dup-1" },
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.json.details.reason, "duplicate_serial");
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+
+  const { findShipments } = require("../lib/ledger");
+  const [shipment] = await findShipments({ serial: "sn-dup-1", status: "blocked" });
+  assert.ok(shipment);
+  assert.ok(shipment.steps.some((s) => s.step === "blocked"));
+
+  const [latest] = await blockedList();
+  assert.equal(latest.reason, "duplicate_serial");
+  assert.equal(latest.detail.requestIds.length, 1);
+
+  // A supervisor can let it through
+  const allowed = await app.request("/api/create-label", {
+    user: supervisor,
+    body: { ...CUSTOMER, deviceSerial: "SN-DUP-1", allowDuplicate: true },
+  });
+  assert.equal(allowed.status, 200);
+});
+
+test("retrying a run that bought its label is not a duplicate", async () => {
+  process.env.DUPLICATE_MAX_PER_SERIAL = "1";
+
+  let lobCalls = 0;
+  app.mocks.on("POST /lob/v1/letters", () => {
+    lobCalls += 1;
+    return lobCalls === 1
+      ? { status: 422, json: { error: { message: "address undeliverable" } } }
+      : { status: 200, json: { id: "ltr_abuse_retry", status: "processed" } };
+  });
+
+  const body = { ...CUSTOMER, deviceSerial: "SN-DUP-RETRY", delivery: "mail" };
+  const headers = { "Idempotency-Key": "abuse-retry-1" };
+
+  const failed = await app.request("/api/mail-label", { body, headers });
+  assert.equal(failed.status, 400);
+
+  const retried = await app.request("/api/mail-label", { body, headers });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.json.lobLetterId, "ltr_abuse_retry");
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+});
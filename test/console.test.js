@@ -0,0 +1,212 @@
+// /test/console.test.js
+
+// The endpoints behind the agent console: name search, kept label files and reissues.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+async function mailLabel(customer) {
+  const res = await app.request("/api/mail-label", { body: { ...customer, delivery: "mail" } });
+  assert.equal(res.status, 200);
+  return res.json;
+}
+
+async function getShipment(requestId) {
+  const res = await app.request(`/api/shipments?id=${encodeURIComponent(requestId)}`, { method: "GET" });
+  assert.equal(res.status, 200);
+  return res.json.shipment;
+}
+
+/** SERA tracking for `labelId` answers with `statusCode`; voids and Lob cancels succeed. */
+function mockVoid(labelId, statusCode = "UN", letterId = "ltr_test1") {
+  app.mocks.on(`GET /sera/v1/labels/${labelId}/track`, () => ({
+    status: 200,
+    json: { status_code: statusCode, events: [] },
+  }));
+  app.mocks.on(`PUT /sera/v1/labels/${labelId}/void`, () => ({
+    status: 200,
+    json: { approved: true, message: "Request for refund submitted." },
+  }));
+  app.mocks.on(`DELETE /lob/v1/letters/${letterId}`, () => ({
+    status: 200,
+    json: { id: letterId, deleted: true },
+  }));
+}
+
+test("shipments can be found by any part of the customer's name", async () => {
+  const mailed = await mailLabel({ ...CUSTOMER, name: "Morgan  Quill-Hart" });
+  await mailLabel({ ...CUSTOMER, name: "Someone Else" });
+
+  const res = await app.request(`/api/shipments?name=${encodeURIComponent("morgan quill")}`, { method: "GET" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.shipments.map((s) => s.requestId), [mailed.requestId]);
+});
+
+test("the label bought for a request is kept and served to agents", async () => {
+  const agent = await app.createUser("console-agent", "agent");
+  const mailed = await mailLabel(CUSTOMER);
+
+  const res = await app.request(`/api/label-file?id=${mailed.requestId}`, { method: "GET", user: agent });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.match(res.headers.get("content-disposition"), /^inline; filename=".+\.pdf"$/);
+  assert.ok(res.text.startsWith("%PDF"));
+
+  const download = await app.request(`/api/label-file?id=${mailed.requestId}&download=1`, { method: "GET", user: agent });
+  assert.match(download.headers.get("content-disposition"), /^attachment;/);
+
+  const missing = await app.request("/api/label-file?id=no-such-request", { method: "GET", user: agent });
+  assert.equal(missing.status, 404);
+});
+
+test("label files are kept outside the JSON collections", async () => {
+  // Required here, after startApp() has set the test environment
+  const { createFileStore } = require("../lib/store");
+  const { saveLabelFile, getLabelFile } = require("../lib/label-files");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "label-files-"));
+  const store = createFileStore(dir);
+
+  try {
+    const file = { filename: "label.pdf", mimeType: "application/pdf", labelFormat: "PDF", dataBase64: app.labelPdfBase64 };
+    await saveLabelFile("req-blob-1", file, store);
+
+    const json = fs.readFileSync(path.join(dir, "label_files.json"), "utf8");
+    assert.ok(!json.includes(app.labelPdfBase64.slice(0, 40)));
+    assert.ok(fs.existsSync(path.join(dir, "blobs", "label_files", "req-blob-1")));
+
+    const kept = await getLabelFile("req-blob-1", store);
+    assert.equal(kept.filename, "label.pdf");
+    assert.equal(kept.data.toString("base64"), app.labelPdfBase64);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a reissue voids the old label and mails a new one to the corrected address", async () => {
+  // Letter ids of their own, so no other test's record shares the old letter
+  let letters = 0;
+  app.mocks.on("POST /lob/v1/letters", () => {
+    letters += 1;
+    return { status: 200, json: { id: `ltr_reissue${letters}`, status: "processed" } };
+  });
+
+  const mailed = await mailLabel({ ...CUSTOMER, name: "Reese Reissue", deviceSerial: "SN-REISSUE" });
+  const old = await getShipment(mailed.requestId);
+  mockVoid(old.label.labelId, "UN", "ltr_reissue1");
+
+  const res = await app.request("/api/reissue", {
+    body: { requestId: mailed.requestId, reason: "letter returned", changes: { address1: "200 Oak St" } },
+  });
+  assert.equal(res.status, 200);
+  assert.notEqual(res.json.requestId, mailed.requestId);
+  assert.equal(res.json.reissueOf, mailed.requestId);
+  assert.notEqual(res.json.uspsTrackingNumber, mailed.uspsTrackingNumber);
+  assert.equal(res.json.lobLetterId, "ltr_reissue2");
+
+  assert.equal(app.mocks.find(`PUT /sera/v1/labels/${old.label.labelId}/void`).length, 1);
+  assert.equal(app.mocks.find("DELETE /lob/v1/letters/ltr_reissue1").length, 1);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 2);
+
+  const voided = await getShipment(mailed.requestId);
+  assert.ok(voided.label.voidedAt);
+  assert.equal(voided.reissuedAs, res.json.requestId);
+  assert.ok(voided.steps.some((s) => s.step === "reissued" && s.by === "admin"));
+
+  const reissued = await getShipment(res.json.requestId);
+  assert.equal(reissued.reissueOf, mailed.requestId);
+  assert.equal(reissued.source, "reissue");
+  assert.equal(reissued.customer.address1, "200 Oak St");
+  assert.equal(reissued.customer.name, "Reese Reissue");
+  assert.equal(reissued.device.serial, "SN-REISSUE");
+
+  const again = await app.request("/api/reissue", { body: { requestId: mailed.requestId } });
+  assert.equal(again.status, 409);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 2);
+});
+
+test("a failed reissue can be retried with corrected changes", async () => {
+  let labels = 0;
+  app.mocks.on("POST /sera/v1/labels", () => {
+    labels += 1;
+    return {
+      status: 200,
+      json: {
+        label_id: `se-fix-${labels}`,
+        tracking_number: `9400100000000000009${labels}`,
+        labels: [{ label_data: app.labelPdfBase64 }],
+      },
+    };
+  });
+  // The first reissue's letter is refused for its address
+  let letters = 0;
+  app.mocks.on("POST /lob/v1/letters", () => {
+    letters += 1;
+    return letters === 2
+      ? { status: 422, json: { error: { message: "address undeliverable" } } }
+      : { status: 200, json: { id: `ltr_fix${letters}`, status: "processed" } };
+  });
+
+  const mailed = await mailLabel({ ...CUSTOMER, name: "Corey Correction", deviceSerial: "SN-REISSUE-FIX" });
+  mockVoid("se-fix-1", "UN", "ltr_fix1");
+  mockVoid("se-fix-2", "UN");
+
+  const failed = await app.request("/api/reissue", {
+    body: { requestId: mailed.requestId, changes: { address1: "101 Main St" } },
+  });
+  assert.equal(failed.status, 400);
+
+  const retried = await app.request("/api/reissue", {
+    body: { requestId: mailed.requestId, changes: { address1: "102 Main St" } },
+  });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.json.lobLetterId, "ltr_fix3");
+
+  // The label bought for the refused address is voided, not left to count
+  assert.equal(app.mocks.find("PUT /sera/v1/labels/se-fix-2/void").length, 1);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 3);
+
+  const reissued = await getShipment(retried.json.requestId);
+  assert.equal(reissued.customer.address1, "102 Main St");
+  assert.equal(reissued.label.labelId, "se-fix-3");
+  assert.equal((await getShipment(mailed.requestId)).reissuedAs, retried.json.requestId);
+});
+
+test("a package the carrier has scanned is not reissued", async () => {
+  const mailed = await mailLabel(CUSTOMER);
+  const old = await getShipment(mailed.requestId);
+  mockVoid(old.label.labelId, "IT");
+
+  const res = await app.request("/api/reissue", { body: { requestId: mailed.requestId } });
+  assert.equal(res.status, 409);
+  assert.match(res.json.error, /carrier scans/);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+  assert.equal((await getShipment(mailed.requestId)).reissuedAs, undefined);
+});
+
+test("only supervisors can reissue", async () => {
+  const agent = await app.createUser("reissue-agent", "agent");
+  const mailed = await mailLabel(CUSTOMER);
+
+  const res = await app.request("/api/reissue", { user: agent, body: { requestId: mailed.requestId } });
+  assert.equal(res.status, 403);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+});
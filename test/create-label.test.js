@@ -0,0 +1,381 @@
+// /test/create-label.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+test("GET is a 405", async () => {
+  const res = await app.request("/api/create-label", { method: "GET" });
+
+  assert.equal(res.status, 405);
+  assert.equal(res.json.ok, false);
+});
+
+test("missing fields are a 400 naming them", async () => {
+  const { name, zip, ...rest } = CUSTOMER;
+
+  const res = await app.request("/api/create-label", { body: rest });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "Missing required fields: name, zip");
+  assert.equal(app.mocks.requests.length, 0);
+});
+
+test("an unknown device type is a 400", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, deviceType: "Pager" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "Unknown device type: Pager");
+});
+
+test("an unsupported label format is a 400", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, labelFormat: "gif" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /^labelFormat must be one of: pdf, png, zpl/);
+});
+
+test("an unknown warehouse is a 400", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, warehouse: "nowhere" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "Unknown warehouse: nowhere");
+});
+
+test("a base64 label comes back as-is and is logged to Sheets", async () => {
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.ok, true);
+  assert.equal(res.json.trackingNumber, "94001000000000000001");
+  assert.equal(res.json.mimeType, "application/pdf");
+  assert.equal(res.json.labelData, app.labelPdfBase64);
+  assert.ok(res.json.sheetsLogged);
+
+  const [label] = app.mocks.find("POST /sera/v1/labels");
+  assert.equal(label.headers.authorization, "Bearer test-access-token");
+  assert.ok(label.headers["idempotency-key"]);
+  assert.equal(label.json.is_return_label, true);
+  assert.equal(label.json.package.weight, 16);
+  assert.equal(label.json.from_address.name, CUSTOMER.name);
+  assert.equal(label.json.label_options.label_format, "pdf");
+
+  const [row] = app.mocks.find("POST /sheets");
+  assert.equal(row.json.source, "create-label");
+  assert.equal(row.json.request_id, res.json.requestId);
+  assert.equal(row.json.tracking_number, res.json.trackingNumber);
+});
+
+test("an href label is downloaded with the access token", async () => {
+  app.mocks.on("POST /sera/v1/labels", () => ({
+    status: 200,
+    json: {
+      label_id: "se-href",
+      tracking_number: "9400111111111111111111",
+      labels: [{ href: `${app.mocks.url}/files/label.pdf` }],
+    },
+  }));
+
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.labelData, app.labelPdfBase64);
+
+  const [download] = app.mocks.find("GET /files/label.pdf");
+  assert.equal(download.headers.authorization, "Bearer test-access-token");
+});
+
+test("a failed href download is a 502", async () => {
+  app.mocks.on("POST /sera/v1/labels", () => ({
+    status: 200,
+    json: {
+      label_id: "se-href",
+      tracking_number: "9400122222222222222222",
+      labels: [{ href: `${app.mocks.url}/files/missing.pdf` }],
+    },
+  }));
+
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.error, "SERA label download failed (HTTP 404)");
+});
+
+test("skipLogging leaves Sheets alone", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, skipLogging: true },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.sheetsLogged, null);
+  assert.equal(app.mocks.find("POST /sheets").length, 0);
+});
+
+test("a repeated Idempotency-Key replays the first label", async () => {
+  const headers = { "Idempotency-Key": "create-label-replay-1" };
+
+  const first = await app.request("/api/create-label", { body: CUSTOMER, headers });
+  const second = await app.request("/api/create-label", { body: CUSTOMER, headers });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.json.replayed, true);
+  assert.equal(second.json.trackingNumber, first.json.trackingNumber);
+  assert.equal(second.json.requestId, first.json.requestId);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+
+  // The run keeps the label's ids; the file comes back from lib/label-files.js
+  assert.equal(second.json.labelData, first.json.labelData);
+  const { getStore } = require("../lib/store");
+  const runs = await getStore().list("idempotency", (r) => r.key === "create-label-replay-1");
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].response.trackingNumber, first.json.trackingNumber);
+  assert.equal(runs[0].response.labelData, undefined);
+});
+
+test("the same Idempotency-Key with a different body is a 409", async () => {
+  const headers = { "Idempotency-Key": "create-label-conflict-1" };
+
+  await app.request("/api/create-label", { body: CUSTOMER, headers });
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, zip: "19064" },
+    headers,
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+});
+
+test("a SERA rejection is passed through and recorded in the ledger", async () => {
+  app.mocks.on("POST /sera/v1/labels", () => ({
+    status: 400,
+    json: { errors: [{ message: "Invalid postal code" }] },
+  }));
+
+  const res = await app.request("/api/create-label", {
+    body: CUSTOMER,
+    headers: { "Idempotency-Key": "create-label-rejected-1" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "Label creation failed");
+  assert.deepEqual(res.json.details, { errors: [{ message: "Invalid postal code" }] });
+  assert.equal(app.mocks.find("POST /sheets").length, 0);
+
+  const { findShipments } = require("../lib/ledger");
+  const [shipment] = await findShipments({ status: "label_failed" });
+  assert.ok(shipment);
+  assert.ok(shipment.steps.some((s) => s.step === "label_failed"));
+});
+
+const DEVICES = [
+  { deviceType: "Cellular Assure / Mytrex", deviceSerial: "SN-BASE" },
+  { deviceType: "On the Go", deviceSerial: "SN-PENDANT" },
+  { deviceType: "Smartwatch", deviceSerial: "SN-WATCH" },
+];
+
+test("several devices are weighed together and split into boxes over the weight cap", async () => {
+  process.env.PACKAGE_MAX_WEIGHT_OZ = "48";
+  try {
+    const res = await app.request("/api/create-label", {
+      body: { ...CUSTOMER, deviceType: undefined, phone: "610-555-0131", devices: DEVICES },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.labels.length, 2);
+    assert.deepEqual(
+      app.mocks.find("POST /sera/v1/labels").map((r) => r.json.package.weight),
+      [48, 16]
+    );
+
+    const [first, second] = res.json.labels;
+    assert.equal(first.requestId, res.json.requestId);
+    assert.equal(second.requestId, `${res.json.requestId}-2`);
+    assert.deepEqual(
+      first.devices.map((d) => d.serial),
+      ["SN-BASE", "SN-PENDANT"]
+    );
+    assert.notEqual(first.trackingNumber, second.trackingNumber);
+
+    const { getShipment, findShipments } = require("../lib/ledger");
+    const box2 = await getShipment(second.requestId);
+    assert.deepEqual(box2.group, { id: res.json.requestId, box: 2, boxes: 2 });
+    assert.deepEqual(box2.devices, [{ type: "Smartwatch", serial: "SN-WATCH" }]);
+
+    const [bySerial] = await findShipments({ serial: "sn-pendant" });
+    assert.equal(bySerial.requestId, res.json.requestId);
+  } finally {
+    delete process.env.PACKAGE_MAX_WEIGHT_OZ;
+  }
+});
+
+test("PACKAGE_POLICY separate gives each device its own label", async () => {
+  process.env.PACKAGE_POLICY = "separate";
+  try {
+    const res = await app.request("/api/create-label", {
+      body: { ...CUSTOMER, phone: "610-555-0132", devices: DEVICES.slice(1) },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.labels.length, 2);
+    assert.deepEqual(
+      app.mocks.find("POST /sera/v1/labels").map((r) => r.json.package.weight),
+      [16, 16]
+    );
+  } finally {
+    delete process.env.PACKAGE_POLICY;
+  }
+});
+
+test("devices that fit in one box get one label", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, phone: "610-555-0133", devices: DEVICES },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.labels, undefined);
+  assert.equal(res.json.weightOz, 64);
+  assert.equal(res.json.devices.length, 3);
+
+  const [label] = app.mocks.find("POST /sera/v1/labels");
+  assert.equal(label.json.references.reference1, "SN-BASE SN-PENDANT SN-WATCH");
+});
+
+test("a rate quote weighs every device and prices each box", async () => {
+  const body = { ...CUSTOMER, deviceType: undefined, devices: DEVICES, service: "usps_ground_advantage" };
+  const quote = () => app.request("/api/rates", { body });
+
+  const together = await quote();
+  assert.equal(together.status, 200);
+  assert.equal(together.json.weightOz, 64);
+  assert.equal(together.json.boxes, undefined);
+  assert.equal(app.mocks.find("POST /sera/v1/rates")[0].json.package.weight, 64);
+  assert.equal(together.json.rates[0].amountUsd, 7.5);
+
+  app.mocks.reset();
+  process.env.PACKAGE_MAX_WEIGHT_OZ = "48";
+  try {
+    const split = await quote();
+    assert.equal(split.status, 200);
+    assert.equal(split.json.weightOz, 64);
+    assert.deepEqual(split.json.boxes.map((b) => b.weightOz), [48, 16]);
+    assert.deepEqual(app.mocks.find("POST /sera/v1/rates").map((r) => r.json.package.weight).sort(), [16, 48]);
+    assert.equal(split.json.rates[0].amountUsd, 15);
+  } finally {
+    delete process.env.PACKAGE_MAX_WEIGHT_OZ;
+  }
+});
+
+test("each device in a list is checked", async () => {
+  const res = await app.request("/api/create-label", {
+    body: {
+      ...CUSTOMER,
+      devices: [DEVICES[0], { deviceType: "Pager" }, { deviceType: "On the Go", deviceSerial: "sn-base" }],
+    },
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /Device 2: Unknown device type: Pager/);
+  assert.match(res.json.error, /Device 3: serial sn-base is listed twice/);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 0);
+});
+
+test("a retry after one box failed buys only the missing box", async () => {
+  process.env.PACKAGE_POLICY = "separate";
+  let calls = 0;
+  app.mocks.on("POST /sera/v1/labels", (req) => {
+    calls += 1;
+    if (calls === 2) return { status: 503, json: { message: "unavailable" } };
+    return {
+      status: 200,
+      json: {
+        label_id: `se-box-${calls}`,
+        tracking_number: `940010000000000000009${calls}`,
+        service_type: req.json?.service_type,
+        labels: [{ label_data: app.labelPdfBase64 }],
+      },
+    };
+  });
+
+  try {
+    const body = { ...CUSTOMER, phone: "610-555-0134", devices: DEVICES.slice(1) };
+    const headers = { "Idempotency-Key": "create-label-boxes-1" };
+
+    const failed = await app.request("/api/create-label", { body, headers });
+    assert.equal(failed.status, 503);
+
+    const retried = await app.request("/api/create-label", { body, headers });
+    assert.equal(retried.status, 200);
+    assert.deepEqual(
+      retried.json.labels.map((l) => l.trackingNumber),
+      ["9400100000000000000091", "9400100000000000000093"]
+    );
+    assert.equal(calls, 3);
+  } finally {
+    delete process.env.PACKAGE_POLICY;
+  }
+});
+
+test("unscanned Ground Advantage labels count against the budget up to the cap", async () => {
+  const ledger = require("../lib/ledger");
+  const agent = await app.createUser("budget.agent", "agent");
+  process.env.BUDGET_AGENT_DAILY_USD = "20";
+
+  try {
+    // USPS returns are pay-on-use, so nothing is spent until a scan: the cap
+    // still stops a third $7.50 label
+    const buy = (zip) =>
+      app.request("/api/create-label", {
+        user: agent,
+        body: { ...CUSTOMER, zip, service: "usps_ground_advantage" },
+      });
+    const first = await buy("19070");
+    const second = await buy("19071");
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+
+    const third = await buy("19072");
+    assert.equal(third.status, 402);
+    assert.match(third.json.error, /your daily postage budget \(\$20\.00, \$0\.00 already spent and \$15\.00 committed\)/);
+
+    // A scan moves a label from committed to spent; the total is unchanged
+    await ledger.recordStep(first.json.requestId, "tracking_in_transit", {
+      tracking: {
+        classification: "in_transit",
+        events: [{ at: new Date().toISOString(), statusCode: "IT" }],
+      },
+    });
+
+    const fourth = await buy("19073");
+    assert.equal(fourth.status, 402);
+    assert.match(fourth.json.error, /\$7\.50 already spent and \$7\.50 committed/);
+
+    const { budgetStatus } = require("../lib/budget");
+    const status = await budgetStatus({ username: agent.username });
+    assert.equal(status.spent.agentDayUsd, 7.5);
+    assert.equal(status.committed.agentDayUsd, 7.5);
+    assert.equal(status.remaining.agentDailyUsd, 5);
+  } finally {
+    delete process.env.BUDGET_AGENT_DAILY_USD;
+  }
+});
@@ -0,0 +1,165 @@
+// /test/errors.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+async function dashboard(query = "") {
+  const res = await app.request(`/api/errors${query}`, { method: "GET" });
+  assert.equal(res.status, 200);
+  return res.json;
+}
+
+test("responses carry a correlation ID", async () => {
+  const res = await app.request("/api/create-label", {
+    body: { ...CUSTOMER, deviceType: "Pager" },
+    headers: { "X-Request-Id": "support-ticket-42" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get("x-request-id"), "support-ticket-42");
+  assert.equal(res.json.correlationId, "support-ticket-42");
+});
+
+test("a SERA rejection is counted and listed with redacted details", async () => {
+  app.mocks.on("POST /sera/v1/labels", () => ({
+    status: 400,
+    json: {
+      errors: [{ message: "Invalid address for pat@example.com" }],
+      to_address: { name: CUSTOMER.name, phone: CUSTOMER.phone, postal_code: CUSTOMER.zip },
+      access_token: "leaked-token",
+    },
+  }));
+
+  const before = (await dashboard()).counters.totals.labels_failed;
+
+  const res = await app.request("/api/create-label", {
+    body: CUSTOMER,
+    headers: { "X-Request-Id": "sera-rejection-1" },
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.json.details, {
+    errors: [{ message: "Invalid address for p***@example.com" }],
+    to_address: { name: "[redacted]", phone: "***0100", postal_code: CUSTOMER.zip },
+    access_token: "[redacted]",
+  });
+
+  const { counters, failures } = await dashboard("?service=sera");
+  assert.equal(counters.totals.labels_failed, before + 1);
+
+  const [failure] = failures;
+  assert.equal(failure.operation, "create_label");
+  assert.equal(failure.status, 400);
+  assert.equal(failure.correlationId, "sera-rejection-1");
+  assert.equal(failure.route, "create-label");
+  assert.ok(failure.requestId);
+  assert.deepEqual(failure.details, res.json.details);
+  assert.doesNotMatch(JSON.stringify(failures), /leaked-token|Pat Customer|pat@example\.com/);
+});
+
+test("labels created and Lob failures are counted", async () => {
+  app.mocks.on("POST /lob/v1/letters", () => ({
+    status: 422,
+    json: { error: { message: "to[name] is required", status_code: 422 } },
+  }));
+
+  const { totals: before } = (await dashboard()).counters;
+
+  const res = await app.request("/api/mail-label", { body: { ...CUSTOMER, delivery: "mail" } });
+  assert.equal(res.status, 400);
+
+  const { counters, failures } = await dashboard("?service=lob");
+  assert.equal(counters.totals.labels_created, before.labels_created + 1);
+  assert.equal(counters.totals.lob_letters_failed, before.lob_letters_failed + 1);
+  assert.equal(counters.days[0].lob_letters_failed >= 1, true);
+  assert.equal(failures[0].operation, "create_letter");
+  assert.equal(failures[0].status, 422);
+});
+
+test("a Sheets outage is listed without failing the label", async () => {
+  app.mocks.on("POST /sheets", () => ({ status: 503, json: { error: "unavailable" } }));
+
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.sheetsLogged, { ok: false, status: 503 });
+
+  const [failure] = (await dashboard("?service=sheets")).failures;
+  assert.equal(failure.message, "Sheets webhook answered HTTP 503");
+  assert.equal(failure.requestId, res.json.requestId);
+});
+
+test("an unexpected error hides its message from the caller", async () => {
+  const { sendError } = require("../lib/http");
+  const { withRequestLog } = require("../lib/log");
+
+  const handler = withRequestLog("boom", async (req, res) => {
+    try {
+      throw new TypeError("Cannot read properties of undefined (reading 'secret')");
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  const sent = {};
+  const res = {
+    statusCode: 200,
+    setHeader: (k, v) => (sent[k] = v),
+    end: (body) => (sent.body = JSON.parse(body)),
+  };
+  await handler({ method: "GET", headers: {} }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(sent.body.error, "Internal server error");
+  assert.equal(sent.body.correlationId, sent["X-Request-Id"]);
+
+  const [failure] = (await dashboard("?service=app")).failures;
+  assert.equal(failure.route, "boom");
+  assert.match(failure.message, /reading 'secret'/);
+  assert.ok(Array.isArray(failure.details.stack));
+});
+
+test("a malformed JSON body is a 400 and stays off the dashboard", async () => {
+  const { basicAuth, ADMIN } = require("./helpers/app");
+  const before = (await dashboard("?service=app")).failures.length;
+
+  // Sent as text so the body reaches the route unparsed, as on Vercel
+  const resp = await fetch(`${app.url}/api/create-label`, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain", Authorization: basicAuth(ADMIN) },
+    body: '{"name": "Pat",',
+  });
+  const result = await resp.json();
+
+  assert.equal(resp.status, 400);
+  assert.equal(result.error, "Invalid JSON body");
+  assert.equal((await dashboard("?service=app")).failures.length, before);
+});
+
+test("only admins can see the dashboard", async () => {
+  const supervisor = await app.createUser("super.one", "supervisor");
+
+  const res = await app.request("/api/errors", { method: "GET", user: supervisor });
+
+  assert.equal(res.status, 403);
+});
+
+test("the dashboard lists instructions that have no translation", async () => {
+  const { missingTranslations } = await dashboard();
+
+  // Every catalog instructions file ships in Spanish
+  assert.deepEqual(missingTranslations, []);
+});
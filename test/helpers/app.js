@@ -0,0 +1,173 @@
+// /test/helpers/app.js
+
+// Boots the real api/ handlers for a test file. startApp() starts the
+// stand-ins (mock-services.js) and points the env at them. It also picks a
+// memory store, captured email and no address verification. Then it serves
+// the routes from a local HTTP server shaped like Vercel's, with req.query
+// and a parsed JSON req.body. Logging is off unless the test env sets LOG_LEVEL,
+// and so are the rate limits and duplicate checks (lib/abuse.js, lib/status.js)
+// unless it sets RATE_LIMIT_* / DUPLICATE_MAX_* / STATUS_RATE_LIMIT.
+//
+// lib/ modules read the env when they load, so call startApp() before
+// requiring any of them. Each test file runs in its own process.
+
+const http = require("http");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+const { startMockServices } = require("./mock-services");
+
+const ADMIN = { username: "admin", password: "admin-password-1" };
+
+// Settings from the developer's shell that would change what the tests see
+const CLEARED_ENV = [
+  /^BUDGET_/,
+  /^SERA_(TEST_|UPS_|FEDEX_)/,
+  /^SHEETS_TEST_/,
+  /^LOB_(TEST_|VERIFY_|FROM_)/,
+  /^WAREHOUSES_JSON$/,
+  /^DEFAULT_SERVICE$/,
+  /^RATE_LIMIT_/,
+  /^DUPLICATE_/,
+  /^FORM_TOKEN_/,
+  /^STATUS_RATE_LIMIT$/,
+  /^PACKAGE_/,
+];
+
+const ROUTES = {
+  "/api/create-label": "../../api/create-label",
+  "/api/mail-label": "../../api/mail-label",
+  "/api/batch-mail": "../../api/batch-mail",
+  "/api/shipments": "../../api/shipments",
+  "/api/errors": "../../api/errors",
+  "/api/form-token": "../../api/form-token",
+  "/api/status": "../../api/status",
+  "/api/label-file": "../../api/label-file",
+  "/api/reissue": "../../api/reissue",
+  "/api/rates": "../../api/rates",
+};
+
+/** A one-page 4x6 label PDF, base64, standing in for what SERA returns. */
+async function makeLabelPdf() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([288, 432]);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  page.drawText("TEST LABEL", { x: 40, y: 380, size: 24, font });
+  return Buffer.from(await doc.save()).toString("base64");
+}
+
+function basicAuth({ username, password }) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return undefined;
+  return String(req.headers["content-type"] || "").includes("application/json")
+    ? JSON.parse(text)
+    : text;
+}
+
+/**
+ * Starts the stand-ins and the app. `env` adds to or overrides the test env.
+ * Resolves to { url, mocks, labelPdfBase64, request, createUser, close }.
+ */
+async function startApp({ env = {} } = {}) {
+  const labelPdfBase64 = await makeLabelPdf();
+  const mocks = await startMockServices({ labelPdfBase64 });
+
+  for (const name of Object.keys(process.env)) {
+    if (CLEARED_ENV.some((re) => re.test(name))) delete process.env[name];
+  }
+
+  Object.assign(process.env, {
+    APP_MODE: "live",
+    STORE_DRIVER: "memory",
+    ADMIN_USER: ADMIN.username,
+    ADMIN_PASS: ADMIN.password,
+    SERA_CLIENT_ID: "test-client",
+    SERA_CLIENT_SECRET: "test-secret",
+    SERA_REFRESH_TOKEN: "test-refresh-token",
+    LOB_API_KEY: "test_lob_key",
+    ADDRESS_VERIFY_PROVIDER: "none",
+    EMAIL_TRANSPORT: "capture",
+    LOG_LEVEL: "silent",
+    RATE_LIMIT_IP: "0",
+    RATE_LIMIT_ADDRESS: "0",
+    RATE_LIMIT_PHONE: "0",
+    DUPLICATE_MAX_PER_CUSTOMER: "0",
+    DUPLICATE_MAX_PER_SERIAL: "0",
+    STATUS_RATE_LIMIT: "0",
+    ...mocks.env,
+    ...env,
+  });
+
+  const handlers = Object.fromEntries(
+    Object.entries(ROUTES).map(([route, file]) => [route, require(file)])
+  );
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    const handler = handlers[url.pathname];
+    if (!handler) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    req.query = Object.fromEntries(url.searchParams);
+    req.body = await readJsonBody(req);
+    await handler(req, res);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Calls a route. `user` defaults to the bootstrap admin; pass null to send
+   * no Authorization header. Resolves to { status, headers, json, text }.
+   */
+  async function request(path, { method = "POST", user = ADMIN, body, headers = {} } = {}) {
+    const resp = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(user ? { Authorization: basicAuth(user) } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await resp.text();
+    const isJson = String(resp.headers.get("content-type") || "").includes("application/json");
+    return { status: resp.status, headers: resp.headers, json: isJson ? JSON.parse(text) : null, text };
+  }
+
+  /** Adds a stored user; resolves to { username, password } for request(). */
+  async function createUser(username, role) {
+    const { createUser: addUser } = require("../../lib/users");
+    const password = `${username}-password-1`;
+    await addUser({ username, name: username, role, password }, { username: ADMIN.username });
+    return { username, password };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mocks.close();
+  }
+
+  return { url: baseUrl, mocks, labelPdfBase64, request, createUser, close };
+}
+
+// A customer the default catalog and warehouse config accept
+const CUSTOMER = {
+  name: "Pat Customer",
+  address1: "100 Main St",
+  city: "Media",
+  state: "PA",
+  zip: "19063",
+  phone: "610-555-0100",
+  deviceType: "On the Go",
+};
+
+module.exports = { ADMIN, CUSTOMER, basicAuth, makeLabelPdf, startApp };
@@ -0,0 +1,162 @@
+// /test/helpers/mock-services.js
+
+// Local stand-ins for SERA, Lob and the Sheets webhook: one HTTP server on
+// 127.0.0.1 that records every request and answers from per-route handlers.
+//
+//   /signin/oauth/token   SERA token endpoint
+//   /sera/v1/...          SERA API (labels, rates)
+//   /files/...            label files SERA returns as an href
+//   /lob/v1/...           Lob API
+//   /sheets               Sheets webhook
+//
+// Tests swap a route's answer with on("POST /sera/v1/labels", handler); a
+// handler gets the recorded request and returns { status, json } or
+// { status, body, headers }.
+
+const http = require("http");
+
+function defaultRoutes({ labelPdfBase64 }) {
+  let labelCount = 0;
+  let letterCount = 0;
+
+  return {
+    "POST /signin/oauth/token": () => ({
+      status: 200,
+      json: { access_token: "test-access-token", expires_in: 900, token_type: "Bearer" },
+    }),
+
+    "POST /sera/v1/labels": (req) => {
+      labelCount += 1;
+      return {
+        status: 200,
+        json: {
+          label_id: `se-${labelCount}`,
+          tracking_number: `9400100000000000000${labelCount}`,
+          service_type: req.json?.service_type,
+          shipment_cost: { currency: "usd", total_amount: 7.5 },
+          labels: [{ label_data: labelPdfBase64 }],
+        },
+      };
+    },
+
+    "POST /sera/v1/rates": (req) => ({
+      status: 200,
+      json: (req.json?.service_types || []).map((code, i) => ({
+        service_type: code,
+        shipment_cost: { total_amount: 7.5 + i },
+        delivery_days: 3,
+      })),
+    }),
+
+    "GET /files/label.pdf": () => ({
+      status: 200,
+      headers: { "Content-Type": "application/pdf" },
+      body: Buffer.from(labelPdfBase64, "base64"),
+    }),
+
+    "POST /lob/v1/letters": () => {
+      letterCount += 1;
+      return {
+        status: 200,
+        json: { id: `ltr_test${letterCount}`, status: "processed", object: "letter" },
+      };
+    },
+
+    "POST /sheets": () => ({ status: 200, json: { ok: true } }),
+  };
+}
+
+async function readRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  const body = Buffer.concat(chunks);
+  const url = new URL(req.url, "http://127.0.0.1");
+
+  const recorded = {
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    headers: req.headers,
+    body,
+    json: null,
+    form: null,
+  };
+
+  const type = String(req.headers["content-type"] || "");
+  if (type.includes("application/json")) {
+    recorded.json = JSON.parse(body.toString("utf8") || "null");
+  } else if (type.includes("application/x-www-form-urlencoded")) {
+    recorded.form = Object.fromEntries(new URLSearchParams(body.toString("utf8")));
+  } else if (type.includes("multipart/form-data")) {
+    // Parsed the same way a browser-side FormData would be read back
+    recorded.form = await new Request("http://127.0.0.1", {
+      method: "POST",
+      headers: { "Content-Type": type },
+      body,
+    }).formData();
+  }
+
+  return recorded;
+}
+
+/**
+ * Starts the stand-in server; SERA's labels are `labelPdfBase64`. Resolves to
+ *   { url, env, requests, on(route, handler), find(route), reset(), close() }
+ * where env holds the variables that point the app at it.
+ */
+async function startMockServices({ labelPdfBase64 }) {
+  let routes = {};
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const recorded = await readRequest(req);
+    requests.push(recorded);
+
+    const handler = routes[`${recorded.method} ${recorded.path}`];
+    const answer = handler
+      ? await handler(recorded)
+      : { status: 404, json: { error: `No stand-in for ${recorded.method} ${recorded.path}` } };
+
+    if (answer.json !== undefined) {
+      res.writeHead(answer.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(answer.json));
+    } else {
+      res.writeHead(answer.status, answer.headers || {});
+      res.end(answer.body || "");
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const reset = () => {
+    routes = defaultRoutes({ labelPdfBase64 });
+    requests.length = 0;
+  };
+  reset();
+
+  return {
+    url,
+    env: {
+      SERA_SIGNIN_BASE: `${url}/signin`,
+      SERA_API_BASE: `${url}/sera`,
+      LOB_API_BASE: `${url}/lob`,
+      SHEETS_WEBHOOK_URL: `${url}/sheets`,
+    },
+    requests,
+    on(route, handler) {
+      routes[route] = handler;
+    },
+    find(route) {
+      const [method, path] = route.split(" ");
+      return requests.filter((r) => r.method === method && r.path === path);
+    },
+    reset,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockServices };
@@ -0,0 +1,70 @@
+// /test/lob-events.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+async function mailLetter(letterId) {
+  app.mocks.on("POST /lob/v1/letters", () => ({
+    status: 200,
+    json: { id: letterId, status: "processed", object: "letter" },
+  }));
+  const res = await app.request("/api/mail-label", { body: { ...CUSTOMER, delivery: "mail" } });
+  assert.equal(res.status, 200);
+  return res.json.requestId;
+}
+
+function lobEvent(id, type, letterId, dateCreated) {
+  const { handleLobEvent } = require("../lib/lob-events");
+  return handleLobEvent({
+    id,
+    event_type: { id: type },
+    date_created: dateCreated,
+    body: { id: letterId },
+  });
+}
+
+test("a late webhook does not move a letter back to an earlier status", async () => {
+  const { getShipment } = require("../lib/ledger");
+  const requestId = await mailLetter("ltr_order");
+
+  await lobEvent("evt_1", "letter.mailed", "ltr_order", "2026-01-02T10:00:00.000Z");
+  await lobEvent("evt_3", "letter.delivered", "ltr_order", "2026-01-06T10:00:00.000Z");
+  await lobEvent("evt_2", "letter.in_transit", "ltr_order", "2026-01-04T10:00:00.000Z");
+
+  const shipment = await getShipment(requestId);
+  assert.equal(shipment.letter.lobStatus, "delivered");
+  assert.equal(shipment.letter.lastEventAt, "2026-01-06T10:00:00.000Z");
+  assert.equal(shipment.letter.mailedAt, "2026-01-02T10:00:00.000Z");
+
+  const late = shipment.steps.find((s) => s.step === "lob_in_transit");
+  assert.equal(late.stale, true);
+});
+
+test("a returned letter stays returned when an earlier event arrives after it", async () => {
+  const { getShipment } = require("../lib/ledger");
+  const requestId = await mailLetter("ltr_returned");
+
+  await lobEvent("evt_r2", "letter.returned_to_sender", "ltr_returned", "2026-02-10T10:00:00.000Z");
+  await lobEvent("evt_r1", "letter.mailed", "ltr_returned", "2026-02-01T10:00:00.000Z");
+
+  const shipment = await getShipment(requestId);
+  assert.equal(shipment.letter.lobStatus, "returned_to_sender");
+  assert.equal(shipment.letter.returnedToSender, true);
+  assert.equal(shipment.letter.mailedAt, "2026-02-01T10:00:00.000Z");
+  assert.equal(shipment.status, "letter_returned");
+});
@@ -0,0 +1,102 @@
+// /test/log.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { redact, log, logContext, withRequestLog } = require("../lib/log");
+
+test("secrets are removed wherever they are nested", () => {
+  const out = redact({
+    access_token: "abc",
+    refresh_token: "def",
+    headers: { Authorization: "Bearer xyz", "Content-Type": "application/json" },
+    labels: [{ label_data: "JVBERi0x", label_id: "se-1" }],
+    code: "oauth-code",
+    status_code: "in_transit",
+    empty_token: "",
+  });
+
+  assert.deepEqual(out, {
+    access_token: "[redacted]",
+    refresh_token: "[redacted]",
+    headers: { Authorization: "[redacted]", "Content-Type": "application/json" },
+    labels: [{ label_data: "[redacted]", label_id: "se-1" }],
+    code: "[redacted]",
+    status_code: "in_transit",
+    empty_token: "",
+  });
+});
+
+test("customer details are masked but stay recognizable", () => {
+  const out = redact({
+    to_address: {
+      name: "Pat Customer",
+      phone: "610-555-0100",
+      email: "pat@example.com",
+      address_line1: "100 Main St",
+      city: "Media",
+      postal_code: "19063",
+    },
+    customer_name: "Pat Customer",
+  });
+
+  assert.deepEqual(out, {
+    to_address: {
+      name: "[redacted]",
+      phone: "***0100",
+      email: "p***@example.com",
+      address_line1: "[redacted]",
+      city: "Media",
+      postal_code: "19063",
+    },
+    customer_name: "[redacted]",
+  });
+});
+
+test("free text loses credentials and email addresses", () => {
+  assert.equal(
+    redact("sent Authorization: Basic dXNlcjpwYXNz= to pat@example.com"),
+    "sent Authorization: Basic [redacted] to p***@example.com"
+  );
+});
+
+test("long strings and arrays are cut short", () => {
+  const out = redact({ text: "x".repeat(3000), items: Array.from({ length: 25 }, (_, i) => i) });
+
+  assert.ok(out.text.endsWith("…[truncated]"));
+  assert.equal(out.text.length, 2000 + "…[truncated]".length);
+  assert.equal(out.items.length, 21);
+  assert.equal(out.items[20], "…5 more");
+});
+
+test("request lines carry the correlation ID and no secrets", async (t) => {
+  const lines = [];
+  t.mock.method(console, "log", (line) => lines.push(JSON.parse(line)));
+  t.mock.method(console, "error", (line) => lines.push(JSON.parse(line)));
+  process.env.LOG_LEVEL = "info";
+  t.after(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  let seen;
+  const handler = withRequestLog("test-route", async (req, res) => {
+    seen = logContext();
+    log.info("work", { refresh_token: "secret-value", phone: "6105550100" });
+    res.statusCode = 204;
+  });
+
+  const headers = {};
+  const res = { statusCode: 200, setHeader: (k, v) => (headers[k] = v) };
+  await handler({ method: "POST", headers: { "x-request-id": "support-1234" } }, res);
+
+  assert.deepEqual(seen, { correlationId: "support-1234", route: "test-route" });
+  assert.equal(headers["X-Request-Id"], "support-1234");
+
+  const [work, request] = lines;
+  assert.equal(work.event, "work");
+  assert.equal(work.correlationId, "support-1234");
+  assert.equal(work.refresh_token, "[redacted]");
+  assert.equal(work.phone, "***0100");
+  assert.equal(request.event, "request");
+  assert.equal(request.status, 204);
+  assert.equal(request.route, "test-route");
+});
@@ -0,0 +1,362 @@
+// /test/mail-label.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument } = require("pdf-lib");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+async function pageSizes(bytes) {
+  const doc = await PDFDocument.load(bytes);
+  return doc.getPages().map((p) => [p.getWidth(), p.getHeight()]);
+}
+
+test("delivery mail sends Lob the instructions plus the label", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, deviceSerial: "SN-100", delivery: "mail" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.ok, true);
+  assert.equal(res.json.lobLetterId, "ltr_test1");
+  assert.equal(res.json.uspsTrackingNumber, "94001000000000000001");
+
+  // The label is bought in-process, not by calling /api/create-label
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+
+  const [letter] = app.mocks.find("POST /lob/v1/letters");
+  assert.equal(letter.headers.authorization, `Basic ${Buffer.from("test_lob_key:").toString("base64")}`);
+  assert.ok(letter.headers["idempotency-key"]);
+  assert.equal(letter.form.get("to[name]"), CUSTOMER.name);
+  assert.equal(letter.form.get("to[address_zip]"), CUSTOMER.zip);
+  assert.equal(letter.form.get("address_placement"), "top_first_page");
+
+  const file = letter.form.get("file");
+  assert.equal(file.type, "application/pdf");
+
+  // Cover page, the two pages of power-off-instructions.pdf, then the label page
+  const sizes = await pageSizes(Buffer.from(await file.arrayBuffer()));
+  assert.equal(sizes.length, 4);
+  assert.deepEqual(sizes[sizes.length - 1], [612, 792]);
+
+  const [row] = app.mocks.find("POST /sheets");
+  assert.equal(row.json.source, "mail-label");
+  assert.equal(row.json.request_id, res.json.requestId);
+});
+
+test("delivery download returns the letter PDF without mailing it", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "download" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.download.format, "letter");
+  assert.equal(res.json.download.mimeType, "application/pdf");
+  assert.equal(res.json.lobLetterId, null);
+  assert.equal(app.mocks.find("POST /lob/v1/letters").length, 0);
+
+  const sizes = await pageSizes(Buffer.from(res.json.download.dataBase64, "base64"));
+  assert.equal(sizes.length, 4);
+});
+
+test("a repeated download is rebuilt from the kept label, not stored in the run", async () => {
+  const body = { ...CUSTOMER, deviceSerial: "SN-DOWNLOAD-REPLAY", delivery: "download" };
+  const headers = { "Idempotency-Key": "mail-label-download-replay-1" };
+
+  const first = await app.request("/api/mail-label", { body, headers });
+  const second = await app.request("/api/mail-label", { body, headers });
+
+  assert.equal(second.status, 200);
+  assert.equal(second.json.replayed, true);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+  assert.equal((await pageSizes(Buffer.from(second.json.download.dataBase64, "base64"))).length, 4);
+  assert.equal(second.json.download.filename, first.json.download.filename);
+
+  const { getStore } = require("../lib/store");
+  const [run] = await getStore().list("idempotency", (r) => r.key === headers["Idempotency-Key"]);
+  const kept = JSON.stringify(await getStore().list("idempotency"));
+  assert.equal(run.response.download.dataBase64, undefined);
+  assert.equal(run.checkpoints.label.labelData, undefined);
+  assert.ok(!kept.includes(app.labelPdfBase64.slice(0, 40)));
+});
+
+test("downloadFormat label returns the raw label", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "download", downloadFormat: "label" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.download.format, "label");
+  assert.equal(res.json.download.dataBase64, app.labelPdfBase64);
+});
+
+test("delivery email requires an email address", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "email" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "Missing required fields: email");
+  assert.equal(app.mocks.requests.length, 0);
+});
+
+test("a png label cannot be mailed", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "mail", labelFormat: "png" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(
+    res.json.error,
+    "labelFormat png / zpl needs delivery \"download\" with downloadFormat \"label\""
+  );
+});
+
+test("an unknown delivery mode is a 400", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "pigeon" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "delivery must be one of: mail, email, both, download");
+});
+
+test("a Spanish request is stored as such and emailed in Spanish", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, email: "pat@example.com", delivery: "email", language: "es-MX" },
+  });
+  assert.equal(res.status, 200);
+
+  const { getShipment } = require("../lib/ledger");
+  const shipment = await getShipment(res.json.requestId);
+  assert.equal(shipment.language, "es");
+
+  const { getStore } = require("../lib/store");
+  const [email] = await getStore().list("captured_emails", (m) => m.to === "pat@example.com");
+  assert.equal(email.subject, "Su etiqueta de devolución de Connect America");
+  assert.match(email.text, /^Hola, Pat Customer:/);
+  assert.match(email.text, /Número de seguimiento de USPS: \d+/);
+});
+
+test("an unsupported language is a 400", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "mail", language: "fr" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, "language must be one of: en, es");
+});
+
+test("missing fields are listed in the details", async () => {
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, phone: "", delivery: "mail" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.json.details, { missing: ["phone"] });
+});
+
+test("a retry after a Lob failure reuses the label", async () => {
+  let lobCalls = 0;
+  app.mocks.on("POST /lob/v1/letters", () => {
+    lobCalls += 1;
+    return lobCalls === 1
+      ? { status: 422, json: { error: { message: "address undeliverable" } } }
+      : { status: 200, json: { id: "ltr_retry", status: "processed" } };
+  });
+
+  const body = { ...CUSTOMER, delivery: "mail" };
+  const headers = { "Idempotency-Key": "mail-label-retry-1" };
+
+  const failed = await app.request("/api/mail-label", { body, headers });
+  assert.equal(failed.status, 400);
+  assert.equal(failed.json.error, "Lob letter creation failed");
+  assert.equal(failed.json.idempotencyKey, "mail-label-retry-1");
+
+  const retried = await app.request("/api/mail-label", { body, headers });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.json.lobLetterId, "ltr_retry");
+  assert.equal(retried.json.requestId, failed.json.requestId);
+
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 1);
+  assert.equal(app.mocks.find("POST /lob/v1/letters").length, 2);
+
+  // Both attempts send Lob the same key, so it cannot mail the letter twice
+  const [first, second] = app.mocks.find("POST /lob/v1/letters");
+  assert.equal(first.headers["idempotency-key"], second.headers["idempotency-key"]);
+});
+
+test("a letter for several boxes carries every label and is recorded on each box", async () => {
+  process.env.PACKAGE_POLICY = "separate";
+  try {
+    const res = await app.request("/api/mail-label", {
+      body: {
+        ...CUSTOMER,
+        phone: "610-555-0161",
+        email: "pat@example.com",
+        delivery: "both",
+        devices: [
+          { deviceType: "Mytrex Landline", deviceSerial: "SN-BASE" },
+          { deviceType: "OTG Mini Neck", deviceSerial: "SN-PENDANT" },
+        ],
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.boxes.length, 2);
+    assert.equal(app.mocks.find("POST /lob/v1/letters").length, 1);
+
+    // Cover page, the instructions once, then a label page per box
+    const [letter] = app.mocks.find("POST /lob/v1/letters");
+    const sizes = await pageSizes(Buffer.from(await letter.form.get("file").arrayBuffer()));
+    assert.equal(sizes.length, 5);
+
+    const { getShipment } = require("../lib/ledger");
+    for (const box of res.json.boxes) {
+      const shipment = await getShipment(box.requestId);
+      assert.equal(shipment.letter.lobLetterId, res.json.lobLetterId);
+      assert.equal(shipment.email.to, "pat@example.com");
+      assert.equal(shipment.label.trackingNumber, box.trackingNumber);
+    }
+  } finally {
+    delete process.env.PACKAGE_POLICY;
+  }
+});
+
+test("a raw label download is refused when the devices need several boxes", async () => {
+  process.env.PACKAGE_POLICY = "separate";
+  try {
+    const res = await app.request("/api/mail-label", {
+      body: {
+        ...CUSTOMER,
+        delivery: "download",
+        downloadFormat: "label",
+        devices: [{ deviceType: "On the Go" }, { deviceType: "Smartwatch" }],
+      },
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.json.error, /need 2 boxes/);
+    assert.equal(app.mocks.find("POST /sera/v1/labels").length, 0);
+  } finally {
+    delete process.env.PACKAGE_POLICY;
+  }
+});
+
+test("batch-mail mails each valid row", async () => {
+  const csv = [
+    "name,address1,city,state,zip,phone,device type,delivery",
+    "Pat Customer,100 Main St,Media,PA,19063,610-555-0100,On the Go,mail",
+    "Sam Customer,200 Oak Ave,Media,PA,19063,610-555-0101,Pager,mail",
+  ].join("\n");
+
+  const res = await app.request("/api/batch-mail", { body: { csv } });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.json.results.map((r) => r.status),
+    ["mailed", "invalid"]
+  );
+  assert.equal(app.mocks.find("POST /lob/v1/letters").length, 1);
+  assert.equal(app.mocks.find("POST /sheets")[0].json.source, "batch-mail");
+});
+
+test("a batch row retried by another supervisor resumes the same label run", async () => {
+  // The label is bought but its file can't be fetched, so the row fails mid-purchase
+  app.mocks.on("POST /sera/v1/labels", () => ({
+    status: 200,
+    json: {
+      label_id: "se-batch-retry",
+      tracking_number: "94001000000000000077",
+      labels: [{ href: `${app.mocks.url}/files/label.pdf` }],
+    },
+  }));
+  let downloads = 0;
+  app.mocks.on("GET /files/label.pdf", () => {
+    downloads += 1;
+    if (downloads === 1) return { status: 500, json: { error: "unavailable" } };
+    return {
+      status: 200,
+      headers: { "Content-Type": "application/pdf" },
+      body: Buffer.from(app.labelPdfBase64, "base64"),
+    };
+  });
+
+  const csv = [
+    "name,address1,city,state,zip,phone,device type,delivery",
+    "Robin Customer,300 Elm St,Media,PA,19063,610-555-0102,On the Go,mail",
+  ].join("\n");
+
+  const first = await app.request("/api/batch-mail", {
+    user: await app.createUser("batch-super-1", "supervisor"),
+    body: { csv },
+  });
+  assert.equal(first.json.results[0].status, "failed");
+
+  const second = await app.request("/api/batch-mail", {
+    user: await app.createUser("batch-super-2", "supervisor"),
+    body: { csv },
+  });
+  assert.equal(second.json.results[0].status, "mailed");
+  assert.equal(second.json.results[0].uspsTrackingNumber, "94001000000000000077");
+
+  // The same run, so SERA gets the same key and does not buy a second label
+  const [bought, retried] = app.mocks.find("POST /sera/v1/labels");
+  assert.equal(bought.headers["idempotency-key"], retried.headers["idempotency-key"]);
+});
+
+test("a failed batch row re-uploaded with a corrected column starts over", async () => {
+  let labels = 0;
+  app.mocks.on("POST /sera/v1/labels", () => {
+    labels += 1;
+    return {
+      status: 200,
+      json: {
+        label_id: `se-batchfix-${labels}`,
+        tracking_number: `9400100000000000008${labels}`,
+        labels: [{ label_data: app.labelPdfBase64 }],
+      },
+    };
+  });
+  app.mocks.on("GET /sera/v1/labels/se-batchfix-1/track", () => ({
+    status: 200,
+    json: { status_code: "UN", events: [] },
+  }));
+  app.mocks.on("PUT /sera/v1/labels/se-batchfix-1/void", () => ({
+    status: 200,
+    json: { approved: true, message: "Request for refund submitted." },
+  }));
+  let letters = 0;
+  app.mocks.on("POST /lob/v1/letters", () => {
+    letters += 1;
+    return letters === 1
+      ? { status: 422, json: { error: { message: "address undeliverable" } } }
+      : { status: 200, json: { id: "ltr_batch_fixed", status: "processed" } };
+  });
+
+  const row = (reason) => [
+    "name,address1,city,state,zip,phone,device type,delivery,return reason",
+    `Casey Customer,400 Pine St,Media,PA,19063,610-555-0103,On the Go,mail,${reason}`,
+  ].join("\n");
+
+  const first = await app.request("/api/batch-mail", { body: { csv: row("moved") } });
+  assert.equal(first.json.results[0].status, "failed");
+
+  const second = await app.request("/api/batch-mail", { body: { csv: row("moved away") } });
+  assert.equal(second.json.results[0].status, "mailed");
+  assert.equal(second.json.results[0].lobLetterId, "ltr_batch_fixed");
+  assert.equal(app.mocks.find("PUT /sera/v1/labels/se-batchfix-1/void").length, 1);
+});
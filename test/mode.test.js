@@ -0,0 +1,41 @@
+// /test/mode.test.js
+
+// Sandbox mode must not pick up the live SERA settings a preview deployment
+// shares with production.
+
+Object.assign(process.env, {
+  STORE_DRIVER: "memory",
+  LOG_LEVEL: "silent",
+  APP_MODE: "sandbox",
+  SERA_SIGNIN_BASE: "https://signin.stampsendicia.com",
+  SERA_API_BASE: "https://api.stampsendicia.com/sera",
+  SERA_TEST_API_BASE: "https://api.stampsendicia.com/sera/",
+  SERA_CLIENT_ID: "live-client",
+  SERA_CLIENT_SECRET: "live-secret",
+  SERA_TEST_CLIENT_SECRET: "live-secret",
+});
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { modeEnv } = require("../lib/mode");
+const sera = require("../lib/sera");
+
+test("sandbox reads only the SERA_TEST_* values and refuses live ones", () => {
+  assert.equal(modeEnv("SERA", "CLIENT_ID"), undefined);
+  assert.equal(modeEnv("SERA", "CLIENT_SECRET"), undefined);
+
+  process.env.SERA_TEST_CLIENT_ID = "test-client";
+  try {
+    assert.equal(modeEnv("SERA", "CLIENT_ID"), "test-client");
+  } finally {
+    delete process.env.SERA_TEST_CLIENT_ID;
+  }
+
+  assert.equal(sera.hasSeraCredentials(), false);
+});
+
+test("sandbox never talks to the production SERA hosts", async () => {
+  assert.equal(sera.SERA_ENV, "staging");
+  assert.equal(sera.API_BASE, "https://api.testing.stampsendicia.com/sera");
+  assert.equal((await sera.getSeraAuthStatus()).signinBase, "https://signin.testing.stampsendicia.com");
+});
@@ -0,0 +1,139 @@
+// /test/pdf.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PDFDocument } = require("pdf-lib");
+const { buildInstructionsPlusLabelPdf } = require("../lib/pdf");
+const { missingTranslations } = require("../lib/i18n");
+const { makeLabelPdf } = require("./helpers/app");
+
+test("instructions pages come first, then the label on a letter page", async () => {
+  const labelBase64 = await makeLabelPdf();
+
+  const pdf = await buildInstructionsPlusLabelPdf({ labelBase64 });
+  const doc = await PDFDocument.load(pdf);
+  const pages = doc.getPages();
+
+  assert.equal(pages.length, 3);
+  assert.deepEqual([pages[2].getWidth(), pages[2].getHeight()], [612, 792]);
+});
+
+test("a missing instructions file is an error, not a letter without instructions", async () => {
+  const labelBase64 = await makeLabelPdf();
+
+  await assert.rejects(
+    buildInstructionsPlusLabelPdf({ labelBase64, instructionsPdf: "no-such-instructions.pdf" }),
+    /Instructions PDF not found: no-such-instructions\.pdf/
+  );
+});
+
+test("every catalog instructions file exists, is translated and is bundled with the mailing functions", () => {
+  const { listDevices } = require("../lib/devices");
+  const { functions } = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "vercel.json"), "utf8"));
+
+  for (const device of listDevices()) {
+    assert.ok(fs.existsSync(path.resolve(__dirname, "..", device.instructionsPdf)), device.instructionsPdf);
+    // includeFiles is "{*instructions*.pdf,...}": root-level files with "instructions" in the name
+    assert.match(device.instructionsPdf, /^[^/]*instructions[^/]*\.pdf$/);
+  }
+  assert.deepEqual(missingTranslations(listDevices().map((d) => d.instructionsPdf)), []);
+  for (const route of ["api/mail-label.js", "api/batch-mail.js", "api/reissue.js"]) {
+    assert.match(functions[route]?.includeFiles || "", /\*instructions\*\.pdf/, route);
+  }
+});
+
+async function writeBlankPdf(file, pageCount) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) doc.addPage([612, 792]);
+  fs.writeFileSync(file, await doc.save());
+}
+
+test("the instructions are picked for the customer's language", async () => {
+  const labelBase64 = await makeLabelPdf();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "instructions-"));
+  const instructionsPdf = path.join(dir, "instructions.pdf");
+  await writeBlankPdf(instructionsPdf, 1);
+  await writeBlankPdf(path.join(dir, "instructions.es.pdf"), 2);
+
+  try {
+    const pageCount = async (language) =>
+      (await PDFDocument.load(await buildInstructionsPlusLabelPdf({ labelBase64, instructionsPdf, language })))
+        .getPageCount();
+
+    assert.equal(await pageCount("es"), 3);
+    assert.equal(await pageCount("en"), 2);
+    assert.equal(await pageCount(undefined), 2);
+
+    assert.deepEqual(missingTranslations([instructionsPdf]), []);
+
+    // No translation: the English instructions, not none, and /errors lists it
+    fs.unlinkSync(path.join(dir, "instructions.es.pdf"));
+    assert.equal(await pageCount("es"), 2);
+    assert.deepEqual(missingTranslations([instructionsPdf, instructionsPdf]), [
+      { file: instructionsPdf, language: "es" },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a cover page comes first when cover details are given", async () => {
+  const labelBase64 = await makeLabelPdf();
+
+  const pdf = await buildInstructionsPlusLabelPdf({
+    labelBase64,
+    language: "es",
+    cover: {
+      name: "Zoë Martínez 王",
+      devices: [{ name: "On the Go", serial: "SN-1" }],
+      returnReason: "Cancelled service ".repeat(30),
+      boxes: [
+        {
+          trackingNumber: "9400100000000000000001",
+          trackingUrl: "https://tools.usps.com/go/TrackConfirmAction?tLabels=9400100000000000000001",
+          devices: ["On the Go"],
+        },
+      ],
+    },
+  });
+  const doc = await PDFDocument.load(pdf);
+
+  assert.equal(doc.getPageCount(), 4);
+  assert.deepEqual([doc.getPage(0).getWidth(), doc.getPage(0).getHeight()], [612, 792]);
+});
+
+test("several boxes get a label page each and shared instructions once", async () => {
+  const labelBase64 = await makeLabelPdf();
+  const boxes = [1, 2].map((n) => ({
+    trackingNumber: `940010000000000000000${n}`,
+    trackingUrl: `https://tools.usps.com/go/TrackConfirmAction?tLabels=940010000000000000000${n}`,
+    devices: n === 1 ? ["Cellular Assure / Mytrex", "On the Go"] : ["Smartwatch"],
+  }));
+
+  const pdf = await buildInstructionsPlusLabelPdf({
+    labelBase64: [labelBase64, labelBase64],
+    instructionsPdf: ["power-off-instructions.pdf", "power-off-instructions.pdf"],
+    cover: {
+      name: "Pat Smith",
+      devices: [
+        { name: "Cellular Assure / Mytrex", serial: "SN-1" },
+        { name: "On the Go", serial: "" },
+        { name: "Smartwatch", serial: "SN-3" },
+      ],
+      boxes,
+    },
+  });
+  const doc = await PDFDocument.load(pdf);
+
+  // Cover, two instruction pages, two labels
+  assert.equal(doc.getPageCount(), 5);
+});
+
+test("a label that is not a PDF is rejected", async () => {
+  await assert.rejects(
+    buildInstructionsPlusLabelPdf({ labelBase64: Buffer.from("not a pdf").toString("base64") })
+  );
+});
@@ -0,0 +1,153 @@
+// /test/sera-token.test.js
+
+// Token refresh failures. Kept in its own file (and so its own process)
+// because lib/sera.js caches the access token for the life of the process.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+test("a rejected refresh token is a 503 asking for re-authorization", async () => {
+  app.mocks.on("POST /signin/oauth/token", () => ({
+    status: 400,
+    json: { error: "invalid_grant" },
+  }));
+
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+
+  assert.equal(res.status, 503);
+  assert.equal(res.json.error, "SERA refresh token was rejected. Re-authorize SERA at /api/sera/login.");
+  assert.equal(res.json.details.needsReauth, true);
+  assert.equal(res.json.details.httpStatus, 400);
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 0);
+});
+
+test("a token endpoint outage is a 502", async () => {
+  app.mocks.on("POST /signin/oauth/token", () => ({
+    status: 500,
+    json: { error: "server_error" },
+  }));
+
+  const res = await app.request("/api/create-label", { body: CUSTOMER });
+
+  assert.equal(res.status, 502);
+  assert.equal(res.json.error, "SERA token refresh failed (HTTP 500 server_error)");
+  assert.equal(app.mocks.find("POST /sera/v1/labels").length, 0);
+});
+
+test("a token failure on the mail route fails before any Lob call", async () => {
+  app.mocks.on("POST /signin/oauth/token", () => ({
+    status: 401,
+    json: { error: "invalid_client" },
+  }));
+
+  const res = await app.request("/api/mail-label", {
+    body: { ...CUSTOMER, delivery: "mail" },
+  });
+
+  assert.equal(res.status, 503);
+  assert.equal(res.json.details.needsReauth, true);
+  assert.equal(app.mocks.find("POST /lob/v1/letters").length, 0);
+});
+
+test("refreshes use client credentials and keep the rotated refresh token", async () => {
+  let issued = 0;
+  app.mocks.on("POST /signin/oauth/token", () => {
+    issued += 1;
+    return {
+      status: 200,
+      // Expires at once, so the next label refreshes again
+      json: { access_token: `access-${issued}`, refresh_token: `rotated-${issued}`, expires_in: 1 },
+    };
+  });
+
+  const first = await app.request("/api/create-label", { body: CUSTOMER });
+  const second = await app.request("/api/create-label", { body: { ...CUSTOMER, zip: "19064" } });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+
+  const grants = app.mocks.find("POST /signin/oauth/token");
+  assert.equal(grants.length, 2);
+
+  const basic = `Basic ${Buffer.from("test-client:test-secret").toString("base64")}`;
+  assert.equal(grants[0].headers.authorization, basic);
+  assert.equal(grants[0].form.grant_type, "refresh_token");
+  assert.equal(grants[0].form.refresh_token, "test-refresh-token");
+  assert.equal(grants[1].form.refresh_token, "rotated-1");
+
+  const labels = app.mocks.find("POST /sera/v1/labels");
+  assert.equal(labels[0].headers.authorization, "Bearer access-1");
+  assert.equal(labels[1].headers.authorization, "Bearer access-2");
+});
+
+test("a label purchase SERA answers 401 gets a new token and is retried once", async () => {
+  let issued = 0;
+  app.mocks.on("POST /signin/oauth/token", () => {
+    issued += 1;
+    return { status: 200, json: { access_token: `fresh-${issued}`, expires_in: 900 } };
+  });
+
+  // SERA revoked the first token before it expired
+  app.mocks.on("POST /sera/v1/labels", (req) =>
+    req.headers.authorization === "Bearer fresh-1"
+      ? { status: 401, json: { message: "invalid token" } }
+      : {
+          status: 200,
+          json: {
+            label_id: "se-retried",
+            tracking_number: "9400133333333333333333",
+            labels: [{ label_data: app.labelPdfBase64 }],
+          },
+        }
+  );
+
+  const res = await app.request("/api/create-label", { body: { ...CUSTOMER, zip: "19065" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.json.trackingNumber, "9400133333333333333333");
+
+  const labels = app.mocks.find("POST /sera/v1/labels");
+  assert.deepEqual(labels.map((r) => r.headers.authorization), ["Bearer fresh-1", "Bearer fresh-2"]);
+  assert.equal(app.mocks.find("POST /signin/oauth/token").length, 2);
+});
+
+test("a refresh that lost a race to another instance uses the token that instance stored", async () => {
+  const { getStore } = require("../lib/store");
+  const { invalidateAccessToken } = require("../lib/sera");
+  await invalidateAccessToken();
+
+  app.mocks.on("POST /signin/oauth/token", async (req) => {
+    if (req.form.refresh_token === "rotated-elsewhere") {
+      return { status: 200, json: { access_token: "access-after-race", expires_in: 900 } };
+    }
+    // Another instance refreshed with the same token a moment earlier
+    await getStore().update("sera_tokens", "default", { refreshToken: "rotated-elsewhere" });
+    return { status: 400, json: { error: "invalid_grant" } };
+  });
+
+  const res = await app.request("/api/create-label", { body: { ...CUSTOMER, zip: "19066" } });
+
+  assert.equal(res.status, 200);
+  const grants = app.mocks.find("POST /signin/oauth/token");
+  assert.equal(grants.length, 2);
+  assert.equal(grants[1].form.refresh_token, "rotated-elsewhere");
+
+  const state = await getStore().get("sera_tokens", "default");
+  assert.equal(state.needsReauth, false);
+  assert.equal(app.mocks.find("POST /sera/v1/labels")[0].headers.authorization, "Bearer access-after-race");
+});
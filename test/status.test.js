@@ -0,0 +1,118 @@
+// /test/status.test.js
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, CUSTOMER } = require("./helpers/app");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  app.mocks.reset();
+});
+
+function lookUp(query) {
+  return app.request(`/api/status?${new URLSearchParams(query)}`, { method: "GET", user: null });
+}
+
+async function mailLabel(customer) {
+  const res = await app.request("/api/mail-label", {
+    body: { ...customer, deviceSerial: "SN-STATUS", delivery: "mail" },
+  });
+  assert.equal(res.status, 200);
+  return res.json;
+}
+
+test("a tracking number shows the return without customer details", async () => {
+  const mailed = await mailLabel({ ...CUSTOMER, email: "pat@example.com" });
+
+  const res = await lookUp({ tracking: mailed.uspsTrackingNumber });
+  assert.equal(res.status, 200);
+
+  const [found] = res.json.returns;
+  assert.equal(res.json.returns.length, 1);
+  assert.equal(found.trackingNumber, mailed.uspsTrackingNumber);
+  assert.equal(found.deviceType, CUSTOMER.deviceType);
+  assert.equal(found.stage, "label_created");
+  assert.equal(found.device.scanned, false);
+  assert.equal(found.warehouse.received, false);
+
+  const text = JSON.stringify(res.json);
+  const hidden = [CUSTOMER.name, CUSTOMER.address1, CUSTOMER.phone, "6105550100", "pat@example.com", "SN-STATUS"];
+  for (const value of [...hidden, mailed.requestId]) {
+    assert.equal(text.includes(value), false, `response contains ${value}`);
+  }
+});
+
+test("phone and ZIP must both match", async () => {
+  const customer = { ...CUSTOMER, phone: "484-555-0142", zip: "19087" };
+  await mailLabel(customer);
+
+  const found = await lookUp({ phone: "(484) 555 0142", zip: "19087-1234" });
+  assert.equal(found.status, 200);
+  assert.equal(found.json.returns.length, 1);
+
+  const wrongZip = await lookUp({ phone: customer.phone, zip: "19063" });
+  assert.equal(wrongZip.status, 404);
+
+  const phoneOnly = await lookUp({ phone: customer.phone });
+  assert.equal(phoneOnly.status, 400);
+});
+
+test("letter, scan and warehouse progress come from the ledger", async () => {
+  const mailed = await mailLabel({ ...CUSTOMER, phone: "610-555-0177" });
+  const { recordStep } = require("../lib/ledger");
+
+  await recordStep(mailed.requestId, "lob_mailed", {
+    letter: { lobStatus: "mailed", mailedAt: "2026-03-02T15:00:00Z", expectedDelivery: "2026-03-05" },
+  });
+  await recordStep(mailed.requestId, "tracking_delivered", {
+    tracking: {
+      classification: "delivered",
+      deliveredToWarehouse: true,
+      deliveredAt: "2026-03-12T16:00:00Z",
+      lastScanAt: "2026-03-12T16:00:00Z",
+      events: [
+        { at: "2026-03-09T10:00:00Z", statusCode: "IT", description: "Accepted at USPS Origin Facility" },
+        { at: "2026-03-12T16:00:00Z", statusCode: "DE", description: "Delivered" },
+      ],
+      checkedAt: "2026-03-12T18:00:00Z",
+    },
+  });
+
+  const res = await lookUp({ tracking: mailed.uspsTrackingNumber });
+  const [found] = res.json.returns;
+
+  assert.equal(found.stage, "received");
+  assert.deepEqual(found.letter, {
+    status: "mailed",
+    mailedAt: "2026-03-02T15:00:00Z",
+    expectedDelivery: "2026-03-05",
+    returnedToSender: false,
+  });
+  assert.equal(found.device.scanned, true);
+  assert.equal(found.device.lastScan, "Delivered");
+  assert.equal(found.warehouse.received, true);
+  assert.equal(found.warehouse.receivedAt, "2026-03-12T16:00:00Z");
+});
+
+test("lookups are rate limited per IP, found or not", async () => {
+  process.env.STATUS_RATE_LIMIT = "2/1h";
+  try {
+    assert.equal((await lookUp({ tracking: "9400100000000000000099" })).status, 404);
+    assert.equal((await lookUp({ phone: "610-555-0000", zip: "19063" })).status, 404);
+
+    const limited = await lookUp({ tracking: "9400100000000000000099" });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  } finally {
+    process.env.STATUS_RATE_LIMIT = "0";
+  }
+});
@@ -0,0 +1,86 @@
+// /test/store.test.js
+
+// The redis driver against a stand-in for the Upstash REST API, and the
+// refusal of instance-local drivers on Vercel.
+
+process.env.VERCEL = "1";
+delete process.env.STORE_DRIVER;
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRedisStore, getStore } = require("../lib/store");
+
+/** An in-memory Upstash REST endpoint; `beforeEval` can change data mid-update. */
+function fakeUpstash({ beforeEval } = {}) {
+  const hashes = new Map();
+  const strings = new Map();
+  const hash = (key) => hashes.get(key) || hashes.set(key, new Map()).get(key);
+  const commands = [];
+
+  const run = {
+    HGET: (key, field) => hash(key).get(field) ?? null,
+    HSET: (key, field, value) => (hash(key).set(field, value), 1),
+    HDEL: (key, field) => (hash(key).delete(field) ? 1 : 0),
+    HVALS: (key) => [...hash(key).values()],
+    SET: (key, value) => (strings.set(key, value), "OK"),
+    GET: (key) => strings.get(key) ?? null,
+    DEL: (key) => (strings.delete(key) ? 1 : 0),
+    // Only the store's compare-and-set script
+    EVAL: (script, numKeys, key, field, expected, next) => {
+      beforeEval?.(hash(key), field);
+      if ((hash(key).get(field) ?? "") !== expected) return 0;
+      hash(key).set(field, next);
+      return 1;
+    },
+  };
+
+  async function fetchImpl(url, init) {
+    assert.equal(init.headers.Authorization, "Bearer test-token");
+    const [name, ...args] = JSON.parse(init.body);
+    commands.push(name);
+    return new Response(JSON.stringify({ result: run[name](...args) }), { status: 200 });
+  }
+
+  return { fetchImpl, commands };
+}
+
+test("the redis driver stores documents and blobs", async () => {
+  const { fetchImpl } = fakeUpstash();
+  const store = createRedisStore({ url: "https://kv.test", token: "test-token", fetchImpl });
+
+  await store.put("shipments", "a", { id: "a", status: "created" });
+  await store.update("shipments", "a", { status: "mailed" });
+  await store.update("shipments", "b", (current) => ({ id: "b", seen: Boolean(current) }));
+
+  assert.deepEqual(await store.get("shipments", "a"), { id: "a", status: "mailed" });
+  assert.deepEqual(await store.get("shipments", "b"), { id: "b", seen: false });
+  assert.equal((await store.list("shipments", (d) => d.id === "b")).length, 1);
+
+  await store.remove("shipments", "a");
+  assert.equal(await store.get("shipments", "a"), null);
+
+  await store.putBlob("label_files", "req-1", Buffer.from("%PDF-1.7"));
+  assert.equal((await store.getBlob("label_files", "req-1")).toString(), "%PDF-1.7");
+  await store.removeBlob("label_files", "req-1");
+  assert.equal(await store.getBlob("label_files", "req-1"), null);
+});
+
+test("a redis update that loses a race is retried on the new document", async () => {
+  let raced = false;
+  const { fetchImpl, commands } = fakeUpstash({
+    beforeEval(hash, field) {
+      if (raced) return;
+      raced = true;
+      hash.set(field, JSON.stringify({ hits: [1] }));
+    },
+  });
+  const store = createRedisStore({ url: "https://kv.test", token: "test-token", fetchImpl });
+
+  const next = await store.update("rate_limits", "k", (current) => ({ hits: [...(current?.hits || []), 2] }));
+  assert.deepEqual(next, { hits: [1, 2] });
+  assert.equal(commands.filter((c) => c === "EVAL").length, 2);
+});
+
+test("instance-local drivers are refused on Vercel", () => {
+  assert.throws(() => getStore(), /STORE_DRIVER=file loses its data/);
+});
@@ -0,0 +1,126 @@
+// /test/voids.test.js
+
+// Voids and tracking polls with fake SERA / Lob clients instead of the
+// stand-in server: only the store is real (memory).
+
+process.env.STORE_DRIVER = "memory";
+process.env.LOG_LEVEL = "silent";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ledger = require("../lib/ledger");
+const { voidShipmentLabel } = require("../lib/voids");
+const { pollTracking } = require("../lib/tracking");
+
+/** A fake SERA client: `tracking` is what every label's track call returns. */
+function fakeSera({ tracking = { status_code: "UN", events: [] } } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async getAccessToken() {
+      return "fake-token";
+    },
+    async getLabelTracking(labelId, options) {
+      calls.push(["track", labelId, options.accessToken]);
+      return { ok: true, status: 200, data: tracking };
+    },
+    async voidLabel(labelId, options) {
+      calls.push(["void", labelId, options.accessToken]);
+      return { ok: true, status: 200, data: { approved: true, message: "Refund requested" } };
+    },
+  };
+}
+
+function fakeLob() {
+  const canceled = [];
+  return {
+    canceled,
+    async cancelLetter(id) {
+      canceled.push(id);
+      return { ok: true, status: 200, data: { id, deleted: true } };
+    },
+  };
+}
+
+async function mailedShipment(requestId, { labelId, letterId }) {
+  await ledger.recordRequest(requestId, {
+    source: "mail-label",
+    body: { name: "Pat Customer", deviceType: "On the Go" },
+  });
+  await ledger.recordStep(requestId, "label_created", {
+    label: { labelId, trackingNumber: `9400${labelId}`, carrier: "usps", createdAt: new Date().toISOString() },
+  });
+  if (letterId) await ledger.recordStep(requestId, "lob_letter_created", { letter: { lobLetterId: letterId } });
+}
+
+test("a void goes through the given SERA and Lob clients", async () => {
+  await mailedShipment("req-void-1", { labelId: "se-void-1", letterId: "ltr_void_1" });
+  const sera = fakeSera();
+  const lob = fakeLob();
+
+  const result = await voidShipmentLabel({
+    requestId: "req-void-1",
+    reason: "customer kept the device",
+    user: { username: "sup" },
+    sera,
+    lob,
+  });
+
+  assert.equal(result.voided, true);
+  assert.deepEqual(result.lob, { letterId: "ltr_void_1", canceled: true, error: null });
+  assert.deepEqual(sera.calls, [
+    ["track", "se-void-1", "fake-token"],
+    ["void", "se-void-1", "fake-token"],
+  ]);
+  assert.deepEqual(lob.canceled, ["ltr_void_1"]);
+
+  const shipment = await ledger.getShipment("req-void-1");
+  assert.equal(shipment.label.voidedBy, "sup");
+  assert.ok(shipment.letter.canceledAt);
+});
+
+test("a scanned package is not voided", async () => {
+  await mailedShipment("req-void-2", { labelId: "se-void-2" });
+  const sera = fakeSera({ tracking: { status_code: "IT", events: [] } });
+
+  await assert.rejects(
+    voidShipmentLabel({ requestId: "req-void-2", user: { username: "sup" }, sera, lob: fakeLob() }),
+    (e) => e.status === 409
+  );
+  assert.deepEqual(sera.calls.map(([call]) => call), ["track"]);
+});
+
+test("tracking polls use the given SERA client", async () => {
+  await mailedShipment("req-poll-1", { labelId: "se-poll-1" });
+  const sera = fakeSera({
+    tracking: {
+      status_code: "IT",
+      events: [{ occurred_at: new Date().toISOString(), status_code: "IT", description: "In transit" }],
+    },
+  });
+
+  const summary = await pollTracking({ sera });
+
+  assert.ok(summary.results.some((r) => r.requestId === "req-poll-1" && r.classification === "in_transit"));
+  assert.ok(sera.calls.some(([call, labelId]) => call === "track" && labelId === "se-poll-1"));
+  assert.equal((await ledger.getShipment("req-poll-1")).tracking.classification, "in_transit");
+});
+
+test("records from the other mode are neither voided nor polled", async () => {
+  await mailedShipment("req-sandbox-1", { labelId: "se-sandbox-1" });
+  await ledger.updateShipment("req-sandbox-1", { sandbox: true });
+  const sera = fakeSera();
+
+  for (const lookup of [{ requestId: "req-sandbox-1" }, { labelId: "se-sandbox-1" }]) {
+    await assert.rejects(
+      voidShipmentLabel({ ...lookup, user: { username: "sup" }, sera, lob: fakeLob() }),
+      (e) => e.status === 409 && /sandbox mode/.test(e.message)
+    );
+  }
+
+  const summary = await pollTracking({ sera });
+
+  assert.ok(!summary.results.some((r) => r.requestId === "req-sandbox-1"));
+  assert.ok(!sera.calls.some(([, labelId]) => labelId === "se-sandbox-1"));
+  assert.equal((await ledger.getShipment("req-sandbox-1")).label.voidedAt, undefined);
+});